@@ -0,0 +1,578 @@
+/**
+ * Action-based input layer. Game code asks about named actions (jump, dash, ...) and
+ * axes (moveX, lookY, ...) instead of keys, and each action can be bound to any number
+ * of keys, mouse buttons, gamepad buttons/axes and touch buttons.
+ *
+ * Bindings are strings:
+ *   'key:<KeyboardEvent.code>'  e.g. 'key:KeyW', 'key:Space'
+ *   'mouse:<button>'            e.g. 'mouse:0' for the left button
+ *   'gamepad:button:<index>'    standard mapping button, e.g. 'gamepad:button:0' for A / Cross
+ *   'gamepad:axis:<index>'      analog axis (axes only), e.g. 'gamepad:axis:0' for the left stick X
+ *   'gamepad:axis:<index>:<+|->' one direction of an axis used as a button (actions only)
+ *   'touch:axis:<name>'         analog value set by touch controls (axes only), e.g. 'touch:axis:stickX'
+ *   'touch:<name>'              on-screen touch button, e.g. 'touch:jump'
+ */
+export class ActionMap {
+    /**
+     * Create a new action map
+     * @param {Object} options - Action map options
+     * @param {string} options.storageKey - localStorage key the bindings are saved under
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'characterController.bindings';
+
+        // Digital actions and the bindings that trigger them
+        this.defaultBindings = {
+            moveForward: ['key:KeyW', 'key:ArrowUp'],
+            moveBackward: ['key:KeyS', 'key:ArrowDown'],
+            moveLeft: ['key:KeyA', 'key:ArrowLeft'],
+            moveRight: ['key:KeyD', 'key:ArrowRight'],
+            jump: ['key:Space', 'gamepad:button:0', 'touch:jump'],
+            sprint: ['key:ShiftLeft', 'key:ShiftRight', 'gamepad:button:10', 'gamepad:button:4', 'touch:sprint'],
+            crouch: ['key:KeyQ', 'gamepad:button:1', 'touch:crouch'],
+            dash: ['key:KeyE', 'gamepad:button:2', 'gamepad:button:5', 'touch:dash'],
+            toggleCamera: ['key:KeyC', 'gamepad:button:3'],
+            toggleRecording: ['key:F8']
+        };
+
+        // Axes combine a pair of actions (digital, -1/0/1) with analog gamepad and touch axes
+        this.axes = {
+            moveX: { negative: 'moveLeft', positive: 'moveRight' },
+            moveZ: { negative: 'moveForward', positive: 'moveBackward' },
+            lookX: {},
+            lookY: {}
+        };
+        this.defaultAxisBindings = {
+            moveX: ['gamepad:axis:0', 'touch:axis:stickX'],
+            moveZ: ['gamepad:axis:1', 'touch:axis:stickY'],
+            lookX: ['gamepad:axis:2'],
+            lookY: ['gamepad:axis:3']
+        };
+
+        this.bindings = {};
+        this.resetBindings();
+
+        // Bindings currently held down (keys, mouse and touch buttons)
+        this.pressed = new Set();
+
+        // Analog values set by touch controls, by binding
+        this.analog = new Map();
+
+        // Snapshot of the active gamepad from the last update: {buttons: [bool], axes: [number]}
+        this.gamepad = { buttons: [], axes: [] };
+
+        // Action states from the last update, for press edges
+        this.actionStates = {};
+
+        // Per-tick snapshot by action: {held, pressed, released, heldTime}
+        this.snapshot = {};
+        this.pendingPresses = new Set();
+        this.pendingReleases = new Set();
+
+        // Pending rebinding: {name, index, resolve}
+        this.capture = null;
+
+        // Press listeners by action name
+        this.eventListeners = {};
+    }
+
+    /**
+     * Restore the default bindings for every action and axis
+     */
+    resetBindings() {
+        Object.entries(this.defaultBindings).forEach(([name, bindings]) => {
+            this.bindings[name] = [...bindings];
+        });
+        Object.entries(this.defaultAxisBindings).forEach(([name, bindings]) => {
+            this.bindings[name] = [...bindings];
+        });
+    }
+
+    /**
+     * Check whether a name is a known action or axis
+     * @param {string} name - Action or axis name
+     * @returns {boolean}
+     */
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.bindings, name);
+    }
+
+    /**
+     * Check whether a name is an axis
+     * @param {string} name - Action or axis name
+     * @returns {boolean}
+     */
+    isAxis(name) {
+        return Object.prototype.hasOwnProperty.call(this.axes, name);
+    }
+
+    /**
+     * Get the bindings of an action or axis
+     * @param {string} name - Action or axis name
+     * @returns {Array<string>} - Binding strings
+     */
+    getBindings(name) {
+        return this.has(name) ? [...this.bindings[name]] : [];
+    }
+
+    /**
+     * Add a binding to an action or axis
+     * @param {string} name - Action or axis name
+     * @param {string} binding - Binding string
+     * @param {number} index - Replace the binding at this index instead of adding one
+     * @returns {boolean} - Whether the binding was added
+     */
+    bind(name, binding, index = -1) {
+        if (!this.has(name)) {
+            console.warn('Unknown input action:', name);
+            return false;
+        }
+        if (!this.isValidBinding(name, binding)) {
+            console.warn(`Invalid binding for ${name}:`, binding);
+            return false;
+        }
+
+        const bindings = this.bindings[name];
+        if (index >= 0 && index < bindings.length) {
+            bindings[index] = binding;
+        } else if (!bindings.includes(binding)) {
+            bindings.push(binding);
+        }
+        return true;
+    }
+
+    /**
+     * Remove a binding from an action or axis
+     * @param {string} name - Action or axis name
+     * @param {string} binding - Binding string
+     * @returns {boolean} - Whether the binding was removed
+     */
+    unbind(name, binding) {
+        if (!this.has(name)) return false;
+
+        const index = this.bindings[name].indexOf(binding);
+        if (index === -1) return false;
+
+        this.bindings[name].splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Check whether a binding string can drive an action or axis
+     * @param {string} name - Action or axis name
+     * @param {string} binding - Binding string
+     * @returns {boolean}
+     */
+    isValidBinding(name, binding) {
+        if (typeof binding !== 'string') return false;
+
+        // Axes only take analog axes; actions take everything else, including axis directions
+        if (this.isAxis(name)) {
+            return /^(gamepad:axis:\d+|touch:axis:\w+)$/.test(binding);
+        }
+        return /^(key:\w+|mouse:\d+|gamepad:button:\d+|gamepad:axis:\d+:[+-]|touch:\w+)$/.test(binding);
+    }
+
+    /**
+     * Record a key, mouse or touch button going down or up
+     * @param {string} binding - Binding string of the input, e.g. 'key:KeyW'
+     * @param {boolean} down - Whether it was pressed
+     * @returns {boolean} - Whether the input was used (bound to something or captured for rebinding)
+     */
+    handleInput(binding, down) {
+        if (down && this.capture && this.tryCapture(binding)) {
+            return true;
+        }
+
+        // Remember action edges until the next sample, so taps between two ticks aren't lost
+        const actions = this.getActionsFor(binding);
+        const before = actions.map(name => this.isPressed(name));
+
+        if (down) {
+            this.pressed.add(binding);
+        } else {
+            this.pressed.delete(binding);
+        }
+
+        actions.forEach((name, i) => {
+            const after = this.isPressed(name);
+            if (after && !before[i]) this.pendingPresses.add(name);
+            if (!after && before[i]) this.pendingReleases.add(name);
+        });
+
+        return this.isBound(binding);
+    }
+
+    /**
+     * Get the actions (not axes) that use a binding
+     * @param {string} binding - Binding string
+     * @returns {Array<string>} - Action names
+     */
+    getActionsFor(binding) {
+        return Object.keys(this.defaultBindings).filter(name => this.bindings[name].includes(binding));
+    }
+
+    /**
+     * Take the per-tick input snapshot read by isHeld, wasPressed, wasReleased and heldTime.
+     * Call once per simulation tick, before anything reads input, so fixed-step code
+     * sees every tap exactly once however many ticks run per frame.
+     * @param {number} deltaTime - Tick length in seconds
+     */
+    sample(deltaTime) {
+        Object.keys(this.defaultBindings).forEach(name => {
+            const previous = this.snapshot[name] || { held: false, heldTime: 0 };
+            const held = this.isPressed(name);
+
+            // A tap that went down and up between two ticks still counts as pressed and released
+            const pressed = this.pendingPresses.has(name) || (held && !previous.held);
+            const released = this.pendingReleases.has(name) || (!held && previous.held);
+
+            this.snapshot[name] = {
+                held,
+                pressed,
+                released,
+                heldTime: held ? (pressed ? 0 : previous.heldTime + deltaTime) : 0
+            };
+        });
+
+        this.pendingPresses.clear();
+        this.pendingReleases.clear();
+    }
+
+    /**
+     * Check whether an action was held at the last tick
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isHeld(name) {
+        return !!(this.snapshot[name] && this.snapshot[name].held);
+    }
+
+    /**
+     * Check whether an action went down since the previous tick
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasPressed(name) {
+        return !!(this.snapshot[name] && this.snapshot[name].pressed);
+    }
+
+    /**
+     * Check whether an action went up since the previous tick
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasReleased(name) {
+        return !!(this.snapshot[name] && this.snapshot[name].released);
+    }
+
+    /**
+     * Get how long an action has been held, as of the last tick
+     * @param {string} name - Action name
+     * @returns {number} - Seconds held (0 on the tick it was pressed, and while released)
+     */
+    heldTime(name) {
+        return this.snapshot[name] ? this.snapshot[name].heldTime : 0;
+    }
+
+    /**
+     * Set an analog value from a touch control
+     * @param {string} binding - Binding string, e.g. 'touch:axis:stickX'
+     * @param {number} value - -1 to 1
+     */
+    setAnalog(binding, value) {
+        this.analog.set(binding, Math.max(-1, Math.min(1, value)));
+    }
+
+    /**
+     * Check whether any action or axis uses a binding
+     * @param {string} binding - Binding string
+     * @returns {boolean}
+     */
+    isBound(binding) {
+        return Object.values(this.bindings).some(bindings => bindings.includes(binding));
+    }
+
+    /**
+     * Release every held key, mouse and touch button (e.g. when the window loses focus)
+     */
+    releaseAll() {
+        Object.keys(this.defaultBindings).forEach(name => {
+            if (this.isPressed(name)) this.pendingReleases.add(name);
+        });
+        this.pressed.clear();
+    }
+
+    /**
+     * Take a new gamepad snapshot and fire press listeners for actions that went down.
+     * Call once per frame, after polling the gamepad.
+     * @param {Object|null} gamepad - Active pad as {buttons: [bool], axes: [number]}, or null without one
+     */
+    update(gamepad = null) {
+        const previous = this.gamepad;
+        this.gamepad = gamepad || { buttons: [], axes: [] };
+
+        // Gamepad presses can complete a rebinding too
+        if (this.capture) {
+            this.captureGamepad(previous);
+        }
+
+        Object.keys(this.defaultBindings).forEach(name => {
+            const down = this.isPressed(name);
+            if (down && !this.actionStates[name]) {
+                this.emit(name);
+            }
+            this.actionStates[name] = down;
+        });
+    }
+
+    /**
+     * Check whether a single binding is held
+     * @param {string} binding - Binding string
+     * @returns {boolean}
+     */
+    isBindingDown(binding) {
+        if (binding.startsWith('gamepad:button:')) {
+            return !!this.gamepad.buttons[Number(binding.slice(15))];
+        }
+        if (binding.startsWith('gamepad:axis:')) {
+            const [, , index, sign] = binding.split(':');
+            const value = this.gamepad.axes[Number(index)] || 0;
+            return sign === '-' ? value < -0.5 : value > 0.5;
+        }
+        return this.pressed.has(binding);
+    }
+
+    /**
+     * Check whether any binding of an action is held
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isPressed(name) {
+        if (!this.has(name) || this.isAxis(name)) return false;
+        return this.bindings[name].some(binding => this.isBindingDown(binding));
+    }
+
+    /**
+     * Get the digital part of an axis from its pair of actions
+     * @param {string} name - Axis name
+     * @returns {number} - -1, 0 or 1
+     */
+    getDigitalAxis(name) {
+        const axis = this.axes[name];
+        if (!axis) return 0;
+
+        let value = 0;
+        if (axis.negative && this.isPressed(axis.negative)) value -= 1;
+        if (axis.positive && this.isPressed(axis.positive)) value += 1;
+        return value;
+    }
+
+    /**
+     * Get the analog part of an axis: the bound gamepad or touch axis pushed furthest
+     * @param {string} name - Axis name
+     * @returns {number} - -1 to 1, without any deadzone
+     */
+    getAnalogAxis(name) {
+        if (!this.isAxis(name)) return 0;
+
+        let value = 0;
+        this.bindings[name].forEach(binding => {
+            const axisValue = binding.startsWith('touch:') ?
+                this.analog.get(binding) || 0 : this.gamepad.axes[Number(binding.slice(13))] || 0;
+            if (Math.abs(axisValue) > Math.abs(value)) value = axisValue;
+        });
+        return value;
+    }
+
+    /**
+     * Wait for the next key, mouse button, gamepad button or gamepad axis and bind it.
+     * Escape cancels. Axes only accept gamepad axes.
+     * @param {string} name - Action or axis name
+     * @param {number} index - Replace the binding at this index instead of adding one
+     * @returns {Promise<string|null>} - The new binding, or null if cancelled
+     */
+    captureNext(name, index = -1) {
+        if (!this.has(name)) {
+            console.warn('Unknown input action:', name);
+            return Promise.resolve(null);
+        }
+
+        // A new capture cancels the previous one
+        this.cancelCapture();
+
+        return new Promise(resolve => {
+            this.capture = { name, index, resolve };
+        });
+    }
+
+    /**
+     * Stop waiting for a rebinding input
+     */
+    cancelCapture() {
+        if (!this.capture) return;
+
+        const { resolve } = this.capture;
+        this.capture = null;
+        resolve(null);
+    }
+
+    /**
+     * Check whether a rebinding is waiting for input
+     * @returns {boolean}
+     */
+    isCapturing() {
+        return this.capture !== null;
+    }
+
+    /**
+     * Offer a pressed input to the pending rebinding
+     * @param {string} binding - Binding string of the input
+     * @returns {boolean} - Whether the input was consumed by the rebinding
+     */
+    tryCapture(binding) {
+        if (binding === 'key:Escape') {
+            this.cancelCapture();
+            return true;
+        }
+
+        const { name, index, resolve } = this.capture;
+        if (!this.isValidBinding(name, binding)) return false;
+
+        this.capture = null;
+        this.bind(name, binding, index);
+        this.save();
+        resolve(binding);
+        return true;
+    }
+
+    /**
+     * Look for a gamepad button or axis that just went down and offer it to the pending rebinding
+     * @param {Object} previous - Gamepad snapshot from the previous update
+     */
+    captureGamepad(previous) {
+        const buttons = this.gamepad.buttons;
+        for (let i = 0; i < buttons.length && this.capture; i++) {
+            if (buttons[i] && !previous.buttons[i]) {
+                this.tryCapture(`gamepad:button:${i}`);
+            }
+        }
+
+        const axes = this.gamepad.axes;
+        for (let i = 0; i < axes.length && this.capture; i++) {
+            const value = axes[i] || 0;
+            const before = previous.axes[i] || 0;
+            if (Math.abs(value) > 0.5 && Math.abs(before) <= 0.5) {
+                // Axes bind the whole axis; actions bind the direction it was pushed in
+                const binding = this.isAxis(this.capture.name) ?
+                    `gamepad:axis:${i}` : `gamepad:axis:${i}:${value < 0 ? '-' : '+'}`;
+                this.tryCapture(binding);
+            }
+        }
+    }
+
+    /**
+     * Describe a binding for display, e.g. 'key:KeyW' as 'W'
+     * @param {string} binding - Binding string
+     * @returns {string} - Human-readable name
+     */
+    describeBinding(binding) {
+        const [source, ...rest] = binding.split(':');
+
+        if (source === 'key') {
+            const code = rest[0];
+            if (code.startsWith('Key')) return code.slice(3);
+            if (code.startsWith('Digit')) return code.slice(5);
+            return code;
+        }
+        if (source === 'mouse') return `Mouse ${rest[0]}`;
+        if (source === 'touch' && rest[0] === 'axis') return `Touch ${rest[1]}`;
+        if (source === 'touch') return `Touch ${rest[0]}`;
+        if (source === 'gamepad' && rest[0] === 'button') return `Pad button ${rest[1]}`;
+        if (source === 'gamepad' && rest[0] === 'axis') return `Pad axis ${rest[1]}${rest[2] || ''}`;
+        return binding;
+    }
+
+    /**
+     * Save the bindings to localStorage
+     * @returns {boolean} - Whether they were saved
+     */
+    save() {
+        try {
+            if (typeof localStorage === 'undefined') return false;
+            localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+            return true;
+        } catch (error) {
+            console.warn('Failed to save input bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Restore bindings saved with save(). Unknown actions and invalid bindings are skipped,
+     * and actions missing from the saved data keep their current bindings.
+     * @returns {boolean} - Whether saved bindings were found and applied
+     */
+    load() {
+        try {
+            if (typeof localStorage === 'undefined') return false;
+
+            const saved = localStorage.getItem(this.storageKey);
+            if (!saved) return false;
+
+            const data = JSON.parse(saved);
+            if (!data || typeof data !== 'object') return false;
+
+            Object.entries(data).forEach(([name, bindings]) => {
+                if (!this.has(name) || !Array.isArray(bindings)) return;
+                this.bindings[name] = bindings.filter(binding => this.isValidBinding(name, binding));
+            });
+            return true;
+        } catch (error) {
+            console.warn('Failed to load input bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Subscribe to an action being pressed
+     * @param {string} name - Action name
+     * @param {Function} callback - Called when the action goes down
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(name, callback) {
+        if (!this.has(name) || this.isAxis(name)) {
+            console.warn('Unknown input action:', name);
+            return () => {};
+        }
+
+        if (!this.eventListeners[name]) {
+            this.eventListeners[name] = [];
+        }
+        const listeners = this.eventListeners[name];
+        listeners.push(callback);
+
+        return () => {
+            const index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Notify the press listeners of an action
+     * @param {string} name - Action name
+     */
+    emit(name) {
+        const listeners = this.eventListeners[name];
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while being notified
+        listeners.slice().forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error(`Error in ${name} action listener:`, error);
+            }
+        });
+    }
+}
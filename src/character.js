@@ -1,3 +1,6 @@
+import { LocomotionStateMachine } from './locomotion.js';
+import { CollisionWorld } from './collision.js';
+
 /**
  * Character controller for physics-based movement
  */
@@ -17,6 +20,73 @@ export class CharacterController {
             jumpCooldown: 0.3,
             rotationSpeed: 5.0,
             airControl: 0.3, // Reduced control while in air
+            movementFrame: 'character', // What input directions are relative to: 'character', 'camera', 'world' or 'tank'
+            turnSpeed: Math.PI, // Turning speed (rad/s) from left/right input in the 'tank' frame
+            
+            // Jump feel
+            coyoteTime: 0.1,             // Seconds after leaving a ledge that a jump still works
+            jumpBufferTime: 0.1,         // Seconds a jump press is remembered before landing
+            jumpCutMultiplier: 0.5,      // Upward velocity is scaled by this when jump is released early (1 to disable)
+            apexHangThreshold: 1.0,      // Vertical speed (m/s) below which a jump counts as being at its apex
+            apexGravityMultiplier: 0.5,  // Gravity scale at the apex of a jump, for a little hang time
+            fallGravityMultiplier: 1.5,  // Gravity scale while falling
+            
+            // Abilities; change these at any time to unlock or lock them
+            airJumps: 1,             // Extra jumps allowed in mid-air (0 to disable)
+            wallSlide: true,         // Slide slowly down walls the character pushes against
+            wallJump: true,          // Jump away from walls while airborne
+            wallSlideSpeed: 2.0,     // Fastest fall while wall sliding (m/s)
+            wallJumpSpeed: 6.0,      // Horizontal speed away from the wall after a wall jump (m/s)
+            wallCheckDistance: 0.1,  // How far from the capsule a wall still counts as touching
+            
+            // Sprinting and crouching
+            sprintMultiplier: 1.6,       // Ground speed scale while sprinting
+            sprintStamina: 5.0,          // Seconds of sprinting on a full stamina bar (0 for unlimited)
+            staminaRegenRate: 1.0,       // Stamina regained per second while not sprinting
+            crouchHeight: 0.2,           // Capsule height while crouching (excluding hemispheres)
+            crouchSpeedMultiplier: 0.5,  // Ground speed scale while crouching
+            
+            // Dash
+            dash: true,                  // Ability toggle, like airJumps and wallJump
+            dashDistance: 4.0,           // Meters covered by a full dash
+            dashDuration: 0.2,           // Seconds a dash lasts
+            dashCooldown: 0.8,           // Seconds after a dash ends before the next one
+            dashIgnoresGravity: true,    // Dash in a straight line instead of falling
+            
+            // Locomotion states
+            fallGraceTime: 0.1,          // Seconds airborne before walking off an edge counts as falling
+            landDuration: 0.1,           // Seconds spent in the land state after touching down
+            
+            // Horizontal speed changes (m/s²). Ground rates are scaled by the surface's accelerationMultiplier.
+            groundAcceleration: 40.0,     // Speeding up towards the input
+            groundDeceleration: 50.0,     // Slowing down when input is released or eased off
+            groundSkidDeceleration: 80.0, // Turning around against the current movement
+            airAcceleration: 15.0,
+            airDeceleration: 2.0,
+            airSkidDeceleration: 20.0,
+            spawnPosition: { x: 0, y: 5, z: 0 }, // Where the character starts
+            spawnRotation: 0, // Initial facing (radians around the Y axis)
+            radius: 0.5, // Capsule radius
+            height: 1.0, // Capsule height (excluding hemispheres)
+            maxSlopeAngle: Math.PI / 4, // Steepest walkable surface (radians); steeper surfaces make the character slide
+            groundSkinWidth: 0.1, // How far below the capsule still counts as standing on the ground
+            pushForce: 100, // Force applied to dynamic props the character walks into (N), 0 to disable
+            pushReach: 0.1, // How far ahead of the capsule props get pushed
+            
+            // Movement mode, fixed at construction time:
+            // 'dynamic' drives a dynamic rigid body by velocity,
+            // 'kinematic' moves a kinematic body with Rapier's character controller
+            mode: 'dynamic',
+            
+            // Kinematic mode settings
+            controllerOffset: 0.01,               // Gap kept between the character and obstacles
+            autostep: true,                       // Climb small steps automatically
+            autostepMaxHeight: 0.3,               // Tallest step that can be climbed
+            autostepMinWidth: 0.2,                // Minimum free space needed on top of a step
+            snapToGround: true,                   // Stick to the ground when walking down slopes and steps
+            snapToGroundDistance: 0.3,            // Maximum snapping distance
+            maxSlopeClimbAngle: Math.PI / 4,      // Steepest climbable slope (radians)
+            minSlopeSlideAngle: Math.PI / 6,      // Slopes steeper than this make the character slide (radians)
             ...options
         };
 
@@ -25,29 +95,102 @@ export class CharacterController {
             isGrounded: false,
             isJumping: false,
             jumpCooldownTimer: 0,
+            coyoteTimer: 0, // Time left to jump after leaving the ground
+            jumpBufferTimer: -1, // Time left on a buffered jump press (negative when none)
+            jumpHeld: false, // Jump input state on the previous update (for inputs without wasPressed)
+            canCutJump: false, // Releasing jump may still cut the current jump short
+            jumpType: null, // Kind of the last jump: 'ground', 'air' or 'wall'
+            airJumpsUsed: 0, // Air jumps made since last touching the ground
+            wall: null, // Wall the character is pushing against while airborne: {point, normal, distance, collider, colliderHandle}
+            isWallSliding: false,
+            isSprinting: false,
+            stamina: this.options.sprintStamina, // Seconds of sprinting left
+            isExhausted: false, // Ran out of stamina; sprinting is blocked until it refills
+            isCrouching: false,
+            isCrouchBlocked: false, // Wants to stand up but a ceiling is in the way
+            isDashing: false,
+            dashTimer: 0, // Time left in the current dash
+            dashCooldownTimer: 0,
+            dashDirection: { x: 0, z: 0 }, // Unit direction of the current dash
+            dashHeld: false, // Dash input state on the previous update (for inputs without wasPressed)
+            airTime: 0, // Seconds since last on the ground
+            locomotion: 'idle', // Current locomotion state
             velocity: { x: 0, y: 0, z: 0 },
-            position: { x: 0, y: 1, z: 0 }, // Fallback position
+            position: { ...this.options.spawnPosition }, // Fallback position
             rotation: { x: 0, y: 0, z: 0 }, // Character rotation
-            direction: { x: 0, z: -1 }, // Forward direction
-            movementDirection: { x: 0, z: 0 } // Current movement direction
+            direction: { x: 0, z: 1 }, // Forward direction (spawnRotation 0 faces +Z)
+            movementDirection: { x: 0, z: 0 }, // Current movement direction in world space
+            turnInput: 0, // Left/right input, used for turning in the 'tank' movement frame
+            cameraYaw: Math.PI, // Yaw of the camera's view direction (PI looks down -Z, like the world frame)
+            ground: null, // Last ground query result: {point, normal, distance, angle, collider, colliderHandle, material}
+            surface: null, // Surface material of the ground under the character
+            moveVelocity: { x: 0, z: 0 }, // Horizontal velocity from input, eased towards the input target
+            isSkidding: false, // Turning around against the current movement
+            isOnSteepSlope: false, // Standing on a surface steeper than maxSlopeAngle
+            slideVelocity: { x: 0, y: 0, z: 0 }, // Velocity gained sliding down steep slopes
+            platformId: null, // Moving platform the character is standing on
+            platformVelocity: { x: 0, y: 0, z: 0 }, // Velocity of the platform surface under the character
+            inheritedVelocity: { x: 0, y: 0, z: 0 } // Platform momentum kept after leaving it
         };
 
+        // Face the spawn rotation, keeping direction in step with rotation even for 0
+        if (Number.isFinite(this.options.spawnRotation)) {
+            this.state.rotation.y = this.options.spawnRotation;
+            this.state.direction = {
+                x: Math.sin(this.options.spawnRotation),
+                z: Math.cos(this.options.spawnRotation)
+            };
+        }
+
+        // Character event listeners (state machine events are handled by the machine)
+        this.eventListeners = { dashStart: [], dashEnd: [], jump: [], fallback: [], physicsRestored: [] };
+        
+        // Locomotion state machine: idle, walk, run, jumpRise, fall, land, crouch, dash and wallSlide
+        this.stateMachine = this.createStateMachine();
+
         // Flag to track if we're using fallback movement
         this.usingFallback = true; // Start with fallback, switch if physics works
+        this.fallbackError = null; // Error that caused the last switch to fallback movement
+        this.fallbackFloor = null; // Floor the fallback stands on when the level has no collision
+        
+        // Rapier character controller (kinematic mode only)
+        this.controller = null;
         
         // Create the character physics body
+        this.character = null;
+        this.usingFallback = !this.createBody(this.options.spawnPosition);
+        
+        if (this.usingFallback) {
+            console.warn('Using fallback character movement system');
+        }
+    }
+
+    /**
+     * Create the character's physics body, and the Rapier controller in kinematic mode.
+     * The capsule is crouching height if the character is crouching.
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @returns {boolean} - Whether the body is simulated by Rapier
+     */
+    createBody(position) {
         try {
             this.character = this.physics.createCharacter(
-                { x: 0, y: 5, z: 0 },
-                0.5,  // radius
-                1.0   // height
+                { ...position },
+                this.options.radius,
+                this.getHeight(),
+                this.isKinematic() ? 'kinematic' : 'dynamic'
             );
             
+            if (this.isKinematic()) {
+                this.controller = this.createController();
+            }
+            
             // Check if we got a valid character back
-            if (this.character && this.character.body && 
+            if (this.isKinematic() && !this.controller) {
+                console.warn('Kinematic character controller unavailable, using fallback movement');
+            } else if (this.character && this.character.body && !this.character.body.isFallback &&
                 typeof this.character.body.translation === 'function') {
-                this.usingFallback = false;
-                console.log('Using physics-based character movement');
+                console.log(`Using physics-based character movement (${this.options.mode})`);
+                return true;
             } else {
                 console.warn('Invalid character body, using fallback movement');
             }
@@ -56,10 +199,157 @@ export class CharacterController {
             this.character = null;
             // We'll use the fallback position system instead
         }
+        return false;
+    }
+
+    /**
+     * Switch to the fallback movement system after a physics error
+     * @param {Error} error - What went wrong
+     */
+    switchToFallback(error = null) {
+        if (this.usingFallback) return;
         
-        if (this.usingFallback) {
-            console.warn('Using fallback character movement system');
+        this.usingFallback = true;
+        this.fallbackError = error;
+        this.emit('fallback', { error, position: { ...this.state.position } });
+    }
+
+    /**
+     * Go back to physics movement after a switch to the fallback: the old body is replaced
+     * by a new one where the fallback left the character, moving at the same velocity
+     * @returns {boolean} - Whether physics movement was restored
+     */
+    restorePhysics() {
+        if (!this.usingFallback) return true;
+        
+        let position = { ...this.state.position };
+        let velocity = { ...this.state.velocity };
+        
+        // A body can't start from a broken state, so respawn instead
+        const finite = vector => Number.isFinite(vector.x) && Number.isFinite(vector.y) && Number.isFinite(vector.z);
+        if (!finite(position) || !finite(velocity)) {
+            console.warn('Character state is not finite, respawning');
+            position = { ...this.options.spawnPosition };
+            velocity = { x: 0, y: 0, z: 0 };
+            this.state.position = { ...position };
+            this.state.velocity = { ...velocity };
+        }
+        
+        // The old body may be broken, and would get in the new one's way
+        this.releaseBody();
+        
+        if (!this.createBody(position)) {
+            this.releaseBody();
+            return false;
         }
+        
+        // Kinematic movement keeps its velocity in the state; dynamic bodies carry their own
+        if (!this.isKinematic()) {
+            this.physics.setBodyVelocity(this.character.body, velocity);
+        }
+        
+        this.usingFallback = false;
+        this.fallbackError = null;
+        this.emit('physicsRestored', { position, velocity });
+        return true;
+    }
+
+    /**
+     * Remove the character's body and controller from the physics world
+     */
+    releaseBody() {
+        const entry = this.character ? this.physics.bodies.get(this.character.id) : null;
+        
+        // After a restart the old id may belong to another body in the new world
+        if (entry && entry.body === this.character.body) {
+            this.physics.removeBody(this.character.id);
+            this.physics.removeCharacterController(this.controller);
+        }
+        
+        this.character = null;
+        this.controller = null;
+    }
+
+    /**
+     * Check if the character is driven by the kinematic character controller
+     * @returns {boolean}
+     */
+    isKinematic() {
+        return this.options.mode === 'kinematic';
+    }
+
+    /**
+     * Create the Rapier character controller from the kinematic options
+     * @returns {Object|null} - Character controller, or null if unavailable
+     */
+    createController() {
+        return this.physics.createCharacterController({
+            offset: this.options.controllerOffset,
+            autostep: this.options.autostep ? {
+                maxHeight: this.options.autostepMaxHeight,
+                minWidth: this.options.autostepMinWidth,
+                includeDynamicBodies: true
+            } : null,
+            snapToGroundDistance: this.options.snapToGround ? this.options.snapToGroundDistance : null,
+            maxSlopeClimbAngle: this.options.maxSlopeClimbAngle,
+            minSlopeSlideAngle: this.options.minSlopeSlideAngle
+        });
+    }
+
+    /**
+     * Build the locomotion state machine with its built-in states and transitions.
+     * Game code can add its own through this.stateMachine.addState and addTransition.
+     * @returns {LocomotionStateMachine} - The state machine
+     */
+    createStateMachine() {
+        const machine = new LocomotionStateMachine(this, 'idle');
+        const airStates = ['jumpRise', 'fall', 'wallSlide'];
+        
+        ['idle', 'walk', 'run', 'jumpRise', 'fall', 'crouch', 'dash', 'wallSlide'].forEach(name => machine.addState(name));
+        
+        // Touching down ends the jump, whichever way we got airborne
+        machine.addState('land', {
+            enter: character => {
+                character.state.isJumping = false;
+                character.state.canCutJump = false;
+            }
+        });
+        
+        // Checked from the highest priority down; the first passing guard picks the state
+        machine
+            .addTransition('*', 'dash', character => character.state.isDashing, 100)
+            .addTransition('*', 'wallSlide', character => character.state.isWallSliding, 90)
+            .addTransition('*', 'jumpRise', character => character.state.isJumping && character.state.velocity.y > 0, 80)
+            .addTransition('*', 'land', (character, m) => character.state.isGrounded && character.state.velocity.y <= 0 &&
+                (character.state.isJumping || airStates.includes(m.current)), 70)
+            .addTransition('*', 'fall', character => !character.state.isGrounded &&
+                character.state.airTime >= character.options.fallGraceTime, 60)
+            .addTransition('land', 'land', (character, m) => m.timeInState < character.options.landDuration, 50)
+            .addTransition('*', 'crouch', character => character.state.isCrouching, 40)
+            .addTransition('*', 'run', character => character.state.isSprinting, 30)
+            .addTransition('*', 'walk', character => character.getMoveSpeed() > 0.1, 20)
+            .addTransition('*', 'idle', () => true, 0);
+        
+        return machine;
+    }
+
+    /**
+     * Advance the locomotion state machine after movement has been updated
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateStateMachine(deltaTime) {
+        this.state.airTime = this.state.isGrounded ? 0 : this.state.airTime + deltaTime;
+        this.stateMachine.update(deltaTime);
+        this.state.locomotion = this.stateMachine.current;
+    }
+
+    /**
+     * Get the horizontal speed the character is moving at from input
+     * @returns {number} - Speed in m/s
+     */
+    getMoveSpeed() {
+        const velocity = this.state.moveVelocity;
+        return Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
     }
 
     /**
@@ -68,6 +358,16 @@ export class CharacterController {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(input, deltaTime) {
+        this.updateMovement(input, deltaTime);
+        this.updateStateMachine(deltaTime);
+    }
+
+    /**
+     * Move the character in whichever mode is active
+     * @param {Object} input - Input handler
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateMovement(input, deltaTime) {
         if (this.usingFallback) {
             // Use fallback movement system
             this.updateFallbackMovement(input, deltaTime);
@@ -75,14 +375,22 @@ export class CharacterController {
         }
 
         if (!this.character || !this.character.body) {
-            this.usingFallback = true;
+            this.switchToFallback(new Error('Character has no physics body'));
             this.updateFallbackMovement(input, deltaTime);
             return;
         }
 
+        if (this.isKinematic()) {
+            this.updateKinematicMovement(input, deltaTime);
+            return;
+        }
+
         try {
-            // Check if character is grounded
-            this.state.isGrounded = this.physics.isGrounded(this.character.body);
+            // Check if character is grounded on a walkable surface
+            this.updateGroundState();
+            
+            // Ride along with any moving platform under us
+            this.updatePlatformState(deltaTime);
 
             // Update jump cooldown timer
             if (this.state.jumpCooldownTimer > 0) {
@@ -97,15 +405,39 @@ export class CharacterController {
                 z: currentVelocity.z
             };
 
-            // Get input direction
-            const inputDirection = input.getMovementDirection();
-            this.state.movementDirection = { ...inputDirection };
+            // Get input direction in world space
+            const inputDirection = this.getInputDirection(input);
             
             // Update character rotation based on movement direction
             this.updateRotation(inputDirection, deltaTime);
 
+            // Crouch (when there's room) and sprint
+            this.updateCrouchState(input);
+            this.updateSprintState(input, deltaTime);
+
+            // Buffer jump presses and cut jumps short, also while dashing
+            this.updateJumpInput(input, deltaTime);
+
+            // A dash overrides all other movement while it lasts
+            if (this.updateDash(input, inputDirection, deltaTime)) {
+                this.physics.setBodyVelocity(this.character.body, this.getDashVelocity(deltaTime));
+                this.state.position = { ...this.physics.getBodyPosition(this.character.body) };
+                return;
+            }
+
+            // Apply the extra apex/fall gravity
+            this.state.velocity.y += this.physics.gravity.y * (this.getGravityScale() - 1) * deltaTime;
+            
+            // Cling to walls we push against in mid-air
+            this.updateWallState(inputDirection);
+            this.applyWallSlide();
+
             // Handle movement
             this.handleMovement(input, deltaTime);
+            this.pushProps(inputDirection, deltaTime);
+
+            // Launch off jump pads
+            this.handleJumpPad();
 
             // Handle jumping
             this.handleJump(input, deltaTime);
@@ -115,21 +447,663 @@ export class CharacterController {
             this.state.position = { ...position };
         } catch (error) {
             console.error('Error in character update, switching to fallback:', error);
-            this.usingFallback = true;
+            this.switchToFallback(error);
+            this.updateFallbackMovement(input, deltaTime);
+        }
+    }
+
+    /**
+     * Update the character using Rapier's kinematic character controller
+     * @param {Object} input - Input handler
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateKinematicMovement(input, deltaTime) {
+        try {
+            // Ride along with any moving platform we stood on last step
+            this.updatePlatformState(deltaTime);
+
+            // Update jump cooldown timer
+            if (this.state.jumpCooldownTimer > 0) {
+                this.state.jumpCooldownTimer -= deltaTime;
+            }
+
+            // Get input direction in world space
+            const inputDirection = this.getInputDirection(input);
+            
+            // Update character rotation based on movement direction
+            this.updateRotation(inputDirection, deltaTime);
+
+            // Crouch (when there's room) and sprint
+            this.updateCrouchState(input);
+            this.updateSprintState(input, deltaTime);
+
+            // Buffer jump presses and cut jumps short, also while dashing
+            this.updateJumpInput(input, deltaTime);
+
+            // A dash overrides all other movement while it lasts
+            if (this.updateDash(input, inputDirection, deltaTime)) {
+                this.state.velocity = this.getDashVelocity(deltaTime);
+                const dashResult = this.physics.moveCharacter(this.character, this.controller, {
+                    x: this.state.velocity.x * deltaTime,
+                    y: this.state.velocity.y * deltaTime,
+                    z: this.state.velocity.z * deltaTime
+                });
+                if (!dashResult) {
+                    throw new Error('Kinematic character movement failed');
+                }
+                this.updateGroundState();
+                this.state.isGrounded = dashResult.grounded && !this.state.isOnSteepSlope;
+                this.state.position = { ...this.physics.getBodyPosition(this.character.body) };
+                return;
+            }
+
+            // Horizontal velocity eases towards the input
+            const horizontal = this.updateMoveVelocity(inputDirection, deltaTime);
+            this.state.velocity.x = horizontal.x;
+            this.state.velocity.z = horizontal.z;
+
+            // Kinematic bodies ignore gravity, so integrate it ourselves.
+            // While grounded keep one step of gravity so the controller still detects the ground.
+            if (this.state.isGrounded && this.state.velocity.y <= 0) {
+                this.state.velocity.y = this.physics.gravity.y * deltaTime;
+            } else {
+                this.state.velocity.y += this.physics.gravity.y * this.getGravityScale() * deltaTime;
+            }
+
+            // Cling to walls we push against in mid-air
+            this.updateWallState(inputDirection);
+            this.applyWallSlide();
+
+            // Launch off jump pads
+            this.handleJumpPad();
+
+            // Jump: convert the impulse into a velocity using the collider's mass
+            const jump = this.consumeJump();
+            if (jump) {
+                this.state.velocity.y = this.getJumpSpeed();
+                
+                // Wall jumps also push away from the wall
+                if (jump === 'wall') {
+                    this.state.velocity.x = this.state.moveVelocity.x;
+                    this.state.velocity.z = this.state.moveVelocity.z;
+                }
+            }
+
+            // Rapier's controller already moves us with a platform we stand on,
+            // so only add the momentum kept after leaving one
+            const carried = this.state.inheritedVelocity;
+            const desiredTranslation = {
+                x: (this.state.velocity.x + carried.x) * deltaTime,
+                y: (this.state.velocity.y + carried.y) * deltaTime,
+                z: (this.state.velocity.z + carried.z) * deltaTime
+            };
+
+            const result = this.physics.moveCharacter(this.character, this.controller, desiredTranslation);
+            if (!result) {
+                throw new Error('Kinematic character movement failed');
+            }
+
+            // Rapier handles sliding itself, but steep surfaces still don't count as ground
+            this.updateGroundState();
+            this.state.isGrounded = result.grounded && !this.state.isOnSteepSlope;
+
+            // Kinematic bodies exert no forces, so push props and weigh down what we stand on ourselves
+            this.pushProps(inputDirection, deltaTime);
+            if (this.state.isGrounded) {
+                this.physics.applyGroundWeight(this.character, this.state.ground, deltaTime);
+            }
+
+            // Stop rising when we bump our head on something
+            if (desiredTranslation.y > 0 && result.movement.y < desiredTranslation.y * 0.5) {
+                this.state.velocity.y = 0;
+            }
+
+            // Update position from physics
+            const position = this.physics.getBodyPosition(this.character.body);
+            this.state.position = { ...position };
+        } catch (error) {
+            console.error('Error in kinematic character update, switching to fallback:', error);
+            this.switchToFallback(error);
             this.updateFallbackMovement(input, deltaTime);
         }
     }
 
     /**
-     * Update character rotation based on movement direction
-     * @param {Object} inputDirection - Input movement direction
+     * Query the ground below the character and classify it as walkable or steep
+     */
+    updateGroundState() {
+        const ground = this.physics.queryGround(this.character, this.options.groundSkinWidth);
+        const walkable = ground !== null && ground.angle <= this.options.maxSlopeAngle;
+        
+        this.state.ground = ground;
+        this.state.surface = ground !== null ? ground.material || null : null;
+        this.state.isGrounded = walkable;
+        this.state.isOnSteepSlope = ground !== null && !walkable;
+    }
+
+    /**
+     * Get a movement property of the surface the character is standing on
+     * @param {string} key - Surface property, e.g. 'speedMultiplier'
+     * @param {number} fallback - Value to use in the air or when the surface doesn't set it
+     * @returns {number} - Property value
+     */
+    getSurfaceProperty(key, fallback) {
+        const surface = this.state.isGrounded ? this.state.surface : null;
+        return surface && typeof surface[key] === 'number' ? surface[key] : fallback;
+    }
+
+    /**
+     * Track the moving platform under the character and the momentum it gives
+     * @param {number} deltaTime - Time since last update
+     */
+    updatePlatformState(deltaTime) {
+        const ground = this.state.ground;
+        const platform = this.state.isGrounded && ground ?
+            this.physics.getPlatformByCollider(ground.colliderHandle) : null;
+
+        if (platform) {
+            const position = this.physics.getBodyPosition(this.character.body);
+            this.state.platformVelocity = this.physics.getPlatformVelocityAt(platform, position);
+            this.state.platformId = platform.id;
+            this.state.inheritedVelocity = { x: 0, y: 0, z: 0 };
+
+            // Turn with the platform
+            if (platform.angularVelocity.y !== 0) {
+                this.state.rotation.y += platform.angularVelocity.y * deltaTime;
+                this.state.direction = {
+                    x: Math.sin(this.state.rotation.y),
+                    z: Math.cos(this.state.rotation.y)
+                };
+            }
+            return;
+        }
+
+        if (this.state.platformId !== null) {
+            // Just left a platform: keep its horizontal momentum while airborne
+            const platformVelocity = this.state.platformVelocity;
+            this.state.inheritedVelocity = { x: platformVelocity.x, y: 0, z: platformVelocity.z };
+
+            // Keep the vertical part too (dynamic bodies already carry it in their own velocity)
+            if (this.isKinematic()) {
+                this.state.velocity.y += platformVelocity.y;
+            }
+        } else if (this.state.isGrounded) {
+            // Landed on solid ground
+            this.state.inheritedVelocity = { x: 0, y: 0, z: 0 };
+        }
+
+        this.state.platformId = null;
+        this.state.platformVelocity = { x: 0, y: 0, z: 0 };
+    }
+
+    /**
+     * Push the dynamic props the character is walking into
+     * @param {Object} inputDirection - Input movement direction in world space
+     * @param {number} deltaTime - Time since last update
+     */
+    pushProps(inputDirection, deltaTime) {
+        if (!(this.options.pushForce > 0)) return;
+        
+        // Leave alone whatever we're standing on, or we'd push it out from under us
+        const ground = this.state.ground;
+        this.physics.pushDynamicBodies(
+            this.character,
+            this.calculateMoveVelocity(inputDirection),
+            this.options.pushForce * deltaTime,
+            this.options.pushReach,
+            ground ? ground.colliderHandle : null
+        );
+    }
+
+    /**
+     * Get the velocity the character picks up from platforms
+     * @returns {Object} - Velocity as {x, y, z}
+     */
+    getCarriedVelocity() {
+        return {
+            x: this.state.platformVelocity.x + this.state.inheritedVelocity.x,
+            y: this.state.platformVelocity.y + this.state.inheritedVelocity.y,
+            z: this.state.platformVelocity.z + this.state.inheritedVelocity.z
+        };
+    }
+
+    /**
+     * Accumulate sliding velocity while standing on a steep slope
+     * @param {number} deltaTime - Time since last update
+     */
+    updateSlideVelocity(deltaTime) {
+        if (!this.state.isOnSteepSlope || !this.state.ground) {
+            this.state.slideVelocity = { x: 0, y: 0, z: 0 };
+            return;
+        }
+        
+        // Gravity projected onto the slope plane points straight downhill
+        const normal = this.state.ground.normal;
+        const gravity = this.physics.gravity;
+        const gravityDotNormal = gravity.x * normal.x + gravity.y * normal.y + gravity.z * normal.z;
+        
+        this.state.slideVelocity.x += (gravity.x - gravityDotNormal * normal.x) * deltaTime;
+        this.state.slideVelocity.y += (gravity.y - gravityDotNormal * normal.y) * deltaTime;
+        this.state.slideVelocity.z += (gravity.z - gravityDotNormal * normal.z) * deltaTime;
+    }
+
+    /**
+     * Project a horizontal velocity onto a walkable surface, keeping its speed
+     * @param {Object} velocity - Horizontal velocity as {x, z}
+     * @param {Object} normal - Surface normal as {x, y, z}
+     * @returns {Object} - Velocity along the surface as {x, y, z}
+     */
+    projectOnGround(velocity, normal) {
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        if (speed === 0 || normal.y <= 0) {
+            return { x: velocity.x, y: 0, z: velocity.z };
+        }
+        
+        // Pick the vertical component that makes the velocity tangent to the surface
+        const y = -(velocity.x * normal.x + velocity.z * normal.z) / normal.y;
+        const scale = speed / Math.sqrt(speed * speed + y * y);
+        
+        return { x: velocity.x * scale, y: y * scale, z: velocity.z * scale };
+    }
+
+    /**
+     * Remove the part of a horizontal velocity that pushes up into a slope
+     * @param {Object} velocity - Horizontal velocity as {x, z}
+     * @param {Object} normal - Surface normal as {x, y, z}
+     * @returns {Object} - Filtered velocity as {x, z}
+     */
+    removeUphillComponent(velocity, normal) {
+        const length = Math.sqrt(normal.x * normal.x + normal.z * normal.z);
+        if (length === 0) return { ...velocity };
+        
+        // Horizontal direction pointing downhill
+        const downhill = { x: normal.x / length, z: normal.z / length };
+        const dot = velocity.x * downhill.x + velocity.z * downhill.z;
+        if (dot >= 0) return { ...velocity };
+        
+        return {
+            x: velocity.x - dot * downhill.x,
+            z: velocity.z - dot * downhill.z
+        };
+    }
+
+    /**
+     * Calculate horizontal movement velocity from a world-space input direction
+     * @param {Object} inputDirection - Input movement direction in world space
+     * @returns {Object} - Velocity as {x, z}
+     */
+    calculateMoveVelocity(inputDirection) {
+        const moveSpeed = this.options.moveSpeed *
+            (this.state.isGrounded ? this.getGroundSpeedMultiplier() : this.options.airControl);
+        
+        return {
+            x: inputDirection.x * moveSpeed,
+            z: inputDirection.z * moveSpeed
+        };
+    }
+
+    /**
+     * Read the movement input and turn it into a world-space direction according to movementFrame:
+     * 'character' maps forward to the character's facing and left/right to strafing, 'camera'
+     * maps forward to the camera's view direction, 'world' maps forward to -Z, and 'tank'
+     * maps forward to the character's facing (left/right turn it instead).
+     * @param {Object} input - Input handler
+     * @returns {Object} - Direction as {x, z}, as long as the input direction
+     */
+    getInputDirection(input) {
+        const raw = input.getMovementDirection();
+        
+        // Input uses -z for forward and +x for right
+        const forward = -raw.z;
+        let direction;
+        
+        if (this.options.movementFrame === 'world') {
+            direction = { x: raw.x, z: raw.z };
+        } else if (this.options.movementFrame === 'tank') {
+            direction = {
+                x: this.state.direction.x * forward,
+                z: this.state.direction.z * forward
+            };
+        } else {
+            // Forward and right of the facing or of the camera's view
+            const yaw = this.options.movementFrame === 'camera' ? this.state.cameraYaw : this.state.rotation.y;
+            direction = {
+                x: Math.sin(yaw) * forward - Math.cos(yaw) * raw.x,
+                z: Math.cos(yaw) * forward + Math.sin(yaw) * raw.x
+            };
+        }
+        
+        this.state.movementDirection = { ...direction };
+        this.state.turnInput = raw.x;
+        return direction;
+    }
+
+    /**
+     * Set the camera yaw used by the 'camera' movement frame
+     * @param {number} yaw - Angle of the camera's horizontal view direction, measured like the character's rotation
+     *   (0 looks down +Z, PI looks down -Z)
+     */
+    setCameraYaw(yaw) {
+        if (!Number.isFinite(yaw)) return;
+        this.state.cameraYaw = yaw;
+    }
+
+    /**
+     * Pick the rate at which the movement velocity changes towards a target
+     * @param {Object} current - Current movement velocity as {x, z}
+     * @param {Object} target - Target movement velocity as {x, z}
+     * @returns {number} - Rate in m/s²
+     */
+    getMoveRate(current, target) {
+        const prefix = this.state.isGrounded ? 'ground' : 'air';
+        const scale = this.getSurfaceProperty('accelerationMultiplier', 1.0);
+        
+        const currentSpeed = Math.sqrt(current.x * current.x + current.z * current.z);
+        const targetSpeed = Math.sqrt(target.x * target.x + target.z * target.z);
+        const dot = current.x * target.x + current.z * target.z;
+        
+        this.state.isSkidding = targetSpeed > 0 && currentSpeed > 0 && dot < 0;
+        
+        let rate;
+        if (this.state.isSkidding) {
+            rate = this.options[`${prefix}SkidDeceleration`];
+        } else if (targetSpeed > currentSpeed) {
+            rate = this.options[`${prefix}Acceleration`];
+        } else {
+            rate = this.options[`${prefix}Deceleration`];
+        }
+        
+        return rate * scale;
+    }
+
+    /**
+     * Get the ground speed scale from the surface, sprinting and crouching
+     * @returns {number} - Multiplier for moveSpeed
+     */
+    getGroundSpeedMultiplier() {
+        let multiplier = this.getSurfaceProperty('speedMultiplier', 1.0);
+        if (this.state.isCrouching) {
+            multiplier *= this.options.crouchSpeedMultiplier;
+        } else if (this.state.isSprinting) {
+            multiplier *= this.options.sprintMultiplier;
+        }
+        return multiplier;
+    }
+
+    /**
+     * Crouch while the crouch input is held, and stand back up once there's room overhead
+     * @param {Object} input - Input handler
+     */
+    updateCrouchState(input) {
+        const wantsCrouch = typeof input.isCrouching === 'function' && input.isCrouching();
+        this.state.isCrouchBlocked = false;
+        
+        if (wantsCrouch && !this.state.isCrouching) {
+            if (this.physics.resizeCharacter(this.character, this.options.crouchHeight)) {
+                this.state.isCrouching = true;
+            }
+        } else if (!wantsCrouch && this.state.isCrouching) {
+            // Stay down while something would be in the way of our head
+            const ceiling = this.physics.queryCeiling(this.character, this.options.height - this.options.crouchHeight);
+            if (ceiling) {
+                this.state.isCrouchBlocked = true;
+            } else if (this.physics.resizeCharacter(this.character, this.options.height)) {
+                this.state.isCrouching = false;
+            }
+        }
+    }
+
+    /**
+     * Sprint while the sprint input is held and there's stamina left
+     * @param {Object} input - Input handler
+     * @param {number} deltaTime - Time since last update
+     */
+    updateSprintState(input, deltaTime) {
+        const wantsSprint = typeof input.isSprinting === 'function' && input.isSprinting();
+        const moving = this.state.movementDirection.x !== 0 || this.state.movementDirection.z !== 0;
+        const maxStamina = this.options.sprintStamina;
+        
+        this.state.isSprinting = wantsSprint && moving && !this.state.isCrouching && !this.state.isExhausted;
+        
+        // Without a stamina limit, sprint forever
+        if (!(maxStamina > 0)) return;
+        
+        if (this.state.isSprinting) {
+            this.state.stamina = Math.max(this.state.stamina - deltaTime, 0);
+            if (this.state.stamina === 0) {
+                this.state.isExhausted = true;
+                this.state.isSprinting = false;
+            }
+        } else {
+            this.state.stamina = Math.min(this.state.stamina + this.options.staminaRegenRate * deltaTime, maxStamina);
+            if (this.state.stamina === maxStamina) {
+                this.state.isExhausted = false;
+            }
+        }
+    }
+
+    /**
+     * Start, run and end dashes
+     * @param {Object} input - Input handler
+     * @param {Object} inputDirection - Input movement direction in world space
+     * @param {number} deltaTime - Time since last update
+     * @returns {boolean} - Whether the character is dashing this update
+     */
+    updateDash(input, inputDirection, deltaTime) {
+        const held = typeof input.isDashing === 'function' && input.isDashing();
+        const pressed = this.wasActionPressed(input, 'dash', held);
+        
+        if (this.state.dashCooldownTimer > 0) {
+            this.state.dashCooldownTimer -= deltaTime;
+        }
+        
+        if (this.state.isDashing) {
+            // Allow for rounding in the accumulated timer so a dash lasts exactly dashDuration
+            this.state.dashTimer -= deltaTime;
+            if (this.state.dashTimer <= 1e-6) {
+                this.endDash('finished');
+            } else if (this.isDashBlocked()) {
+                this.endDash('collision');
+            }
+        } else if (pressed && this.options.dash && this.state.dashCooldownTimer <= 0 && !this.state.isCrouching) {
+            this.startDash(inputDirection);
+        }
+        
+        return this.state.isDashing;
+    }
+
+    /**
+     * Start a dash in the input direction, or the facing direction without input
+     * @param {Object} inputDirection - Input movement direction in world space
+     */
+    startDash(inputDirection) {
+        let direction = this.calculateMoveVelocity(inputDirection);
+        let length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+        if (length === 0) {
+            direction = { ...this.state.direction };
+            length = Math.sqrt(direction.x * direction.x + direction.z * direction.z) || 1;
+        }
+        
+        this.state.isDashing = true;
+        this.state.dashTimer = this.options.dashDuration;
+        this.state.dashDirection = { x: direction.x / length, z: direction.z / length };
+        this.state.isSprinting = false;
+        
+        this.emit('dashStart', {
+            direction: { ...this.state.dashDirection },
+            speed: this.getDashSpeed(),
+            duration: this.options.dashDuration
+        });
+    }
+
+    /**
+     * End the current dash and start its cooldown
+     * @param {string} reason - Why the dash ended: 'finished' or 'collision'
+     */
+    endDash(reason) {
+        const direction = this.state.dashDirection;
+        const speed = Math.min(this.getDashSpeed(), this.options.moveSpeed);
+        
+        this.state.isDashing = false;
+        this.state.dashTimer = 0;
+        this.state.dashCooldownTimer = this.options.dashCooldown;
+        
+        // Carry on at running speed rather than stopping dead or keeping the dash speed
+        this.state.moveVelocity = reason === 'collision' ?
+            { x: 0, z: 0 } :
+            { x: direction.x * speed, z: direction.z * speed };
+        
+        this.emit('dashEnd', { reason });
+    }
+
+    /**
+     * Check if something solid is right in front of the dash
+     * @returns {boolean} - Whether the dash ran into something
+     */
+    isDashBlocked() {
+        if (this.usingFallback || typeof this.physics.queryWall !== 'function') {
+            return false;
+        }
+        return this.physics.queryWall(this.character, this.state.dashDirection, 0.05) !== null;
+    }
+
+    /**
+     * Get the speed that covers dashDistance in dashDuration
+     * @returns {number} - Dash speed in m/s
+     */
+    getDashSpeed() {
+        return this.options.dashDuration > 0 ? this.options.dashDistance / this.options.dashDuration : 0;
+    }
+
+    /**
+     * Get the character's velocity for the current dash update
+     * @param {number} deltaTime - Time since last update
+     * @returns {Object} - Velocity as {x, y, z}
+     */
+    getDashVelocity(deltaTime) {
+        const speed = this.getDashSpeed();
+        
+        // Dynamic bodies get gravity from the physics step and the fallback has already applied it,
+        // so only kinematic mode integrates it here
+        let y = 0;
+        if (!this.options.dashIgnoresGravity) {
+            y = this.state.velocity.y + (this.isKinematic() && !this.usingFallback ? this.physics.gravity.y * deltaTime : 0);
+        }
+        
+        return { x: this.state.dashDirection.x * speed, y, z: this.state.dashDirection.z * speed };
+    }
+
+    /**
+     * Subscribe to a character event
+     * @param {string} type - 'dashStart', 'dashEnd', 'jump', 'fallback' or 'physicsRestored'; or a state machine event:
+     *   'stateChange', or a locomotion state name such as 'land' to hear about entering it
+     * @param {Function} callback - Called with the event
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, callback) {
+        const listeners = this.eventListeners[type];
+        if (!listeners) {
+            return this.stateMachine.on(type, callback);
+        }
+        
+        listeners.push(callback);
+        
+        return () => {
+            const index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Notify the listeners of a character event
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        // Copy so listeners can unsubscribe while being notified
+        this.eventListeners[type].slice().forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in character ${type} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Get the vertical speed a jump launches at: the jump impulse over the character's mass.
+     * Without a physics collider, the mass is that of the capsule Rapier would create.
+     * @returns {number} - Jump speed (m/s)
+     */
+    getJumpSpeed() {
+        const mass = this.usingFallback || !this.character ?
+            this.physics.getCapsuleMass(this.options.radius, this.getHeight()) :
+            this.physics.getColliderMass(this.character.collider);
+        return this.options.jumpForce / mass;
+    }
+
+    /**
+     * Get the current capsule height, which is lower while crouching
+     * @returns {number} - Capsule height (excluding hemispheres)
+     */
+    getHeight() {
+        return this.state.isCrouching ? this.options.crouchHeight : this.options.height;
+    }
+
+    /**
+     * Ease the horizontal movement velocity towards the input target at a constant rate,
+     * which keeps it independent of the frame rate.
+     * Slippery surfaces (low acceleration multiplier) make the character slide.
+     * @param {Object} inputDirection - Input movement direction in world space
+     * @param {number} deltaTime - Time since last update
+     * @returns {Object} - Movement velocity as {x, z}
+     */
+    updateMoveVelocity(inputDirection, deltaTime) {
+        const target = this.calculateMoveVelocity(inputDirection);
+        const current = this.state.moveVelocity;
+        const maxChange = this.getMoveRate(current, target) * deltaTime;
+        
+        const dx = target.x - current.x;
+        const dz = target.z - current.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        
+        if (distance <= maxChange) {
+            this.state.moveVelocity = { x: target.x, z: target.z };
+        } else {
+            this.state.moveVelocity = {
+                x: current.x + dx / distance * maxChange,
+                z: current.z + dz / distance * maxChange
+            };
+        }
+        
+        return { ...this.state.moveVelocity };
+    }
+
+    /**
+     * Update character rotation based on movement direction. In the 'character' frame the
+     * character turns towards the camera's view instead, since it moves relative to its facing.
+     * @param {Object} inputDirection - Input movement direction in world space
      * @param {number} deltaTime - Time since last update
      */
     updateRotation(inputDirection, deltaTime) {
+        // Tank-style turning: left/right input turns the character instead of moving it
+        if (this.options.movementFrame === 'tank') {
+            if (this.state.turnInput !== 0) {
+                this.state.rotation.y -= this.state.turnInput * this.options.turnSpeed * deltaTime;
+                this.state.direction = {
+                    x: Math.sin(this.state.rotation.y),
+                    z: Math.cos(this.state.rotation.y)
+                };
+            }
+            return;
+        }
+        
         // Only update rotation if we're actually moving
         if (inputDirection.x !== 0 || inputDirection.z !== 0) {
             // Calculate target rotation angle based on movement direction
-            const targetAngle = Math.atan2(inputDirection.x, inputDirection.z);
+            const targetAngle = this.options.movementFrame === 'character' ?
+                this.state.cameraYaw :
+                Math.atan2(inputDirection.x, inputDirection.z);
             
             // Current rotation angle
             let currentAngle = this.state.rotation.y;
@@ -161,23 +1135,26 @@ export class CharacterController {
      * @param {number} deltaTime - Time since last update
      */
     updateFallbackMovement(input, deltaTime) {
-        // Get movement direction from input
-        const inputDirection = input.getMovementDirection();
-        this.state.movementDirection = { ...inputDirection };
+        const collision = this.getFallbackCollision();
+        
+        // Get movement direction from input, in world space
+        const inputDirection = this.getInputDirection(input);
         
         // Update character rotation based on movement direction
         this.updateRotation(inputDirection, deltaTime);
         
-        // Simple gravity simulation
+        // Crouch and sprint
+        this.updateFallbackCrouchState(input, collision);
+        this.updateSprintState(input, deltaTime);
+        
+        // Buffer jump presses and cut jumps short
+        this.updateJumpInput(input, deltaTime);
+        
+        // Fall with the physics world's gravity
         if (!this.state.isGrounded) {
-            this.state.velocity.y -= 9.81 * deltaTime;
+            this.state.velocity.y += this.physics.gravity.y * this.getGravityScale() * deltaTime;
         } else {
             this.state.velocity.y = 0;
-            
-            // Reset jump state when landing
-            if (this.state.isJumping) {
-                this.state.isJumping = false;
-            }
         }
         
         // Update jump cooldown timer
@@ -186,47 +1163,136 @@ export class CharacterController {
         }
         
         // Handle jumping with fallback system
-        if (input.isJumping() && this.state.isGrounded && this.state.jumpCooldownTimer <= 0) {
-            this.state.velocity.y = this.options.jumpForce * 0.1; // Reduced force for fallback
-            this.state.isJumping = true;
-            this.state.isGrounded = false;
-            this.state.jumpCooldownTimer = this.options.jumpCooldown;
+        if (this.consumeJump()) {
+            this.state.velocity.y = this.getJumpSpeed();
         }
         
-        // Calculate movement velocity based on character's forward direction
-        if (inputDirection.x !== 0 || inputDirection.z !== 0) {
-            // Calculate movement in character's local space
-            const moveSpeed = this.options.moveSpeed * (this.state.isGrounded ? 1.0 : this.options.airControl);
-            
-            // Apply movement in the direction the character is facing
-            this.state.velocity.x = this.state.direction.x * inputDirection.z * moveSpeed;
-            this.state.velocity.z = this.state.direction.z * inputDirection.z * moveSpeed;
-            
-            // Add strafing (left/right movement perpendicular to forward direction)
-            this.state.velocity.x += -this.state.direction.z * inputDirection.x * moveSpeed;
-            this.state.velocity.z += this.state.direction.x * inputDirection.x * moveSpeed;
+        // Ease towards the input velocity, like the physics modes, unless dashing
+        if (this.updateDash(input, inputDirection, deltaTime)) {
+            this.state.velocity = this.getDashVelocity(deltaTime);
         } else {
-            // Slow down when no input
-            this.state.velocity.x *= 0.9;
-            this.state.velocity.z *= 0.9;
+            const horizontal = this.updateMoveVelocity(inputDirection, deltaTime);
+            this.state.velocity.x = horizontal.x;
+            this.state.velocity.z = horizontal.z;
+        }
+        
+        // Move through the fallback collision world, sliding along walls and stepping up ledges
+        const halfHeight = this.getHeight() / 2;
+        const wasGrounded = this.state.isGrounded;
+        const result = collision.move(this.state.position, {
+            x: this.state.velocity.x * deltaTime,
+            y: this.state.velocity.y * deltaTime,
+            z: this.state.velocity.z * deltaTime
+        }, halfHeight, this.options.radius, {
+            stepHeight: wasGrounded && this.options.autostep ? this.options.autostepMaxHeight : 0,
+            maxSlopeAngle: this.options.maxSlopeAngle
+        });
+        this.state.position = result.position;
+        
+        // Stop moving into whatever we hit
+        result.contacts.forEach(contact => {
+            const into = this.state.velocity.x * contact.normal.x +
+                this.state.velocity.y * contact.normal.y +
+                this.state.velocity.z * contact.normal.z;
+            if (into < 0) {
+                this.state.velocity.x -= contact.normal.x * into;
+                this.state.velocity.y -= contact.normal.y * into;
+                this.state.velocity.z -= contact.normal.z * into;
+            }
+        });
+        
+        // Stick to the ground walking down slopes and steps, unless jumping
+        const snap = wasGrounded && this.state.velocity.y <= 0 && this.options.snapToGround;
+        this.updateFallbackGroundState(collision, snap ? this.options.snapToGroundDistance : 0);
+    }
+
+    /**
+     * Crouch and stand back up without a physics collider, like updateCrouchState: the
+     * capsule shrinks and grows about its feet, and standing waits for room overhead
+     * @param {Object} input - Input handler
+     * @param {CollisionWorld} collision - Collision world to check for room in
+     */
+    updateFallbackCrouchState(input, collision) {
+        const wantsCrouch = typeof input.isCrouching === 'function' && input.isCrouching();
+        const change = this.options.height - this.options.crouchHeight;
+        this.state.isCrouchBlocked = false;
+        
+        if (wantsCrouch && !this.state.isCrouching) {
+            this.state.isCrouching = true;
+            this.state.position.y -= change / 2;
+        } else if (!wantsCrouch && this.state.isCrouching) {
+            // Check the space the capsule grows into with a slightly thinner capsule,
+            // as PhysicsWorld.queryCeiling does, so walls beside it don't count
+            const radius = this.options.radius * 0.9;
+            const inset = this.options.radius - radius;
+            const halfHeight = (this.options.crouchHeight + inset + change) / 2;
+            const center = {
+                x: this.state.position.x,
+                y: this.state.position.y + (inset + change) / 2,
+                z: this.state.position.z
+            };
             
-            // Stop completely if very slow
-            if (Math.abs(this.state.velocity.x) < 0.01) this.state.velocity.x = 0;
-            if (Math.abs(this.state.velocity.z) < 0.01) this.state.velocity.z = 0;
+            if (collision.isPenetrating(center, halfHeight, radius)) {
+                this.state.isCrouchBlocked = true;
+            } else {
+                this.state.isCrouching = false;
+                this.state.position.y += change / 2;
+            }
         }
+    }
+
+    /**
+     * Get the collision world the fallback movement collides with
+     * @returns {CollisionWorld} - The physics world's mirror of the level, or a flat floor
+     *   at y = 0 if nothing was loaded into it
+     */
+    getFallbackCollision() {
+        // While the physics world restarts, its old shapes stand in for the level
+        const collision = this.physics.previousCollision || this.physics.collision;
+        if (collision && !collision.isEmpty()) {
+            return collision;
+        }
+        
+        if (!this.fallbackFloor) {
+            this.fallbackFloor = new CollisionWorld();
+            this.fallbackFloor.addPlane({ x: 0, y: 1, z: 0 });
+        }
+        return this.fallbackFloor;
+    }
+
+    /**
+     * Query the fallback collision world for the ground below the character
+     * @param {CollisionWorld} collision - Collision world to query
+     * @param {number} snapDistance - How far to pull the character down onto the ground (0 to disable)
+     */
+    updateFallbackGroundState(collision, snapDistance = 0) {
+        const halfHeight = this.getHeight() / 2;
+        const skinWidth = Math.max(this.options.groundSkinWidth, snapDistance);
+        const hit = collision.queryGround(this.state.position, halfHeight, this.options.radius, skinWidth);
         
-        // Update position based on velocity
-        this.state.position.x += this.state.velocity.x * deltaTime;
-        this.state.position.y += this.state.velocity.y * deltaTime;
-        this.state.position.z += this.state.velocity.z * deltaTime;
+        let ground = null;
+        if (hit && (hit.distance <= this.options.groundSkinWidth || snapDistance > 0)) {
+            ground = {
+                point: hit.point,
+                normal: hit.normal,
+                distance: hit.distance,
+                angle: this.physics.getSurfaceAngle(hit.normal),
+                collider: null,
+                colliderHandle: null,
+                material: this.physics.getSurface(hit.surface)
+            };
+        }
         
-        // Simple ground collision
-        if (this.state.position.y < 1) {
-            this.state.position.y = 1;
-            this.state.isGrounded = true;
-        } else {
-            this.state.isGrounded = false;
+        const walkable = ground !== null && ground.angle <= this.options.maxSlopeAngle;
+        if (walkable && snapDistance > 0 && ground.distance > 0) {
+            this.state.position.y -= ground.distance;
+            ground.distance = 0;
         }
+        
+        this.state.ground = ground;
+        this.state.surface = ground !== null ? ground.material || null : null;
+        this.state.isGrounded = walkable;
+        this.state.isOnSteepSlope = ground !== null && !walkable;
     }
 
     /**
@@ -236,28 +1302,49 @@ export class CharacterController {
      */
     handleMovement(input, deltaTime) {
         try {
-            // Get movement direction from input
-            const inputDirection = input.getMovementDirection();
+            // Movement direction read from input this update
+            const inputDirection = this.state.movementDirection;
             
-            // Calculate movement in character's local space
-            const moveSpeed = this.options.moveSpeed * (this.state.isGrounded ? 1.0 : this.options.airControl);
-            let targetVelocity = { x: 0, y: this.state.velocity.y, z: 0 };
+            const horizontal = this.updateMoveVelocity(inputDirection, deltaTime);
+            let targetVelocity = { x: horizontal.x, y: this.state.velocity.y, z: horizontal.z };
             
-            if (inputDirection.x !== 0 || inputDirection.z !== 0) {
-                // Apply movement in the direction the character is facing
-                targetVelocity.x = this.state.direction.x * inputDirection.z * moveSpeed;
-                targetVelocity.z = this.state.direction.z * inputDirection.z * moveSpeed;
-                
-                // Add strafing (left/right movement perpendicular to forward direction)
-                targetVelocity.x += -this.state.direction.z * inputDirection.x * moveSpeed;
-                targetVelocity.z += this.state.direction.x * inputDirection.x * moveSpeed;
+            this.updateSlideVelocity(deltaTime);
+            const ground = this.state.ground;
+            const carried = this.getCarriedVelocity();
+            
+            if (this.state.isGrounded && ground && !this.state.isJumping) {
+                // Follow the surface so we neither launch off ramps nor bounce down them.
+                // Keep a faster fall (e.g. when landing) rather than cancelling it.
+                const projected = this.projectOnGround(horizontal, ground.normal);
+                const relativeFall = this.state.velocity.y - carried.y;
+                targetVelocity = {
+                    x: projected.x,
+                    y: (projected.y > 0 ? projected.y : Math.min(projected.y, relativeFall)) + carried.y,
+                    z: projected.z
+                };
+            } else if (this.state.isOnSteepSlope && ground) {
+                // Too steep to walk: block input up the slope and slide down it
+                const filtered = this.removeUphillComponent(horizontal, ground.normal);
+                targetVelocity.x = filtered.x + this.state.slideVelocity.x;
+                targetVelocity.z = filtered.z + this.state.slideVelocity.z;
             }
+            
+            // Don't press into walls in mid-air, or friction holds us up on them
+            if (this.state.wall) {
+                const filtered = this.removeUphillComponent(targetVelocity, this.state.wall.normal);
+                targetVelocity.x = filtered.x;
+                targetVelocity.z = filtered.z;
+            }
+            
+            // Move with the platform we're on, or keep the momentum from one we left
+            targetVelocity.x += carried.x;
+            targetVelocity.z += carried.z;
 
             // Apply the velocity to the character
             this.physics.setBodyVelocity(this.character.body, targetVelocity);
         } catch (error) {
             console.error('Error in handleMovement, switching to fallback:', error);
-            this.usingFallback = true;
+            this.switchToFallback(error);
         }
     }
 
@@ -268,25 +1355,195 @@ export class CharacterController {
      */
     handleJump(input, deltaTime) {
         try {
-            // Check if jump button is pressed and character is grounded
-            if (input.isJumping() && this.state.isGrounded && this.state.jumpCooldownTimer <= 0) {
+            // Jump if a press is buffered and we're on the ground, at a wall or have air jumps left
+            const jump = this.consumeJump();
+            if (jump) {
+                // Coyote and air jumps start from a fall; don't let it eat into the jump.
+                // Wall jumps also push away from the wall.
+                const velocity = this.character.body.linvel();
+                const carried = this.getCarriedVelocity();
+                this.physics.setBodyVelocity(this.character.body, {
+                    x: jump === 'wall' ? this.state.moveVelocity.x + carried.x : velocity.x,
+                    y: Math.max(velocity.y, 0),
+                    z: jump === 'wall' ? this.state.moveVelocity.z + carried.z : velocity.z
+                });
+                
                 // Apply jump impulse
                 this.physics.applyImpulse(this.character.body, { x: 0, y: this.options.jumpForce, z: 0 });
-                
-                // Set jump state
-                this.state.isJumping = true;
-                this.state.isGrounded = false;
-                this.state.jumpCooldownTimer = this.options.jumpCooldown;
-            }
-
-            // Reset jump state when landing
-            if (this.state.isGrounded && this.state.isJumping) {
-                this.state.isJumping = false;
             }
         } catch (error) {
             console.error('Error in handleJump, switching to fallback:', error);
-            this.usingFallback = true;
+            this.switchToFallback(error);
+        }
+    }
+
+    /**
+     * Launch the character upwards when it stands on a surface with a launch speed
+     */
+    handleJumpPad() {
+        const launchSpeed = this.getSurfaceProperty('launchSpeed', 0);
+        if (launchSpeed <= 0 || this.state.isJumping) return;
+        
+        if (this.isKinematic()) {
+            this.state.velocity.y = launchSpeed;
+        } else {
+            const velocity = this.character.body.linvel();
+            this.physics.setBodyVelocity(this.character.body, { x: velocity.x, y: launchSpeed, z: velocity.z });
+            this.state.velocity.y = launchSpeed;
+        }
+        
+        this.state.isJumping = true;
+        this.state.isGrounded = false;
+        this.state.jumpCooldownTimer = this.options.jumpCooldown;
+        this.state.coyoteTimer = 0;
+        this.state.canCutJump = false; // Releasing jump shouldn't cut a launch short
+    }
+
+    /**
+     * Check whether an action went down since the last update. Uses the input's per-tick
+     * snapshot when it has one, so taps shorter than a tick still count; otherwise compares
+     * the held state with the previous update.
+     * @param {Object} input - Input handler
+     * @param {string} action - Action name ('jump' or 'dash')
+     * @param {boolean} held - Whether the action is held now
+     * @returns {boolean} - Whether it was just pressed
+     */
+    wasActionPressed(input, action, held) {
+        const key = `${action}Held`;
+        const pressed = typeof input.wasPressed === 'function' ?
+            input.wasPressed(action) : held && !this.state[key];
+        this.state[key] = held;
+        return pressed;
+    }
+
+    /**
+     * Track jump input: buffer presses, run the coyote timer and cut jumps short on release
+     * @param {Object} input - Input handler
+     * @param {number} deltaTime - Time since last update
+     */
+    updateJumpInput(input, deltaTime) {
+        const held = input.isJumping();
+        
+        // Remember a fresh press for a short while so pressing just before landing still jumps
+        if (this.state.jumpBufferTimer >= 0) {
+            this.state.jumpBufferTimer -= deltaTime;
+        }
+        if (this.wasActionPressed(input, 'jump', held)) {
+            this.state.jumpBufferTimer = this.options.jumpBufferTime;
+        }
+        
+        // Keep jumping possible for a moment after walking off a ledge
+        if (this.state.isGrounded && !this.state.isJumping) {
+            this.state.coyoteTimer = this.options.coyoteTime;
+            this.state.airJumpsUsed = 0;
+        } else if (this.state.coyoteTimer > 0) {
+            this.state.coyoteTimer -= deltaTime;
+        }
+        
+        // Releasing jump while rising makes a shorter jump
+        if (!held && this.state.canCutJump && this.state.velocity.y > 0) {
+            this.state.velocity.y *= this.options.jumpCutMultiplier;
+            this.state.canCutJump = false;
+        }
+    }
+
+    /**
+     * Start a jump if one is buffered and the character can jump, updating the jump state.
+     * Ground (and coyote) jumps come first, then wall jumps, then air jumps.
+     * The caller applies the actual jump velocity.
+     * @returns {string|null} - Kind of jump started ('ground', 'wall' or 'air'), or null
+     */
+    consumeJump() {
+        if (this.state.jumpBufferTimer < 0) {
+            return null;
+        }
+        
+        let type = null;
+        if (this.state.isGrounded || this.state.coyoteTimer > 0) {
+            // The cooldown stops ground jumps from retriggering while the ground is still in reach
+            if (this.state.jumpCooldownTimer > 0) return null;
+            type = 'ground';
+        } else if (this.options.wallJump && this.state.wall) {
+            type = 'wall';
+        } else if (this.state.airJumpsUsed < this.options.airJumps) {
+            type = 'air';
+            this.state.airJumpsUsed++;
+        } else {
+            return null;
+        }
+        
+        if (type === 'wall') {
+            // Leave the wall at wallJumpSpeed; air acceleration takes over from there
+            const normal = this.state.wall.normal;
+            const length = Math.sqrt(normal.x * normal.x + normal.z * normal.z) || 1;
+            this.state.moveVelocity = {
+                x: normal.x / length * this.options.wallJumpSpeed,
+                z: normal.z / length * this.options.wallJumpSpeed
+            };
+            this.state.wall = null;
+            this.state.isWallSliding = false;
+        }
+        
+        this.state.jumpType = type;
+        this.state.jumpBufferTimer = -1;
+        this.state.coyoteTimer = 0;
+        this.state.isJumping = true;
+        this.state.isGrounded = false;
+        this.state.canCutJump = true;
+        this.state.jumpCooldownTimer = this.options.jumpCooldown;
+        
+        this.emit('jump', { type });
+        return type;
+    }
+
+    /**
+     * Look for a wall the character is pushing against while airborne
+     * @param {Object} inputDirection - Input movement direction in world space
+     */
+    updateWallState(inputDirection) {
+        const previous = this.state.wall;
+        this.state.wall = null;
+        
+        if (this.state.isGrounded || typeof this.physics.queryWall !== 'function') {
+            return;
+        }
+        if (!this.options.wallSlide && !this.options.wallJump) {
+            return;
+        }
+        
+        // Walls count once we steer into them, and stay until we steer away or leave them
+        let direction = this.calculateMoveVelocity(inputDirection);
+        if (direction.x === 0 && direction.z === 0 && previous) {
+            direction = { x: -previous.normal.x, z: -previous.normal.z };
         }
+        this.state.wall = this.physics.queryWall(this.character, direction, this.options.wallCheckDistance);
+    }
+
+    /**
+     * Cap the fall speed while sliding down a wall
+     */
+    applyWallSlide() {
+        this.state.isWallSliding = this.options.wallSlide && this.state.wall !== null && this.state.velocity.y < 0;
+        
+        if (this.state.isWallSliding && this.state.velocity.y < -this.options.wallSlideSpeed) {
+            this.state.velocity.y = -this.options.wallSlideSpeed;
+        }
+    }
+
+    /**
+     * Get the gravity scale for the current part of a jump or fall
+     * @returns {number} - Multiplier for gravity
+     */
+    getGravityScale() {
+        if (this.state.isGrounded) return 1.0;
+        
+        if (this.state.isJumping && Math.abs(this.state.velocity.y) < this.options.apexHangThreshold) {
+            return this.options.apexGravityMultiplier;
+        }
+        if (this.state.velocity.y < 0) {
+            return this.options.fallGravityMultiplier;
+        }
+        return 1.0;
     }
 
     /**
@@ -299,7 +1556,7 @@ export class CharacterController {
         }
         
         if (!this.character || !this.character.body) {
-            this.usingFallback = true;
+            this.switchToFallback(new Error('Character has no physics body'));
             return { ...this.state.position };
         }
         
@@ -310,7 +1567,7 @@ export class CharacterController {
             return position;
         } catch (error) {
             console.error('Error getting position, using fallback:', error);
-            this.usingFallback = true;
+            this.switchToFallback(error);
             return { ...this.state.position };
         }
     }
@@ -339,6 +1596,14 @@ export class CharacterController {
         return { ...this.state.movementDirection };
     }
 
+    /**
+     * Get the ground the character is standing on
+     * @returns {Object|null} - Ground info as {point, normal, distance, angle, collider, colliderHandle, material}, or null when airborne
+     */
+    getGround() {
+        return this.state.ground ? { ...this.state.ground } : null;
+    }
+
     /**
      * Get the character's current state
      * @returns {Object} - Character state
@@ -346,4 +1611,68 @@ export class CharacterController {
     getState() {
         return { ...this.state };
     }
+
+    /**
+     * Take a copy of everything the next update depends on, for restoreState: the state
+     * (velocity, timers, stamina, crouching, platform...), the locomotion state and what
+     * the body carries itself: its velocity in dynamic mode, or the move waiting for the
+     * next step in kinematic mode. Physics colliders in it are left out.
+     * @returns {Object} - Plain JSON state
+     */
+    captureState() {
+        const state = JSON.parse(JSON.stringify(this.state, (key, value) => key === 'collider' ? undefined : value));
+        let body = null;
+        
+        if (!this.usingFallback && this.character) {
+            try {
+                const vector = value => ({ x: value.x, y: value.y, z: value.z });
+                body = this.isKinematic() ?
+                    { nextPosition: vector(this.character.body.nextTranslation()) } :
+                    { velocity: vector(this.character.body.linvel()) };
+            } catch (error) {
+                console.error('Failed to read character body state:', error);
+            }
+        }
+        
+        return {
+            state,
+            locomotion: {
+                current: this.stateMachine.current,
+                previous: this.stateMachine.previous,
+                timeInState: this.stateMachine.timeInState
+            },
+            body
+        };
+    }
+
+    /**
+     * Put the character back into a state taken by captureState. The physics body is
+     * moved to where the state has the character, crouching or standing as it was.
+     * @param {Object} saved - State returned by captureState
+     */
+    restoreState(saved) {
+        this.state = {
+            ...this.state,
+            ...JSON.parse(JSON.stringify(saved.state))
+        };
+        
+        this.stateMachine.current = saved.locomotion.current;
+        this.stateMachine.previous = saved.locomotion.previous;
+        this.stateMachine.timeInState = saved.locomotion.timeInState;
+        
+        if (this.usingFallback || !this.character) return;
+        
+        // Swap in a capsule of the saved height, then put the body where the state has it
+        if (this.character.height !== this.getHeight()) {
+            this.physics.resizeCharacter(this.character, this.getHeight());
+        }
+        this.physics.setBodyPosition(this.character.body, this.state.position);
+        
+        const body = saved.body || {};
+        if (this.isKinematic()) {
+            this.physics.setNextBodyPosition(this.character.body, body.nextPosition || this.state.position);
+        } else {
+            this.physics.setBodyVelocity(this.character.body, body.velocity || this.state.velocity);
+        }
+    }
 }
\ No newline at end of file
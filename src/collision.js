@@ -0,0 +1,1010 @@
+/**
+ * Lightweight collision world in plain JavaScript, used by the fallback movement system
+ * when Rapier isn't available. PhysicsWorld mirrors every solid shape it creates here, so
+ * the fallback collides with the same level as the physics world.
+ *
+ * Boxes, cylinders and convex hulls become convex brushes (the planes bounding them),
+ * balls stay spheres and planes are single-plane half-spaces. Triangle meshes and
+ * heightfields become one brush per triangle: upward-facing triangles are extruded
+ * straight down, the others are given a little thickness behind their face. The
+ * character is a vertical capsule. Parts are culled with AABBs before the capsule is
+ * tested against their planes.
+ *
+ * Shapes are only converted the first time they're queried, so mirroring a level costs
+ * next to nothing while Rapier is running.
+ */
+export class CollisionWorld {
+    /**
+     * Create an empty collision world
+     */
+    constructor() {
+        this.bodies = new Map(); // Bodies by id: {id, shapes, parts, position, rotation, body, surface, type}
+        this.nextId = 1;
+        this.maxHullPoints = 64;  // Convex hulls with more points collide as their bounding box
+        this.cylinderSegments = 24; // Sides of the prism used for cylinders, as in PhysicsWorld
+        this.triangleThickness = 0.5; // Depth of the solid behind each mesh and heightfield triangle
+        this.minFloorNormalY = 0.5; // Triangles facing at least this much upwards are extruded down
+        this.iterations = 8;      // Push-out passes per move
+        this.epsilon = 1e-6;
+    }
+
+    /**
+     * Add a body made of one or more shapes
+     * @param {Object} options - Body options
+     * @param {Object} options.position - Body position as {x, y, z}
+     * @param {Object} options.rotation - Body rotation as a quaternion {x, y, z, w}
+     * @param {Array<Object>} options.shapes - Shapes in PhysicsWorld.createColliderDesc's format
+     * @param {string} options.surface - Name of the body's surface
+     * @param {string} options.type - Tag for the body, such as 'static', 'platform' or 'prop'
+     * @param {Object} options.body - Rapier body to follow as it moves (optional)
+     * @returns {number} - Body id
+     */
+    addBody(options = {}) {
+        const {
+            position = { x: 0, y: 0, z: 0 },
+            rotation = { x: 0, y: 0, z: 0, w: 1 },
+            shapes = [],
+            surface = 'default',
+            type = 'static',
+            body = null
+        } = options;
+
+        const id = this.nextId++;
+        this.bodies.set(id, {
+            id,
+            shapes,
+            parts: null, // Created on first use
+            position: { ...position },
+            rotation: { ...rotation },
+            body,
+            surface,
+            type,
+            cache: null
+        });
+        return id;
+    }
+
+    /**
+     * Add an infinite plane; everything behind it is solid
+     * @param {Object} normal - Plane normal as {x, y, z}, pointing out of the solid side
+     * @param {Object} point - Any point on the plane as {x, y, z}
+     * @param {string} surface - Name of the plane's surface
+     * @returns {number} - Body id
+     */
+    addPlane(normal, point = { x: 0, y: 0, z: 0 }, surface = 'default') {
+        const n = this.normalize(normal);
+        const id = this.nextId++;
+        this.bodies.set(id, {
+            id,
+            shapes: [],
+            parts: [{
+                type: 'brush',
+                planes: [{ normal: n, distance: this.dot(n, point) }],
+                bounds: null // Unbounded
+            }],
+            position: { x: 0, y: 0, z: 0 },
+            rotation: { x: 0, y: 0, z: 0, w: 1 },
+            body: null,
+            surface,
+            type: 'plane',
+            cache: null
+        });
+        return id;
+    }
+
+    /**
+     * Follow a physics body, so the collision moves wherever the body ends up
+     * @param {number} id - Body id returned by addBody
+     * @param {Object} body - Rapier body
+     */
+    setBody(id, body) {
+        const entry = this.bodies.get(id);
+        if (entry) {
+            entry.body = body;
+            entry.cache = null;
+        }
+    }
+
+    /**
+     * Remove a body
+     * @param {number} id - Body id
+     */
+    remove(id) {
+        this.bodies.delete(id);
+    }
+
+    /**
+     * Remove every body
+     */
+    clear() {
+        this.bodies.clear();
+    }
+
+    /**
+     * Stop following physics bodies, leaving each body where it was last seen.
+     * Call before the physics world they belong to is freed.
+     */
+    freeze() {
+        this.bodies.forEach(entry => {
+            this.getPose(entry);
+            entry.body = null;
+        });
+    }
+
+    /**
+     * Check whether there's anything to collide with. Bodies none of whose shapes could be
+     * converted don't count, so this converts the shapes that haven't been yet.
+     * @returns {boolean}
+     */
+    isEmpty() {
+        for (const entry of this.bodies.values()) {
+            if (this.getParts(entry).length > 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get a body's collision parts in its own space, converting its shapes on first use
+     * @param {Object} entry - Body entry
+     * @returns {Array<Object>} - Parts
+     */
+    getParts(entry) {
+        if (!entry.parts) {
+            entry.parts = this.createParts(entry.shapes);
+        }
+        return entry.parts;
+    }
+
+    /**
+     * Convert a body's shapes into collision parts, leaving out unsupported ones
+     * @param {Array<Object>} shapes - Shapes in PhysicsWorld.createColliderDesc's format
+     * @returns {Array<Object>} - Parts in the body's space
+     */
+    createParts(shapes) {
+        const parts = [];
+        shapes.forEach(shape => {
+            try {
+                const shapeParts = shape.type === 'trimesh' || shape.type === 'heightfield' ?
+                    this.createTriangleParts(shape) : [this.createPart(shape)];
+                shapeParts.forEach(part => {
+                    if (part) parts.push(part);
+                });
+            } catch (error) {
+                console.error(`Failed to create fallback collision for a ${shape.type} shape:`, error);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Convert a convex shape into a collision part in its body's space
+     * @param {Object} shape - Shape in PhysicsWorld.createColliderDesc's format
+     * @returns {Object|null} - Part as {type: 'brush', planes, bounds} or {type: 'sphere', center, radius, bounds},
+     *   or null if the shape isn't supported
+     */
+    createPart(shape) {
+        let part;
+
+        switch (shape.type) {
+            case 'cuboid':
+                part = this.createBoxBrush(shape.halfExtents);
+                break;
+            case 'ball':
+                part = {
+                    type: 'sphere',
+                    center: { x: 0, y: 0, z: 0 },
+                    radius: shape.radius,
+                    bounds: this.createBounds({ x: shape.radius, y: shape.radius, z: shape.radius })
+                };
+                break;
+            case 'cylinder':
+                part = this.createCylinderBrush(shape.halfHeight, shape.radius);
+                break;
+            case 'capsule':
+                // Close enough for an obstacle the character walks around
+                part = this.createBoxBrush({ x: shape.radius, y: shape.halfHeight + shape.radius, z: shape.radius });
+                break;
+            case 'convexHull':
+                part = this.createHullBrush(shape.points);
+                break;
+            default:
+                return null;
+        }
+
+        if (!part) {
+            return null;
+        }
+
+        return this.transformPart(
+            part,
+            shape.offset || { x: 0, y: 0, z: 0 },
+            shape.rotation || { x: 0, y: 0, z: 0, w: 1 }
+        );
+    }
+
+    /**
+     * Convert a triangle mesh or heightfield into one brush per triangle, in its body's space
+     * @param {Object} shape - Trimesh or heightfield shape in PhysicsWorld.createColliderDesc's format
+     * @returns {Array<Object>} - Brush parts
+     */
+    createTriangleParts(shape) {
+        const triangles = shape.type === 'trimesh' ?
+            this.getTrimeshTriangles(shape.vertices, shape.indices) :
+            this.getHeightfieldTriangles(shape.nrows, shape.ncols, shape.heights, shape.scale);
+        const offset = shape.offset || { x: 0, y: 0, z: 0 };
+        const rotation = shape.rotation || { x: 0, y: 0, z: 0, w: 1 };
+
+        const parts = [];
+        triangles.forEach(([a, b, c]) => {
+            const brush = this.createTriangleBrush(a, b, c);
+            if (brush) parts.push(this.transformPart(brush, offset, rotation));
+        });
+        return parts;
+    }
+
+    /**
+     * Get the triangles of a triangle mesh
+     * @param {Array<number>} vertices - Vertices as [x, y, z, ...]
+     * @param {Array<number>} indices - Three vertex indices per triangle
+     * @returns {Array<Array<Object>>} - Triangles as [a, b, c], counter-clockwise seen from the front
+     */
+    getTrimeshTriangles(vertices, indices) {
+        const vertex = index => ({ x: vertices[index * 3], y: vertices[index * 3 + 1], z: vertices[index * 3 + 2] });
+        const triangles = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            triangles.push([vertex(indices[i]), vertex(indices[i + 1]), vertex(indices[i + 2])]);
+        }
+        return triangles;
+    }
+
+    /**
+     * Get the triangles of a heightfield, laid out like Rapier's: centered on the origin,
+     * with rows along z and columns along x
+     * @param {number} nrows - Number of rows of cells
+     * @param {number} ncols - Number of columns of cells
+     * @param {Array<number>} heights - (nrows + 1) * (ncols + 1) heights, column by column
+     * @param {Object} scale - Size of the heightfield as {x, y, z}, with y scaling the heights
+     * @returns {Array<Array<Object>>} - Triangles as [a, b, c], facing up
+     */
+    getHeightfieldTriangles(nrows, ncols, heights, scale) {
+        const point = (row, col) => ({
+            x: (col / ncols - 0.5) * scale.x,
+            y: heights[col * (nrows + 1) + row] * scale.y,
+            z: (row / nrows - 0.5) * scale.z
+        });
+
+        const triangles = [];
+        for (let row = 0; row < nrows; row++) {
+            for (let col = 0; col < ncols; col++) {
+                const corner = point(row, col);
+                const opposite = point(row + 1, col + 1);
+                triangles.push([corner, point(row + 1, col), opposite]);
+                triangles.push([corner, opposite, point(row, col + 1)]);
+            }
+        }
+        return triangles;
+    }
+
+    /**
+     * Create a brush for a triangle. A triangle facing upwards enough to stand on is
+     * extruded straight down below its lowest corner, so neighbouring triangles of a
+     * floor meet without seams; any other triangle is given a thickness behind its face.
+     * @param {Object} a - First corner as {x, y, z}
+     * @param {Object} b - Second corner
+     * @param {Object} c - Third corner, counter-clockwise from the others seen from the front
+     * @returns {Object|null} - Brush part, or null if the triangle has no area
+     */
+    createTriangleBrush(a, b, c) {
+        const cross = this.cross(this.subtract(b, a), this.subtract(c, a));
+        const length = Math.sqrt(this.dot(cross, cross));
+        if (length < this.epsilon) return null;
+
+        const normal = this.scale(cross, 1 / length);
+        const thickness = this.triangleThickness;
+        const floor = normal.y >= this.minFloorNormalY;
+        const corners = [a, b, c];
+        const planes = [{ normal, distance: this.dot(normal, a) }];
+        let points;
+
+        if (floor) {
+            const bottom = Math.min(a.y, b.y, c.y) - thickness;
+            planes.push({ normal: { x: 0, y: -1, z: 0 }, distance: -bottom });
+            points = [...corners, ...corners.map(corner => ({ x: corner.x, y: bottom, z: corner.z }))];
+        } else {
+            planes.push({ normal: this.scale(normal, -1), distance: thickness - planes[0].distance });
+            points = [...corners, ...corners.map(corner => this.add(corner, this.scale(normal, -thickness)))];
+        }
+
+        // One side per edge, facing away from the opposite corner: upright for floors,
+        // otherwise square to the face
+        corners.forEach((start, i) => {
+            const end = corners[(i + 1) % 3];
+            const opposite = corners[(i + 2) % 3];
+            const edge = this.subtract(end, start);
+            let side = this.normalize(floor ?
+                { x: edge.z, y: 0, z: -edge.x } :
+                this.cross(edge, normal));
+            if (this.dot(side, this.subtract(opposite, start)) > 0) {
+                side = this.scale(side, -1);
+            }
+            planes.push({ normal: side, distance: this.dot(side, start) });
+        });
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        points.forEach(point => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], point[axis]);
+                max[axis] = Math.max(max[axis], point[axis]);
+            });
+        });
+
+        return { type: 'brush', planes, bounds: { min, max } };
+    }
+
+    /**
+     * Create a brush for a box centered on the origin
+     * @param {Object} halfExtents - Half the box's size as {x, y, z}
+     * @returns {Object} - Brush part
+     */
+    createBoxBrush(halfExtents) {
+        const { x, y, z } = halfExtents;
+        return {
+            type: 'brush',
+            planes: [
+                { normal: { x: 1, y: 0, z: 0 }, distance: x },
+                { normal: { x: -1, y: 0, z: 0 }, distance: x },
+                { normal: { x: 0, y: 1, z: 0 }, distance: y },
+                { normal: { x: 0, y: -1, z: 0 }, distance: y },
+                { normal: { x: 0, y: 0, z: 1 }, distance: z },
+                { normal: { x: 0, y: 0, z: -1 }, distance: z }
+            ],
+            bounds: this.createBounds(halfExtents)
+        };
+    }
+
+    /**
+     * Create a brush for an upright cylinder, as the same prism PhysicsWorld uses
+     * @param {number} halfHeight - Half the cylinder's height
+     * @param {number} radius - Cylinder radius
+     * @returns {Object} - Brush part
+     */
+    createCylinderBrush(halfHeight, radius) {
+        const segments = this.cylinderSegments;
+        const planes = [
+            { normal: { x: 0, y: 1, z: 0 }, distance: halfHeight },
+            { normal: { x: 0, y: -1, z: 0 }, distance: halfHeight }
+        ];
+
+        // Each side lies between two corners of the prism, so its normal points between them
+        for (let i = 0; i < segments; i++) {
+            const angle = ((i + 0.5) / segments) * Math.PI * 2;
+            planes.push({
+                normal: { x: Math.cos(angle), y: 0, z: Math.sin(angle) },
+                distance: radius * Math.cos(Math.PI / segments)
+            });
+        }
+
+        return {
+            type: 'brush',
+            planes,
+            bounds: this.createBounds({ x: radius, y: halfHeight, z: radius })
+        };
+    }
+
+    /**
+     * Create a brush for the convex hull of a set of points
+     * @param {Array<number>} points - Points as [x, y, z, ...]
+     * @returns {Object|null} - Brush part, or null if the points don't enclose a volume
+     */
+    createHullBrush(points) {
+        const vertices = [];
+        for (let i = 0; i + 2 < points.length; i += 3) {
+            vertices.push({ x: points[i], y: points[i + 1], z: points[i + 2] });
+        }
+        if (vertices.length < 4) return null;
+
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        vertices.forEach(vertex => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], vertex[axis]);
+                max[axis] = Math.max(max[axis], vertex[axis]);
+            });
+        });
+        const bounds = { min, max };
+
+        // Finding the faces below is O(n^4), so large hulls collide as their bounding box instead
+        if (vertices.length > this.maxHullPoints) {
+            const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+            const brush = this.createBoxBrush({ x: (max.x - min.x) / 2, y: (max.y - min.y) / 2, z: (max.z - min.z) / 2 });
+            return this.transformPart(brush, center, { x: 0, y: 0, z: 0, w: 1 });
+        }
+
+        const planes = this.getHullPlanes(vertices, bounds);
+        return planes.length >= 4 ? { type: 'brush', planes, bounds } : null;
+    }
+
+    /**
+     * Find the face planes of a convex hull: every plane through three of the points
+     * with all the other points behind it
+     * @param {Array<Object>} vertices - Hull points as {x, y, z}
+     * @param {Object} bounds - Bounding box of the points as {min, max}
+     * @returns {Array<Object>} - Planes as {normal, distance}, with normals pointing out
+     */
+    getHullPlanes(vertices, bounds) {
+        const size = Math.max(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y, bounds.max.z - bounds.min.z);
+        const tolerance = Math.max(size, 1) * 1e-5;
+        const planes = [];
+
+        for (let i = 0; i < vertices.length; i++) {
+            for (let j = i + 1; j < vertices.length; j++) {
+                for (let k = j + 1; k < vertices.length; k++) {
+                    const a = vertices[i];
+                    const normal = this.cross(this.subtract(vertices[j], a), this.subtract(vertices[k], a));
+                    const length = Math.sqrt(this.dot(normal, normal));
+                    if (length < this.epsilon) continue;
+
+                    let n = this.scale(normal, 1 / length);
+                    let distance = this.dot(n, a);
+                    let front = false;
+                    let back = false;
+                    for (const vertex of vertices) {
+                        const side = this.dot(n, vertex) - distance;
+                        if (side > tolerance) front = true;
+                        if (side < -tolerance) back = true;
+                        if (front && back) break;
+                    }
+                    if (front && back) continue;
+
+                    // Points are all on one side; face the normal away from them
+                    if (front) {
+                        n = this.scale(n, -1);
+                        distance = -distance;
+                    }
+
+                    const duplicate = planes.some(plane =>
+                        this.dot(plane.normal, n) > 1 - 1e-6 && Math.abs(plane.distance - distance) < tolerance);
+                    if (!duplicate) {
+                        planes.push({ normal: n, distance });
+                    }
+                }
+            }
+        }
+
+        return planes;
+    }
+
+    /**
+     * Create bounds for a box centered on the origin
+     * @param {Object} halfExtents - Half the box's size as {x, y, z}
+     * @returns {Object} - Bounds as {min, max}
+     */
+    createBounds(halfExtents) {
+        return {
+            min: { x: -halfExtents.x, y: -halfExtents.y, z: -halfExtents.z },
+            max: { x: halfExtents.x, y: halfExtents.y, z: halfExtents.z }
+        };
+    }
+
+    /**
+     * Move and rotate a part
+     * @param {Object} part - Brush or sphere part
+     * @param {Object} position - Translation as {x, y, z}
+     * @param {Object} rotation - Rotation as a quaternion {x, y, z, w}
+     * @returns {Object} - Transformed copy of the part
+     */
+    transformPart(part, position, rotation) {
+        const bounds = part.bounds ? this.transformBounds(part.bounds, position, rotation) : null;
+
+        if (part.type === 'sphere') {
+            return {
+                type: 'sphere',
+                center: this.add(this.rotate(part.center, rotation), position),
+                radius: part.radius,
+                bounds
+            };
+        }
+
+        return {
+            type: 'brush',
+            planes: part.planes.map(plane => {
+                const normal = this.rotate(plane.normal, rotation);
+                return { normal, distance: plane.distance + this.dot(normal, position) };
+            }),
+            bounds
+        };
+    }
+
+    /**
+     * Get the axis-aligned box around a moved and rotated box
+     * @param {Object} bounds - Bounds as {min, max}
+     * @param {Object} position - Translation as {x, y, z}
+     * @param {Object} rotation - Rotation as a quaternion {x, y, z, w}
+     * @returns {Object} - Bounds as {min, max}
+     */
+    transformBounds(bounds, position, rotation) {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+
+        for (let i = 0; i < 8; i++) {
+            const corner = this.add(this.rotate({
+                x: i & 1 ? bounds.max.x : bounds.min.x,
+                y: i & 2 ? bounds.max.y : bounds.min.y,
+                z: i & 4 ? bounds.max.z : bounds.min.z
+            }, rotation), position);
+
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], corner[axis]);
+                max[axis] = Math.max(max[axis], corner[axis]);
+            });
+        }
+
+        return { min, max };
+    }
+
+    /**
+     * Get a body's current position and rotation, following its physics body if it has one
+     * @param {Object} entry - Body entry
+     * @returns {Object} - Pose as {position, rotation}
+     */
+    getPose(entry) {
+        const body = entry.body;
+        if (body && !body.isFallback && typeof body.translation === 'function') {
+            try {
+                const position = body.translation();
+                const rotation = typeof body.rotation === 'function' ? body.rotation() : entry.rotation;
+                entry.position = { x: position.x, y: position.y, z: position.z };
+                entry.rotation = { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w };
+            } catch (error) {
+                // The physics body is gone; stay where it was last seen
+                entry.body = null;
+            }
+        }
+        return { position: entry.position, rotation: entry.rotation };
+    }
+
+    /**
+     * Get a body's parts in world space, reusing them while the body hasn't moved
+     * @param {Object} entry - Body entry
+     * @returns {Array<Object>} - World-space parts
+     */
+    getWorldParts(entry) {
+        const parts = this.getParts(entry);
+
+        const { position, rotation } = this.getPose(entry);
+        const cache = entry.cache;
+        if (cache && this.equals(cache.position, position) && this.equals(cache.rotation, rotation)) {
+            return cache.parts;
+        }
+
+        const worldParts = parts.map(part => this.transformPart(part, position, rotation));
+        entry.cache = { position: { ...position }, rotation: { ...rotation }, parts: worldParts };
+        return worldParts;
+    }
+
+    /**
+     * Find everything a vertical capsule overlaps
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @returns {Array<Object>} - Contacts as {normal, depth, point, id, surface}, deepest first.
+     *   The normal points out of the obstacle; moving the capsule along it by depth separates them.
+     */
+    getContacts(position, halfHeight, radius) {
+        const bottom = { x: position.x, y: position.y - halfHeight, z: position.z };
+        const top = { x: position.x, y: position.y + halfHeight, z: position.z };
+        const bounds = {
+            min: { x: position.x - radius, y: bottom.y - radius, z: position.z - radius },
+            max: { x: position.x + radius, y: top.y + radius, z: position.z + radius }
+        };
+
+        const contacts = [];
+        this.bodies.forEach(entry => {
+            this.getWorldParts(entry).forEach(part => {
+                if (part.bounds && !this.overlaps(bounds, part.bounds)) return;
+
+                const contact = part.type === 'sphere' ?
+                    this.collideSphere(bottom, top, radius, part) :
+                    this.collideBrush(bottom, top, radius, part);
+                if (contact) {
+                    contacts.push({ ...contact, id: entry.id, surface: entry.surface });
+                }
+            });
+        });
+
+        return contacts.sort((a, b) => b.depth - a.depth);
+    }
+
+    /**
+     * Test a capsule against a convex brush, separating along the brush's face normals
+     * @param {Object} bottom - Center of the capsule's bottom hemisphere
+     * @param {Object} top - Center of the capsule's top hemisphere
+     * @param {number} radius - Capsule radius
+     * @param {Object} brush - World-space brush part
+     * @returns {Object|null} - Contact as {normal, depth, point}, or null if they don't overlap
+     */
+    collideBrush(bottom, top, radius, brush) {
+        let best = null;
+        let bestSeparation = -Infinity;
+
+        for (const plane of brush.planes) {
+            const separation = Math.min(this.dot(plane.normal, bottom), this.dot(plane.normal, top)) -
+                plane.distance - radius;
+            if (separation >= 0) return null;
+
+            if (separation > bestSeparation) {
+                bestSeparation = separation;
+                best = plane;
+            }
+        }
+
+        // The deepest point of the capsule, moved back onto the face
+        const deepest = this.dot(best.normal, bottom) < this.dot(best.normal, top) ? bottom : top;
+        const point = this.add(deepest, this.scale(best.normal, -radius - bestSeparation));
+
+        return { normal: { ...best.normal }, depth: -bestSeparation, point };
+    }
+
+    /**
+     * Test a capsule against a sphere
+     * @param {Object} bottom - Center of the capsule's bottom hemisphere
+     * @param {Object} top - Center of the capsule's top hemisphere
+     * @param {number} radius - Capsule radius
+     * @param {Object} sphere - World-space sphere part
+     * @returns {Object|null} - Contact as {normal, depth, point}, or null if they don't overlap
+     */
+    collideSphere(bottom, top, radius, sphere) {
+        const axis = this.subtract(top, bottom);
+        const lengthSquared = this.dot(axis, axis);
+        const t = lengthSquared > this.epsilon ?
+            Math.min(Math.max(this.dot(this.subtract(sphere.center, bottom), axis) / lengthSquared, 0), 1) : 0;
+        const closest = this.add(bottom, this.scale(axis, t));
+
+        const offset = this.subtract(closest, sphere.center);
+        const distance = Math.sqrt(this.dot(offset, offset));
+        const depth = radius + sphere.radius - distance;
+        if (depth <= 0) return null;
+
+        const normal = distance > this.epsilon ? this.scale(offset, 1 / distance) : { x: 0, y: 1, z: 0 };
+        return {
+            normal,
+            depth,
+            point: this.add(sphere.center, this.scale(normal, sphere.radius))
+        };
+    }
+
+    /**
+     * Check whether a capsule overlaps anything
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @returns {boolean}
+     */
+    isPenetrating(position, halfHeight, radius) {
+        return this.getContacts(position, halfHeight, radius).some(contact => contact.depth > 1e-4);
+    }
+
+    /**
+     * Push a capsule out of whatever it overlaps, deepest contact first
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @returns {Object} - Result as {position, contacts}, with the contacts that were resolved
+     */
+    resolve(position, halfHeight, radius) {
+        let current = { ...position };
+        const contacts = [];
+
+        for (let i = 0; i < this.iterations; i++) {
+            const deepest = this.getContacts(current, halfHeight, radius)[0];
+            if (!deepest || deepest.depth <= this.epsilon) break;
+
+            current = this.add(current, this.scale(deepest.normal, deepest.depth));
+            contacts.push(deepest);
+        }
+
+        return { position: current, contacts };
+    }
+
+    /**
+     * Move a capsule, sliding along whatever it runs into and stepping up onto low ledges
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {Object} translation - Desired movement as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @param {Object} options - Move options
+     * @param {number} options.stepHeight - Tallest ledge to step up onto (0 to disable)
+     * @param {number} options.maxSlopeAngle - Steepest surface (radians) that counts as a floor rather than a wall
+     * @returns {Object} - Result as {position, contacts}
+     */
+    move(position, translation, halfHeight, radius, options = {}) {
+        const { stepHeight = 0, maxSlopeAngle = Math.PI / 4 } = options;
+        const minFloorY = Math.cos(maxSlopeAngle);
+
+        // Split long moves so fast falls can't tunnel through thin floors
+        const length = Math.sqrt(this.dot(translation, translation));
+        const steps = Math.max(1, Math.ceil(length / (radius * 0.5)));
+        const delta = this.scale(translation, 1 / steps);
+
+        let current = { ...position };
+        const contacts = [];
+
+        for (let i = 0; i < steps; i++) {
+            let result = this.resolve(this.add(current, delta), halfHeight, radius);
+
+            const blocked = result.contacts.some(contact => contact.normal.y < minFloorY);
+            if (blocked && stepHeight > 0 && (delta.x !== 0 || delta.z !== 0)) {
+                const stepped = this.stepUp(current, delta, halfHeight, radius, stepHeight, minFloorY);
+                if (stepped && this.horizontalDistance(current, stepped.position) >
+                    this.horizontalDistance(current, result.position) + this.epsilon) {
+                    result = stepped;
+                }
+            }
+
+            current = result.position;
+            contacts.push(...result.contacts);
+        }
+
+        return { position: current, contacts };
+    }
+
+    /**
+     * Try a move from a ledge's height, then drop back down onto the ledge
+     * @param {Object} position - Capsule center before the move
+     * @param {Object} delta - Movement this step as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @param {number} stepHeight - Tallest ledge to step up onto
+     * @param {number} minFloorY - Smallest normal y that counts as a floor
+     * @returns {Object|null} - Result as {position, contacts}, or null if the ledge can't be stepped onto
+     */
+    stepUp(position, delta, halfHeight, radius, stepHeight, minFloorY) {
+        const raised = { x: position.x, y: position.y + stepHeight, z: position.z };
+        if (this.isPenetrating(raised, halfHeight, radius)) return null;
+
+        const moved = { x: raised.x + delta.x, y: raised.y, z: raised.z + delta.z };
+        if (this.isPenetrating(moved, halfHeight, radius)) return null;
+
+        // Only land on floors; otherwise steep slopes could be climbed a step at a time
+        const ground = this.castDown(moved, halfHeight, radius, stepHeight);
+        if (!ground || ground.normal.y < minFloorY) return null;
+
+        return this.resolve({ x: moved.x, y: moved.y - ground.distance, z: moved.z }, halfHeight, radius);
+    }
+
+    /**
+     * Find the surface just below a capsule
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @param {number} skinWidth - How far below the capsule to look
+     * @returns {Object|null} - Ground as {point, normal, distance, id, surface}, or null if there's nothing there
+     */
+    queryGround(position, halfHeight, radius, skinWidth = 0.1) {
+        const ground = this.castDown(position, halfHeight, radius, skinWidth);
+
+        // Surfaces facing at least a little upwards; walls beside the capsule don't count
+        return ground && ground.normal.y > 0.01 ? ground : null;
+    }
+
+    /**
+     * Drop a capsule straight down and find the first thing it lands on
+     * @param {Object} position - Capsule center as {x, y, z}
+     * @param {number} halfHeight - Half the height of the capsule's cylinder
+     * @param {number} radius - Capsule radius
+     * @param {number} maxDistance - How far to drop
+     * @returns {Object|null} - Hit as {point, normal, distance, id, surface}, or null if nothing is in the way
+     */
+    castDown(position, halfHeight, radius, maxDistance) {
+        const bottom = { x: position.x, y: position.y - halfHeight, z: position.z };
+        const top = { x: position.x, y: position.y + halfHeight, z: position.z };
+        const bounds = {
+            min: { x: position.x - radius, y: bottom.y - radius - maxDistance, z: position.z - radius },
+            max: { x: position.x + radius, y: top.y + radius, z: position.z + radius }
+        };
+
+        let closest = null;
+        this.bodies.forEach(entry => {
+            this.getWorldParts(entry).forEach(part => {
+                if (part.bounds && !this.overlaps(bounds, part.bounds)) return;
+
+                const hit = part.type === 'sphere' ?
+                    this.castSphereDown(bottom, top, radius, part, maxDistance) :
+                    this.castBrushDown(bottom, top, radius, part, maxDistance);
+                if (hit && (!closest || hit.distance < closest.distance)) {
+                    closest = { ...hit, id: entry.id, surface: entry.surface };
+                }
+            });
+        });
+
+        return closest;
+    }
+
+    /**
+     * Drop a capsule onto a convex brush. Moving down only brings the capsule closer to
+     * upward-facing planes, so it touches the brush once it's past all of those while
+     * still in front of the others.
+     * @param {Object} bottom - Center of the capsule's bottom hemisphere
+     * @param {Object} top - Center of the capsule's top hemisphere
+     * @param {number} radius - Capsule radius
+     * @param {Object} brush - World-space brush part
+     * @param {number} maxDistance - How far to drop
+     * @returns {Object|null} - Hit as {point, normal, distance}, or null if it doesn't land on the brush
+     */
+    castBrushDown(bottom, top, radius, brush, maxDistance) {
+        let enter = -Infinity;
+        let exit = Infinity;
+        let landing = null;
+
+        for (const plane of brush.planes) {
+            const ny = plane.normal.y;
+            const separation = Math.min(this.dot(plane.normal, bottom), this.dot(plane.normal, top)) -
+                plane.distance - radius;
+
+            if (Math.abs(ny) < this.epsilon) {
+                // Vertical faces: touching one from the side (like a wall) doesn't hold the capsule up
+                if (separation >= -1e-4) return null;
+            } else if (ny > 0) {
+                const distance = separation / ny;
+                if (distance > enter) {
+                    enter = distance;
+                    landing = plane;
+                }
+            } else {
+                exit = Math.min(exit, separation / ny);
+            }
+        }
+
+        if (!landing || enter > maxDistance || enter >= exit || exit <= 0) return null;
+
+        const distance = Math.max(enter, 0);
+        const deepest = this.dot(landing.normal, bottom) < this.dot(landing.normal, top) ? bottom : top;
+        return {
+            point: this.add(deepest, {
+                x: -landing.normal.x * radius,
+                y: -landing.normal.y * radius - distance,
+                z: -landing.normal.z * radius
+            }),
+            normal: { ...landing.normal },
+            distance
+        };
+    }
+
+    /**
+     * Drop a capsule onto a sphere
+     * @param {Object} bottom - Center of the capsule's bottom hemisphere
+     * @param {Object} top - Center of the capsule's top hemisphere
+     * @param {number} radius - Capsule radius
+     * @param {Object} sphere - World-space sphere part
+     * @param {number} maxDistance - How far to drop
+     * @returns {Object|null} - Hit as {point, normal, distance}, or null if it doesn't land on the sphere
+     */
+    castSphereDown(bottom, top, radius, sphere, maxDistance) {
+        const reach = radius + sphere.radius;
+        const dx = bottom.x - sphere.center.x;
+        const dz = bottom.z - sphere.center.z;
+        const horizontal = dx * dx + dz * dz;
+        if (horizontal >= reach * reach || sphere.center.y > bottom.y) return null;
+
+        // Drop until the bottom hemisphere's center is `reach` from the sphere's center
+        const height = Math.sqrt(reach * reach - horizontal);
+        const distance = Math.max(bottom.y - sphere.center.y - height, 0);
+        if (distance > maxDistance) return null;
+
+        const normal = this.normalize({ x: dx, y: bottom.y - distance - sphere.center.y, z: dz });
+        return {
+            point: this.add(sphere.center, this.scale(normal, sphere.radius)),
+            normal,
+            distance
+        };
+    }
+
+    /**
+     * Check whether two bounding boxes overlap
+     * @param {Object} a - Bounds as {min, max}
+     * @param {Object} b - Bounds as {min, max}
+     * @returns {boolean}
+     */
+    overlaps(a, b) {
+        return a.min.x <= b.max.x && a.max.x >= b.min.x &&
+            a.min.y <= b.max.y && a.max.y >= b.min.y &&
+            a.min.z <= b.max.z && a.max.z >= b.min.z;
+    }
+
+    /**
+     * Horizontal distance between two points
+     * @param {Object} a - Point as {x, y, z}
+     * @param {Object} b - Point as {x, y, z}
+     * @returns {number}
+     */
+    horizontalDistance(a, b) {
+        return Math.sqrt((b.x - a.x) * (b.x - a.x) + (b.z - a.z) * (b.z - a.z));
+    }
+
+    /**
+     * Rotate a vector by a quaternion
+     * @param {Object} v - Vector as {x, y, z}
+     * @param {Object} q - Quaternion as {x, y, z, w}
+     * @returns {Object} - Rotated vector
+     */
+    rotate(v, q) {
+        // v + 2w(q × v) + 2q × (q × v)
+        const t = this.scale(this.cross(q, v), 2);
+        return this.add(this.add(v, this.scale(t, q.w)), this.cross(q, t));
+    }
+
+    /**
+     * Check whether two vectors or quaternions are equal
+     * @param {Object} a - Vector or quaternion
+     * @param {Object} b - Vector or quaternion
+     * @returns {boolean}
+     */
+    equals(a, b) {
+        return a.x === b.x && a.y === b.y && a.z === b.z && a.w === b.w;
+    }
+
+    /**
+     * Add two vectors
+     * @param {Object} a - Vector as {x, y, z}
+     * @param {Object} b - Vector as {x, y, z}
+     * @returns {Object} - Sum
+     */
+    add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    /**
+     * Subtract one vector from another
+     * @param {Object} a - Vector as {x, y, z}
+     * @param {Object} b - Vector as {x, y, z}
+     * @returns {Object} - Difference a - b
+     */
+    subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    /**
+     * Scale a vector
+     * @param {Object} v - Vector as {x, y, z}
+     * @param {number} s - Scale factor
+     * @returns {Object} - Scaled vector
+     */
+    scale(v, s) {
+        return { x: v.x * s, y: v.y * s, z: v.z * s };
+    }
+
+    /**
+     * Dot product of two vectors
+     * @param {Object} a - Vector as {x, y, z}
+     * @param {Object} b - Vector as {x, y, z}
+     * @returns {number}
+     */
+    dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    /**
+     * Cross product of two vectors
+     * @param {Object} a - Vector as {x, y, z}
+     * @param {Object} b - Vector as {x, y, z}
+     * @returns {Object} - a × b
+     */
+    cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+
+    /**
+     * Normalize a vector
+     * @param {Object} v - Vector as {x, y, z}
+     * @returns {Object} - Unit vector (straight up if v has no length)
+     */
+    normalize(v) {
+        const length = Math.sqrt(this.dot(v, v));
+        return length > this.epsilon ? this.scale(v, 1 / length) : { x: 0, y: 1, z: 0 };
+    }
+}
@@ -1,37 +1,59 @@
+import { ActionMap } from './actions.js';
+
 /**
- * Input handler for keyboard controls
+ * Input handler for keyboard, mouse, touch and gamepad controls.
+ * Raw inputs are fed to an ActionMap, so everything reads named actions and axes.
  */
 export class InputHandler {
     constructor() {
-        // Key states
-        this.keys = {
-            forward: false,  // W
-            backward: false, // S
-            left: false,     // A
-            right: false,    // D
-            jump: false      // Space
+        // Named actions and axes with rebindable, persisted bindings
+        this.actions = new ActionMap();
+        this.actions.load();
+
+        // KeyboardEvent.keyCode to KeyboardEvent.code, for older browsers without event.code
+        this.legacyKeyCodes = {
+            87: 'KeyW',
+            83: 'KeyS',
+            65: 'KeyA',
+            68: 'KeyD',
+            32: 'Space',
+            16: 'ShiftLeft',
+            81: 'KeyQ',
+            69: 'KeyE',
+            67: 'KeyC',
+            27: 'Escape',
+            37: 'ArrowLeft',
+            38: 'ArrowUp',
+            39: 'ArrowRight',
+            40: 'ArrowDown',
+            119: 'F8'
         };
 
-        // Key codes for different browsers
-        this.keyCodes = {
-            // Modern browsers use KeyboardEvent.code
-            KeyW: 'forward',
-            KeyS: 'backward',
-            KeyA: 'left',
-            KeyD: 'right',
-            Space: 'jump',
-            
-            // Fallbacks for older browsers
-            87: 'forward',  // W
-            83: 'backward', // S
-            65: 'left',     // A
-            68: 'right',    // D
-            32: 'jump'      // Space
+        // Gamepad settings and the sticks read from the active pad by update
+        this.gamepad = {
+            enabled: true,
+            activeIndex: null,     // Index of the pad that drives the character
+            connected: new Map(),  // Connected pads by index: {id, index}
+            radialDeadzone: 0.15,  // Stick magnitude below which the stick counts as centered
+            axialDeadzone: 0.1,    // Per-axis value below which that axis counts as centered
+            move: { x: 0, z: 0 },  // Movement axes after deadzones, length up to 1
+            look: { x: 0, y: 0 }   // Look axes after deadzones, length up to 1
         };
 
+        // Movement direction as of the last tick, taken by sample
+        this.sampledMove = { x: 0, z: 0 };
+
         // Bind event listeners
         window.addEventListener('keydown', this.onKeyDown.bind(this));
         window.addEventListener('keyup', this.onKeyUp.bind(this));
+        window.addEventListener('mousedown', this.onMouseDown.bind(this));
+        window.addEventListener('mouseup', this.onMouseUp.bind(this));
+        window.addEventListener('blur', () => {
+            this.actions.releaseAll();
+            this.releaseTouches();
+        });
+        window.addEventListener('gamepadconnected', this.onGamepadConnected.bind(this));
+        window.addEventListener('gamepaddisconnected', this.onGamepadDisconnected.bind(this));
         
         // Touch controls for mobile
         this.setupTouchControls();
@@ -70,120 +92,296 @@ export class InputHandler {
     updateDebugInfo() {
         if (!this.debugElement) return;
         
+        const actions = ['moveForward', 'moveBackward', 'moveLeft', 'moveRight', 'jump', 'sprint', 'crouch', 'dash'];
         this.debugElement.innerHTML = `
-            Forward: ${this.keys.forward}<br>
-            Backward: ${this.keys.backward}<br>
-            Left: ${this.keys.left}<br>
-            Right: ${this.keys.right}<br>
-            Jump: ${this.keys.jump}
+            ${actions.map(name => `${name}: ${this.actions.isPressed(name)}`).join('<br>')}<br>
+            Gamepad: ${this.gamepad.activeIndex !== null ? `#${this.gamepad.activeIndex} of ${this.gamepad.connected.size}` : '-'}
         `;
     }
     
     /**
-     * Set up touch controls for mobile devices
+     * Set up touch controls for mobile devices: a floating joystick on the left half of the
+     * screen, camera dragging on the right half, and action buttons. Every touch is tracked
+     * by its identifier, so they all work at the same time.
      */
     setupTouchControls() {
-        // Create touch controls container
+        // Touch state, by touch identifier
+        this.touch = {
+            joystickRadius: 60,                    // Pixels from the joystick center to full tilt
+            joystick: null,                        // {id, origin: {x, y}, vector: {x, y}}
+            look: null,                            // {id, last: {x, y}}
+            lookDelta: { x: 0, y: 0 },             // Camera drag in pixels since last read
+            buttons: new Map(),                    // Touch identifier -> binding held by that touch
+            buttonElements: new Map()              // Binding -> button element, for highlighting
+        };
+        
+        // Touch controls container covering the screen
         const touchControls = document.createElement('div');
         touchControls.style.position = 'absolute';
-        touchControls.style.bottom = '20px';
-        touchControls.style.left = '20px';
-        touchControls.style.display = 'flex';
-        touchControls.style.flexDirection = 'column';
-        touchControls.style.gap = '10px';
+        touchControls.style.top = '0';
+        touchControls.style.left = '0';
+        touchControls.style.width = '100%';
+        touchControls.style.height = '100%';
+        touchControls.style.touchAction = 'none';
         
         // Only show on touch devices
         if ('ontouchstart' in window) {
-            touchControls.style.display = 'flex';
+            touchControls.style.display = 'block';
         } else {
             touchControls.style.display = 'none';
         }
         
-        // Create direction pad
-        const dpad = document.createElement('div');
-        dpad.style.display = 'grid';
-        dpad.style.gridTemplateColumns = 'repeat(3, 50px)';
-        dpad.style.gridTemplateRows = 'repeat(3, 50px)';
-        dpad.style.gap = '5px';
+        // Left half: floating joystick that appears where the thumb lands
+        const joystickZone = document.createElement('div');
+        joystickZone.style.position = 'absolute';
+        joystickZone.style.top = '0';
+        joystickZone.style.left = '0';
+        joystickZone.style.width = '50%';
+        joystickZone.style.height = '100%';
+        
+        const size = this.touch.joystickRadius * 2;
+        const joystickBase = document.createElement('div');
+        joystickBase.style.position = 'absolute';
+        joystickBase.style.width = `${size}px`;
+        joystickBase.style.height = `${size}px`;
+        joystickBase.style.borderRadius = '50%';
+        joystickBase.style.backgroundColor = 'rgba(255, 255, 255, 0.2)';
+        joystickBase.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        joystickBase.style.display = 'none';
+        joystickBase.style.pointerEvents = 'none';
+        
+        const joystickKnob = document.createElement('div');
+        joystickKnob.style.position = 'absolute';
+        joystickKnob.style.width = `${size / 2}px`;
+        joystickKnob.style.height = `${size / 2}px`;
+        joystickKnob.style.left = `${size / 4}px`;
+        joystickKnob.style.top = `${size / 4}px`;
+        joystickKnob.style.borderRadius = '50%';
+        joystickKnob.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
+        joystickBase.appendChild(joystickKnob);
+        joystickZone.appendChild(joystickBase);
         
-        // Create buttons
-        const createButton = (text, key, gridArea) => {
+        this.touch.joystickBase = joystickBase;
+        this.touch.joystickKnob = joystickKnob;
+        
+        joystickZone.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.touch.joystick) return;
+            
+            const touch = e.changedTouches[0];
+            this.touch.joystick = {
+                id: touch.identifier,
+                origin: { x: touch.clientX, y: touch.clientY },
+                vector: { x: 0, y: 0 }
+            };
+            this.updateJoystickView();
+        });
+        
+        // Right half: drag to turn the camera
+        const lookZone = document.createElement('div');
+        lookZone.style.position = 'absolute';
+        lookZone.style.top = '0';
+        lookZone.style.right = '0';
+        lookZone.style.width = '50%';
+        lookZone.style.height = '100%';
+        
+        lookZone.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.touch.look) return;
+            
+            const touch = e.changedTouches[0];
+            this.touch.look = { id: touch.identifier, last: { x: touch.clientX, y: touch.clientY } };
+        });
+        
+        // Moves and releases are tracked on the container, so touches that wander out of their zone still count
+        touchControls.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            Array.from(e.changedTouches).forEach(touch => this.onTouchMove(touch));
+        });
+        
+        const onTouchEnd = (e) => {
+            e.preventDefault();
+            Array.from(e.changedTouches).forEach(touch => this.onTouchEnd(touch));
+        };
+        touchControls.addEventListener('touchend', onTouchEnd);
+        touchControls.addEventListener('touchcancel', onTouchEnd);
+        
+        // Action buttons, bottom right over the camera zone
+        const buttons = document.createElement('div');
+        buttons.style.position = 'absolute';
+        buttons.style.bottom = '20px';
+        buttons.style.right = '20px';
+        buttons.style.display = 'grid';
+        buttons.style.gridTemplateColumns = 'repeat(2, 70px)';
+        buttons.style.gap = '10px';
+        
+        const createButton = (text, name) => {
             const button = document.createElement('button');
             button.textContent = text;
-            button.style.width = '50px';
-            button.style.height = '50px';
-            button.style.borderRadius = '5px';
+            button.style.width = '70px';
+            button.style.height = '70px';
+            button.style.borderRadius = '50%';
             button.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
             button.style.border = 'none';
             button.style.color = 'white';
-            button.style.fontSize = '20px';
+            button.style.fontSize = '14px';
             button.style.fontWeight = 'bold';
-            button.style.gridArea = gridArea;
-            button.style.touchAction = 'manipulation';
+            button.style.touchAction = 'none';
             
-            // Touch events
+            const binding = `touch:${name}`;
+            
+            // Keep button touches away from the camera zone underneath
             button.addEventListener('touchstart', (e) => {
                 e.preventDefault();
-                this.keys[key] = true;
+                e.stopPropagation();
+                Array.from(e.changedTouches).forEach(touch => {
+                    this.touch.buttons.set(touch.identifier, binding);
+                });
+                this.actions.handleInput(binding, true);
                 button.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
                 this.updateDebugInfo();
             });
             
-            button.addEventListener('touchend', (e) => {
-                e.preventDefault();
-                this.keys[key] = false;
-                button.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-                this.updateDebugInfo();
-            });
-            
+            this.touch.buttonElements.set(binding, button);
             return button;
         };
         
-        // Add direction buttons
-        const upButton = createButton('W', 'forward', '1 / 2 / 2 / 3');
-        const leftButton = createButton('A', 'left', '2 / 1 / 3 / 2');
-        const downButton = createButton('S', 'backward', '2 / 2 / 3 / 3');
-        const rightButton = createButton('D', 'right', '2 / 3 / 3 / 4');
-        
-        dpad.appendChild(upButton);
-        dpad.appendChild(leftButton);
-        dpad.appendChild(downButton);
-        dpad.appendChild(rightButton);
-        
-        // Create jump button
-        const jumpButton = document.createElement('button');
-        jumpButton.textContent = 'JUMP';
-        jumpButton.style.width = '100px';
-        jumpButton.style.height = '50px';
-        jumpButton.style.borderRadius = '5px';
-        jumpButton.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
-        jumpButton.style.border = 'none';
-        jumpButton.style.color = 'white';
-        jumpButton.style.fontSize = '16px';
-        jumpButton.style.fontWeight = 'bold';
-        jumpButton.style.marginTop = '10px';
-        jumpButton.style.alignSelf = 'center';
-        jumpButton.style.touchAction = 'manipulation';
-        
-        // Touch events for jump
-        jumpButton.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.keys.jump = true;
-            jumpButton.style.backgroundColor = 'rgba(255, 255, 255, 0.6)';
-            this.updateDebugInfo();
-        });
+        buttons.appendChild(createButton('SPRINT', 'sprint'));
+        buttons.appendChild(createButton('DASH', 'dash'));
+        buttons.appendChild(createButton('CROUCH', 'crouch'));
+        buttons.appendChild(createButton('JUMP', 'jump'));
         
-        jumpButton.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.keys.jump = false;
-            jumpButton.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
+        // Add controls to the page
+        touchControls.appendChild(joystickZone);
+        touchControls.appendChild(lookZone);
+        touchControls.appendChild(buttons);
+        document.body.appendChild(touchControls);
+    }
+
+    /**
+     * Follow a moving touch: tilt the joystick or drag the camera
+     * @param {Touch} touch
+     */
+    onTouchMove(touch) {
+        const { joystick, look } = this.touch;
+        
+        if (joystick && touch.identifier === joystick.id) {
+            const radius = this.touch.joystickRadius;
+            let x = (touch.clientX - joystick.origin.x) / radius;
+            let y = (touch.clientY - joystick.origin.y) / radius;
+            
+            // Clamp to the edge of the base
+            const length = Math.sqrt(x * x + y * y);
+            if (length > 1) {
+                x /= length;
+                y /= length;
+            }
+            
+            joystick.vector = { x, y };
+            this.actions.setAnalog('touch:axis:stickX', x);
+            this.actions.setAnalog('touch:axis:stickY', y);
+            this.updateJoystickView();
+        } else if (look && touch.identifier === look.id) {
+            this.touch.lookDelta.x += touch.clientX - look.last.x;
+            this.touch.lookDelta.y += touch.clientY - look.last.y;
+            look.last = { x: touch.clientX, y: touch.clientY };
+        }
+    }
+
+    /**
+     * Release whatever a lifted or cancelled touch was holding
+     * @param {Touch} touch
+     */
+    onTouchEnd(touch) {
+        const id = touch.identifier;
+        
+        if (this.touch.joystick && this.touch.joystick.id === id) {
+            this.releaseJoystick();
+        }
+        if (this.touch.look && this.touch.look.id === id) {
+            this.touch.look = null;
+        }
+        
+        const binding = this.touch.buttons.get(id);
+        if (binding) {
+            this.touch.buttons.delete(id);
+            
+            // Another finger may still be on the same button
+            const stillHeld = Array.from(this.touch.buttons.values()).includes(binding);
+            if (!stillHeld) {
+                this.actions.handleInput(binding, false);
+                const button = this.touch.buttonElements.get(binding);
+                if (button) button.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
+            }
             this.updateDebugInfo();
+        }
+    }
+
+    /**
+     * Center the joystick and hide it
+     */
+    releaseJoystick() {
+        this.touch.joystick = null;
+        this.actions.setAnalog('touch:axis:stickX', 0);
+        this.actions.setAnalog('touch:axis:stickY', 0);
+        this.updateJoystickView();
+    }
+
+    /**
+     * Release every touch (e.g. when the window loses focus)
+     */
+    releaseTouches() {
+        if (!this.touch) return;
+        
+        this.releaseJoystick();
+        this.touch.look = null;
+        this.touch.lookDelta = { x: 0, y: 0 };
+        this.touch.buttons.clear();
+        this.touch.buttonElements.forEach(button => {
+            button.style.backgroundColor = 'rgba(255, 255, 255, 0.3)';
         });
+    }
+
+    /**
+     * Move the joystick graphics to match the current touch
+     */
+    updateJoystickView() {
+        const { joystick, joystickBase, joystickKnob, joystickRadius } = this.touch;
+        if (!joystickBase) return;
         
-        // Add controls to the page
-        touchControls.appendChild(dpad);
-        touchControls.appendChild(jumpButton);
-        document.body.appendChild(touchControls);
+        if (!joystick) {
+            joystickBase.style.display = 'none';
+            return;
+        }
+        
+        joystickBase.style.display = 'block';
+        joystickBase.style.left = `${joystick.origin.x - joystickRadius}px`;
+        joystickBase.style.top = `${joystick.origin.y - joystickRadius}px`;
+        joystickKnob.style.transform =
+            `translate(${joystick.vector.x * joystickRadius}px, ${joystick.vector.y * joystickRadius}px)`;
+    }
+
+    /**
+     * Take the camera drag accumulated since the last call
+     * @returns {Object} - Drag in pixels as {x, y} (positive x dragged right, positive y dragged down)
+     */
+    consumeLookDrag() {
+        if (!this.touch) return { x: 0, y: 0 };
+        
+        const drag = this.touch.lookDelta;
+        this.touch.lookDelta = { x: 0, y: 0 };
+        return drag;
+    }
+
+    /**
+     * Get the binding string for a keyboard event
+     * @param {KeyboardEvent} event
+     * @returns {string|null} - Binding such as 'key:KeyW', or null for unknown keys
+     */
+    getKeyBinding(event) {
+        // Try to use event.code (modern browsers), falling back to event.keyCode for older ones
+        const code = event.code || this.legacyKeyCodes[event.keyCode];
+        return code ? `key:${code}` : null;
     }
 
     /**
@@ -191,17 +389,8 @@ export class InputHandler {
      * @param {KeyboardEvent} event 
      */
     onKeyDown(event) {
-        // Try to use event.code (modern browsers)
-        let keyName = event.code;
-        
-        // Fallback to event.keyCode for older browsers
-        if (!this.keyCodes[keyName] && event.keyCode) {
-            keyName = event.keyCode;
-        }
-        
-        // Update key state if we recognize this key
-        if (this.keyCodes[keyName]) {
-            this.keys[this.keyCodes[keyName]] = true;
+        const binding = this.getKeyBinding(event);
+        if (binding && this.actions.handleInput(binding, true)) {
             this.updateDebugInfo();
         }
     }
@@ -211,48 +400,252 @@ export class InputHandler {
      * @param {KeyboardEvent} event 
      */
     onKeyUp(event) {
-        // Try to use event.code (modern browsers)
-        let keyName = event.code;
+        const binding = this.getKeyBinding(event);
+        if (binding && this.actions.handleInput(binding, false)) {
+            this.updateDebugInfo();
+        }
+    }
+
+    /**
+     * Handle mousedown events
+     * @param {MouseEvent} event
+     */
+    onMouseDown(event) {
+        this.actions.handleInput(`mouse:${event.button}`, true);
+    }
+
+    /**
+     * Handle mouseup events
+     * @param {MouseEvent} event
+     */
+    onMouseUp(event) {
+        this.actions.handleInput(`mouse:${event.button}`, false);
+    }
+
+    /**
+     * Handle a gamepad being connected; the first pad becomes the active one
+     * @param {GamepadEvent} event
+     */
+    onGamepadConnected(event) {
+        const { index, id } = event.gamepad;
+        this.gamepad.connected.set(index, { id, index });
+        console.log(`Gamepad connected: ${id} (#${index})`);
         
-        // Fallback to event.keyCode for older browsers
-        if (!this.keyCodes[keyName] && event.keyCode) {
-            keyName = event.keyCode;
+        if (this.gamepad.activeIndex === null) {
+            this.setActiveGamepad(index);
         }
+        this.updateDebugInfo();
+    }
+
+    /**
+     * Handle a gamepad being disconnected; another connected pad takes over if it was the active one
+     * @param {GamepadEvent} event
+     */
+    onGamepadDisconnected(event) {
+        const { index, id } = event.gamepad;
+        this.gamepad.connected.delete(index);
+        console.log(`Gamepad disconnected: ${id} (#${index})`);
         
-        // Update key state if we recognize this key
-        if (this.keyCodes[keyName]) {
-            this.keys[this.keyCodes[keyName]] = false;
-            this.updateDebugInfo();
+        if (this.gamepad.activeIndex === index) {
+            const next = this.gamepad.connected.keys().next();
+            this.setActiveGamepad(next.done ? null : next.value);
         }
+        this.updateDebugInfo();
     }
 
     /**
-     * Get the movement direction based on current key states
-     * @returns {Object} x and z components of movement direction
+     * Choose which connected gamepad drives the character
+     * @param {number|null} index - Gamepad index, or null for none
+     * @returns {boolean} - Whether the pad was selected
      */
-    getMovementDirection() {
-        const direction = { x: 0, z: 0 };
+    setActiveGamepad(index) {
+        if (index !== null && !this.gamepad.connected.has(index)) {
+            console.warn('No gamepad connected at index:', index);
+            return false;
+        }
+        
+        this.gamepad.activeIndex = index;
+        this.updateDebugInfo();
+        return true;
+    }
+
+    /**
+     * Get the connected gamepads
+     * @returns {Array<Object>} - Pads as {id, index, active}
+     */
+    getGamepads() {
+        return Array.from(this.gamepad.connected.values()).map(pad => ({
+            ...pad,
+            active: pad.index === this.gamepad.activeIndex
+        }));
+    }
+
+    /**
+     * Read the active gamepad and update the actions: fires action press listeners,
+     * completes gamepad rebinding and applies the stick deadzones. Browsers only update
+     * gamepads when polled, so call this once per frame before reading input.
+     */
+    update() {
+        const snapshot = this.readGamepad();
+        this.actions.update(snapshot);
+        
+        // Sticks are deadzoned as pairs so diagonals aren't cut off
+        const move = this.applyDeadzone(this.actions.getAnalogAxis('moveX'), this.actions.getAnalogAxis('moveZ'));
+        this.gamepad.move = { x: move.x, z: move.y };
+        this.gamepad.look = this.applyDeadzone(this.actions.getAnalogAxis('lookX'), this.actions.getAnalogAxis('lookY'));
+    }
+
+    /**
+     * Take a snapshot of the active gamepad's buttons and axes
+     * @returns {Object|null} - Pad as {buttons: [bool], axes: [number]}, or null without one
+     */
+    readGamepad() {
+        if (!this.gamepad.enabled || this.gamepad.activeIndex === null ||
+            typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return null;
+        }
+        
+        try {
+            const pad = navigator.getGamepads()[this.gamepad.activeIndex];
+            if (!pad || !pad.connected) return null;
+            
+            return {
+                buttons: Array.from(pad.buttons, button => !!(button && button.pressed)),
+                axes: Array.from(pad.axes)
+            };
+        } catch (error) {
+            console.error('Failed to read gamepad:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Apply the axial and radial deadzones to a stick, rescaling what's left to the full range
+     * @param {number} x - Horizontal axis value (-1 to 1)
+     * @param {number} y - Vertical axis value (-1 to 1)
+     * @returns {Object} - Stick as {x, y}, with a length from 0 to 1
+     */
+    applyDeadzone(x, y) {
+        // Axial: snap small values on one axis to zero so pushing straight doesn't drift
+        const axial = this.gamepad.axialDeadzone;
+        if (Math.abs(x) < axial) x = 0;
+        if (Math.abs(y) < axial) y = 0;
         
-        if (this.keys.forward) direction.z -= 1;
-        if (this.keys.backward) direction.z += 1;
-        if (this.keys.left) direction.x -= 1;
-        if (this.keys.right) direction.x += 1;
+        // Radial: ignore the stick near its center, then rescale so movement starts from zero
+        const radial = this.gamepad.radialDeadzone;
+        const length = Math.sqrt(x * x + y * y);
+        if (length <= radial || length === 0) {
+            return { x: 0, y: 0 };
+        }
+        
+        const scaled = Math.min((length - radial) / (1 - radial), 1);
+        return { x: x / length * scaled, y: y / length * scaled };
+    }
+
+    /**
+     * Get the movement direction as of the last tick (see readMovementDirection)
+     * @returns {Object} x and z components of movement direction, with a length up to 1
+     */
+    getMovementDirection() {
+        return { ...this.sampledMove };
+    }
+
+    /**
+     * Read the movement direction from the movement actions, or the analog axes when none is held
+     * @returns {Object} x and z components of movement direction, with a length up to 1
+     *   (partial lengths come from the analog stick and mean partial speed)
+     */
+    readMovementDirection() {
+        const direction = {
+            x: this.actions.getDigitalAxis('moveX'),
+            z: this.actions.getDigitalAxis('moveZ')
+        };
 
         // Normalize the direction vector if moving diagonally
         const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
         if (length > 0) {
             direction.x /= length;
             direction.z /= length;
+            return direction;
         }
 
-        return direction;
+        return { ...this.gamepad.move };
+    }
+
+    /**
+     * Get the camera look input from the look axes (the right stick by default)
+     * @returns {Object} - Look input as {x, y}, with a length up to 1 (positive x looks right, positive y looks down)
+     */
+    getLookDirection() {
+        return { ...this.gamepad.look };
+    }
+
+    /**
+     * Take the per-tick input snapshot. Call once per simulation tick, before the character reads input:
+     * the movement direction and held actions it reads then stay the same for the whole tick.
+     * @param {number} deltaTime - Tick length in seconds
+     */
+    sample(deltaTime) {
+        this.actions.sample(deltaTime);
+        this.sampledMove = this.readMovementDirection();
+    }
+
+    /**
+     * Check whether an action went down since the previous tick
+     * @param {string} name - Action name, e.g. 'jump'
+     * @returns {boolean}
+     */
+    wasPressed(name) {
+        return this.actions.wasPressed(name);
+    }
+
+    /**
+     * Check whether an action went up since the previous tick
+     * @param {string} name - Action name, e.g. 'jump'
+     * @returns {boolean}
+     */
+    wasReleased(name) {
+        return this.actions.wasReleased(name);
     }
 
     /**
-     * Check if the jump key is pressed
+     * Get how long an action has been held, as of the last tick
+     * @param {string} name - Action name, e.g. 'jump'
+     * @returns {number} - Seconds held
+     */
+    heldTime(name) {
+        return this.actions.heldTime(name);
+    }
+
+    /**
+     * Check if the jump action was held at the last tick
      * @returns {boolean}
      */
     isJumping() {
-        return this.keys.jump;
+        return this.actions.isHeld('jump');
+    }
+
+    /**
+     * Check if the sprint action was held at the last tick
+     * @returns {boolean}
+     */
+    isSprinting() {
+        return this.actions.isHeld('sprint');
+    }
+
+    /**
+     * Check if the crouch action was held at the last tick
+     * @returns {boolean}
+     */
+    isCrouching() {
+        return this.actions.isHeld('crouch');
+    }
+
+    /**
+     * Check if the dash action was held at the last tick
+     * @returns {boolean}
+     */
+    isDashing() {
+        return this.actions.isHeld('dash');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,1257 @@
+import * as THREE from 'three';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
+
+/**
+ * Error thrown when a level file fails validation
+ */
+export class LevelValidationError extends Error {
+    /**
+     * Create a new validation error
+     * @param {Array<string>} errors - Validation problems, one per entry
+     */
+    constructor(errors) {
+        super(`Invalid level:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Loader for declarative JSON levels.
+ * Every level object is turned into a Rapier collider and a Three.js mesh
+ * from the same definition, so physics and visuals always match.
+ *
+ * Level format (all positions in meters, rotations in degrees):
+ * {
+ *   "name": "My Level",
+ *   "materials": { "<name>": { color, roughness, metalness, surface, friction, restitution,
+ *                              speedMultiplier, accelerationMultiplier, footstep, launchSpeed } },
+ *   "spawnPoints": [ { name, position: {x, y, z}, rotation } ],
+ *   "lights": [ { type, color, intensity, position, castShadow } ],
+ *   "objects": [ { type, position, rotation: {x, y, z}, material, ...shape fields } ],
+ *   "platforms": [ { size, position, path, material } ],
+ *   "props": [ { type, position, rotation, material, mass, linearDamping, angularDamping, ...shape fields } ],
+ *   "triggers": [ { name, tag, position, rotation, size or radius } ]
+ * }
+ *
+ * Every material is also registered as a PhysicsWorld surface of the same name. Its
+ * surface field names a built-in surface ('default', 'ice', 'mud' or 'jumpPad') whose
+ * properties it starts from; the material's own physical fields override them.
+ *
+ * Props are dynamic bodies the character can push and stand on:
+ *   box      - size: {x, y, z}
+ *   sphere   - radius
+ *   cylinder - radius, height
+ *   compound - shapes: [ { type: 'box' | 'sphere' | 'cylinder', offset, rotation, ...shape fields } ]
+ *
+ * Triggers are invisible sensor volumes. Their tag (default 'trigger') is the body
+ * type reported with PhysicsWorld enter, stay and exit events.
+ *
+ * Object types and their shape fields:
+ *   box         - size: {x, y, z}
+ *   sphere      - radius
+ *   ramp        - size: {x, y, z}, rising towards -z
+ *   stairs      - steps, stepHeight, stepDepth, width, climbing towards -z
+ *   trimesh     - vertices: [x, y, z, ...], indices: [a, b, c, ...]
+ *   heightfield - size: {x, z}, heights: rows (along z) of heights (along x), heightScale
+ *
+ * glTF/GLB files (.gltf, .glb) are imported as levels too. Every mesh gets a
+ * trimesh collider unless its node's extras (Blender custom properties) say otherwise:
+ *   collider    - 'trimesh', 'convex', 'box', 'sphere' or 'none'
+ *   trigger     - true (or a name) to make the node an invisible sensor volume
+ *   spawn       - true (or a name) to make the node a spawn point; its mesh, if any, is hidden
+ *   surface     - name of a built-in surface such as 'ice' or 'mud'
+ *   friction, restitution - surface properties, overriding the surface's
+ * collider, trigger, surface, friction and restitution also apply to the node's children.
+ */
+export class LevelLoader {
+    /**
+     * Create a new level loader
+     * @param {Object} physics - Physics world instance
+     * @param {Object} scene - Scene manager instance
+     */
+    constructor(physics, scene) {
+        this.physics = physics;
+        this.scene = scene;
+
+        // Material used by objects that don't name one
+        this.defaultMaterial = {
+            color: '#999999',
+            roughness: 0.8,
+            metalness: 0.2,
+            friction: 0.5,
+            restitution: 0
+        };
+
+        // Collider types a glTF node can ask for through its extras
+        this.gltfColliderTypes = ['trimesh', 'convex', 'box', 'sphere', 'none'];
+    }
+
+    /**
+     * Fetch, validate and build a level
+     * @param {string} url - URL of the level JSON file
+     * @returns {Promise<Object>} - Loaded level (see build)
+     */
+    async load(url) {
+        if (/\.(glb|gltf)(\?|#|$)/i.test(url)) {
+            return this.loadGLTF(url);
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load level "${url}": ${response.status} ${response.statusText}`);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`Level "${url}" is not valid JSON: ${error.message}`);
+        }
+
+        return this.build(data);
+    }
+
+    /**
+     * Validate and build a level from parsed data
+     * @param {Object} level - Level data
+     * @returns {Object} - Loaded level as {name, spawnPoints, objects, platforms, props, triggers}
+     * @throws {LevelValidationError} - If the level data is malformed
+     */
+    build(level) {
+        const errors = this.validate(level);
+        if (errors.length > 0) {
+            throw new LevelValidationError(errors);
+        }
+
+        const materials = { default: this.defaultMaterial, ...level.materials };
+        this.registerSurfaces(level.materials || {});
+        const result = {
+            name: level.name || 'Untitled',
+            spawnPoints: level.spawnPoints.map(spawn => ({
+                name: spawn.name || null,
+                position: { ...spawn.position },
+                rotation: this.toRadians(spawn.rotation || 0)
+            })),
+            objects: [],
+            platforms: [],
+            props: [],
+            triggers: []
+        };
+
+        (level.objects || []).forEach((definition, index) => {
+            const material = { ...this.defaultMaterial, ...materials[definition.material || 'default'] };
+            const parts = this.createParts(definition);
+            const rotation = this.toQuaternion(definition.rotation);
+
+            const body = this.physics.createStaticBody({
+                position: definition.position,
+                rotation,
+                shapes: parts.map(part => part.shape),
+                surface: definition.material || 'default',
+                type: definition.type
+            });
+            if (!body) {
+                console.warn(`Level object ${index} (${definition.type}) has no physics body`);
+            }
+
+            const mesh = this.scene.addStaticMesh(
+                parts.map(part => part.geometry),
+                material,
+                definition.position,
+                rotation
+            );
+
+            result.objects.push({ id: body ? body.id : null, type: definition.type, mesh });
+        });
+
+        (level.platforms || []).forEach(definition => {
+            const material = { ...this.defaultMaterial, ...materials[definition.material || 'default'] };
+            const platform = this.physics.createPlatform({ ...definition, surface: definition.material || 'default' });
+            if (!platform) return;
+
+            // Platforms keep their own highlight color unless the level picks a material
+            const mesh = this.scene.createPlatform(definition.size, definition.material ? material.color : undefined);
+            this.scene.trackObject(platform.id, mesh);
+            result.platforms.push({ id: platform.id, mesh });
+        });
+
+        (level.props || []).forEach((definition, index) => {
+            const material = { ...this.defaultMaterial, ...materials[definition.material || 'default'] };
+            const prop = this.createProp(definition);
+            if (!prop) {
+                console.warn(`Level prop ${index} (${definition.type}) has no physics body`);
+                return;
+            }
+
+            const mesh = this.scene.addProp(prop, material);
+            result.props.push({ id: prop.id, type: definition.type, mesh });
+        });
+
+        (level.triggers || []).forEach((definition, index) => {
+            const name = definition.name || `trigger-${index}`;
+            const trigger = this.physics.createTrigger({
+                position: definition.position,
+                rotation: this.toQuaternion(definition.rotation),
+                size: definition.size,
+                radius: definition.radius,
+                name,
+                type: definition.tag
+            });
+            if (!trigger) return;
+
+            result.triggers.push({ id: trigger.id, name, type: definition.tag || 'trigger', mesh: null });
+        });
+
+        if (level.lights) {
+            this.scene.setLights(level.lights);
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove a loaded level's bodies and meshes
+     * @param {Object} level - Loaded level returned by load, build or buildGLTF
+     */
+    unload(level) {
+        [...level.objects, ...level.platforms, ...level.props, ...level.triggers].forEach(item => {
+            if (item.id !== null) {
+                this.physics.removeBody(item.id);
+                this.scene.untrackObject(item.id);
+            }
+
+            // A glTF level's meshes all go with its root
+            if (item.mesh && !level.root) {
+                this.scene.removeObject(item.mesh);
+            }
+        });
+
+        if (level.root) {
+            this.scene.removeObject(level.root);
+        }
+    }
+
+    /**
+     * Get a spawn point from a loaded level
+     * @param {Object} level - Loaded level
+     * @param {string} name - Spawn point name (optional, defaults to the first)
+     * @returns {Object|null} - Spawn point as {name, position, rotation}, or null if the level has none
+     */
+    getSpawnPoint(level, name = null) {
+        const spawn = name ? level.spawnPoints.find(point => point.name === name) : null;
+        return spawn || level.spawnPoints[0] || null;
+    }
+
+    /**
+     * Load a glTF/GLB model and build it as a level
+     * @param {string} url - URL of the .gltf or .glb file
+     * @returns {Promise<Object>} - Loaded level (see buildGLTF)
+     */
+    async loadGLTF(url) {
+        const root = await this.scene.loadGLTF(url);
+        const fileName = url.split(/[?#]/)[0].split('/').pop();
+        return this.buildGLTF(root, root.name || fileName);
+    }
+
+    /**
+     * Build a level from a loaded glTF scene, creating colliders from its meshes
+     * @param {THREE.Object3D} root - Model root returned by SceneManager.loadGLTF
+     * @param {string} name - Level name
+     * @returns {Object} - Loaded level as {name, spawnPoints, objects, platforms, props, triggers, root}
+     * @throws {LevelValidationError} - If node extras are malformed
+     */
+    buildGLTF(root, name = 'Untitled') {
+        root.updateMatrixWorld(true);
+
+        // Check every node before creating anything, so a bad file leaves no half-built level
+        const errors = [];
+        const nodes = [];
+        this.collectGLTFNodes(root, {}, 'nodes', nodes, errors);
+        if (errors.length > 0) {
+            throw new LevelValidationError(errors);
+        }
+
+        const result = {
+            name,
+            spawnPoints: [],
+            objects: [],
+            platforms: [],
+            props: [],
+            triggers: [],
+            root
+        };
+
+        nodes.forEach(({ object, settings }) => {
+            if (settings.spawn) {
+                result.spawnPoints.push(this.createGLTFSpawnPoint(object, settings.spawn));
+                if (object.isMesh) object.visible = false;
+                return;
+            }
+
+            if (!object.isMesh) return;
+
+            const isTrigger = !!settings.trigger;
+            // Trigger volumes only need their bounds; a hollow trimesh can't contain anything
+            const colliderType = settings.collider || (isTrigger ? 'box' : 'trimesh');
+            if (colliderType === 'none') return;
+
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const scale = new THREE.Vector3();
+            object.matrixWorld.decompose(position, quaternion, scale);
+
+            let shape;
+            try {
+                shape = this.createGLTFShape(object.geometry, colliderType, scale);
+            } catch (error) {
+                console.warn(`Skipping collider for glTF node "${object.name}":`, error.message);
+                return;
+            }
+
+            const bodyPosition = { x: position.x, y: position.y, z: position.z };
+            const bodyRotation = { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+            const triggerName = typeof settings.trigger === 'string' ? settings.trigger : object.name;
+
+            const body = isTrigger ?
+                this.physics.createTrigger({ position: bodyPosition, rotation: bodyRotation, shape, name: triggerName }) :
+                this.physics.createStaticBody({
+                    position: bodyPosition,
+                    rotation: bodyRotation,
+                    shapes: [shape],
+                    surface: settings.surface || 'default',
+                    material: { friction: settings.friction, restitution: settings.restitution }
+                });
+            if (!body) {
+                console.warn(`glTF node "${object.name}" has no physics body`);
+            }
+
+            const id = body ? body.id : null;
+            if (isTrigger) {
+                object.visible = false;
+                result.triggers.push({ id, name: triggerName, type: 'trigger', mesh: object });
+            } else {
+                result.objects.push({ id, type: colliderType, mesh: object });
+            }
+        });
+
+        this.scene.addObject(root);
+
+        return result;
+    }
+
+    /**
+     * Walk a glTF node tree, resolving each node's extras and checking them for problems
+     * @param {THREE.Object3D} object - Node to visit
+     * @param {Object} inherited - Settings inherited from the node's ancestors
+     * @param {string} parentPath - Path of the parent node for error messages
+     * @param {Array<Object>} nodes - List to append {object, settings} entries to
+     * @param {Array<string>} errors - Error list to append to
+     */
+    collectGLTFNodes(object, inherited, parentPath, nodes, errors) {
+        const path = `${parentPath}["${object.name || object.type}"]`;
+        const extras = object.userData || {};
+        const settings = { ...inherited, spawn: undefined };
+
+        if (extras.collider !== undefined) {
+            if (this.gltfColliderTypes.includes(extras.collider)) {
+                settings.collider = extras.collider;
+            } else {
+                errors.push(`${path}.collider: expected one of ${this.gltfColliderTypes.join(', ')} (got ${JSON.stringify(extras.collider)})`);
+            }
+        }
+
+        ['trigger', 'spawn'].forEach(key => {
+            const value = extras[key];
+            if (value === undefined) return;
+            if (typeof value === 'boolean' || (typeof value === 'string' && value.length > 0)) {
+                settings[key] = value;
+            } else if (value === 0 || value === 1) {
+                // Blender exports boolean custom properties as 0 or 1
+                settings[key] = value === 1;
+            } else {
+                errors.push(`${path}.${key}: expected true, false or a name (got ${JSON.stringify(value)})`);
+            }
+        });
+
+        if (extras.surface !== undefined) {
+            if (this.physics.surfaces && this.physics.surfaces.has(extras.surface)) {
+                settings.surface = extras.surface;
+            } else {
+                errors.push(`${path}.surface: unknown surface ${JSON.stringify(extras.surface)}`);
+            }
+        }
+
+        ['friction', 'restitution'].forEach(key => {
+            if (extras[key] === undefined) return;
+            if (this.isNumber(extras[key]) && extras[key] >= 0) {
+                settings[key] = extras[key];
+            } else {
+                errors.push(`${path}.${key}: expected a non-negative number (got ${JSON.stringify(extras[key])})`);
+            }
+        });
+
+        nodes.push({ object, settings });
+        object.children.forEach(child => this.collectGLTFNodes(child, settings, path, nodes, errors));
+    }
+
+    /**
+     * Build a collider shape from a glTF mesh's geometry
+     * @param {THREE.BufferGeometry} geometry - Mesh geometry in the node's local space
+     * @param {string} colliderType - 'trimesh', 'convex', 'box' or 'sphere'
+     * @param {THREE.Vector3} scale - World scale of the node, baked into the shape
+     * @returns {Object} - Shape description (see PhysicsWorld.createColliderDesc)
+     */
+    createGLTFShape(geometry, colliderType, scale) {
+        const positions = geometry.attributes.position;
+        if (!positions || positions.count === 0) {
+            throw new Error('mesh has no vertices');
+        }
+
+        // Rapier shapes can't be scaled, so scale the vertices instead
+        const vertices = new Array(positions.count * 3);
+        for (let i = 0; i < positions.count; i++) {
+            vertices[i * 3] = positions.getX(i) * scale.x;
+            vertices[i * 3 + 1] = positions.getY(i) * scale.y;
+            vertices[i * 3 + 2] = positions.getZ(i) * scale.z;
+        }
+
+        switch (colliderType) {
+            case 'trimesh': {
+                const indices = geometry.index
+                    ? Array.from(geometry.index.array)
+                    : Array.from({ length: positions.count }, (_, i) => i);
+                return { type: 'trimesh', vertices, indices };
+            }
+            case 'convex':
+                return { type: 'convexHull', points: vertices };
+            case 'box': {
+                const bounds = new THREE.Box3().setFromArray(vertices);
+                const center = bounds.getCenter(new THREE.Vector3());
+                const size = bounds.getSize(new THREE.Vector3());
+                return {
+                    type: 'cuboid',
+                    halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 },
+                    offset: { x: center.x, y: center.y, z: center.z }
+                };
+            }
+            case 'sphere': {
+                // Center on the bounds, but size to the farthest vertex rather than the box corner
+                const center = new THREE.Box3().setFromArray(vertices).getCenter(new THREE.Vector3());
+                let radiusSquared = 0;
+                for (let i = 0; i < vertices.length; i += 3) {
+                    const dx = vertices[i] - center.x;
+                    const dy = vertices[i + 1] - center.y;
+                    const dz = vertices[i + 2] - center.z;
+                    radiusSquared = Math.max(radiusSquared, dx * dx + dy * dy + dz * dz);
+                }
+                return {
+                    type: 'ball',
+                    radius: Math.sqrt(radiusSquared),
+                    offset: { x: center.x, y: center.y, z: center.z }
+                };
+            }
+            default:
+                throw new Error(`unknown collider type "${colliderType}"`);
+        }
+    }
+
+    /**
+     * Create a spawn point from a glTF node
+     * @param {THREE.Object3D} object - Spawn node
+     * @param {boolean|string} spawn - The node's spawn extra (a string names the spawn point)
+     * @returns {Object} - Spawn point as {name, position, rotation}
+     */
+    createGLTFSpawnPoint(object, spawn) {
+        const position = object.getWorldPosition(new THREE.Vector3());
+        const quaternion = object.getWorldQuaternion(new THREE.Quaternion());
+        // Only the yaw matters for the character
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'YXZ');
+
+        return {
+            name: typeof spawn === 'string' ? spawn : (object.name || null),
+            position: { x: position.x, y: position.y, z: position.z },
+            rotation: euler.y
+        };
+    }
+
+    /**
+     * Register a level's materials as physics surfaces
+     * @param {Object} materials - Level materials by name
+     */
+    registerSurfaces(materials) {
+        if (typeof this.physics.registerSurface !== 'function') return;
+
+        Object.entries(materials).forEach(([name, material]) => {
+            const base = this.physics.getSurface(material.surface || name);
+            const definition = { ...base };
+            ['friction', 'restitution', 'speedMultiplier', 'accelerationMultiplier', 'footstep', 'launchSpeed'].forEach(key => {
+                if (material[key] !== undefined) definition[key] = material[key];
+            });
+            this.physics.registerSurface(name, definition);
+        });
+    }
+
+    /**
+     * Create the physics body for a level prop
+     * @param {Object} definition - Prop definition
+     * @returns {Object|null} - Prop returned by the PhysicsWorld helpers
+     */
+    createProp(definition) {
+        const options = {
+            position: definition.position,
+            rotation: this.toQuaternion(definition.rotation),
+            mass: definition.mass,
+            surface: definition.material || 'default',
+            linearDamping: definition.linearDamping,
+            angularDamping: definition.angularDamping
+        };
+
+        switch (definition.type) {
+            case 'box':
+                return this.physics.createBox({ ...options, size: definition.size });
+            case 'sphere':
+                return this.physics.createSphere({ ...options, radius: definition.radius });
+            case 'cylinder':
+                return this.physics.createCylinder({ ...options, radius: definition.radius, height: definition.height });
+            case 'compound':
+                return this.physics.createCompound({
+                    ...options,
+                    shapes: definition.shapes.map(part => this.createPropShape(part))
+                });
+            default:
+                throw new Error(`Unknown prop type: ${definition.type}`);
+        }
+    }
+
+    /**
+     * Convert one part of a compound prop into a collider shape
+     * @param {Object} part - Part definition
+     * @returns {Object} - Shape description (see PhysicsWorld.createColliderDesc)
+     */
+    createPropShape(part) {
+        let shape;
+        switch (part.type) {
+            case 'box':
+                shape = { type: 'cuboid', halfExtents: { x: part.size.x / 2, y: part.size.y / 2, z: part.size.z / 2 } };
+                break;
+            case 'sphere':
+                shape = { type: 'ball', radius: part.radius };
+                break;
+            case 'cylinder':
+                shape = { type: 'cylinder', halfHeight: part.height / 2, radius: part.radius };
+                break;
+            default:
+                throw new Error(`Unknown compound part type: ${part.type}`);
+        }
+
+        if (part.offset) shape.offset = { ...part.offset };
+        if (part.rotation) shape.rotation = this.toQuaternion(part.rotation);
+        return shape;
+    }
+
+    /**
+     * Build the collider shapes and geometries for a level object
+     * @param {Object} definition - Level object definition
+     * @returns {Array<Object>} - Parts as {shape, geometry} in the object's local space
+     */
+    createParts(definition) {
+        switch (definition.type) {
+            case 'box':
+                return [this.createBoxPart(definition.size)];
+            case 'sphere':
+                return [{
+                    shape: { type: 'ball', radius: definition.radius },
+                    geometry: new THREE.SphereGeometry(definition.radius, 32, 16)
+                }];
+            case 'ramp':
+                return [this.createRampPart(definition.size)];
+            case 'stairs':
+                return this.createStairsParts(definition);
+            case 'trimesh':
+                return [this.createTrimeshPart(definition)];
+            case 'heightfield':
+                return [this.createHeightfieldPart(definition)];
+            default:
+                throw new Error(`Unknown level object type: ${definition.type}`);
+        }
+    }
+
+    /**
+     * Create a box part
+     * @param {Object} size - Full box dimensions as {x, y, z}
+     * @param {Object} offset - Offset from the object's origin as {x, y, z}
+     * @returns {Object} - Part as {shape, geometry}
+     */
+    createBoxPart(size, offset = { x: 0, y: 0, z: 0 }) {
+        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+        geometry.translate(offset.x, offset.y, offset.z);
+
+        return {
+            shape: {
+                type: 'cuboid',
+                halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 },
+                offset
+            },
+            geometry
+        };
+    }
+
+    /**
+     * Create a wedge-shaped ramp part, centered on its bounding box
+     * @param {Object} size - Width (x), height (y) and length (z)
+     * @returns {Object} - Part as {shape, geometry}
+     */
+    createRampPart(size) {
+        const w = size.x / 2;
+        const h = size.y / 2;
+        const l = size.z / 2;
+
+        // Flat bottom, sloped top rising from +z to -z
+        const points = [
+            new THREE.Vector3(-w, -h, l),
+            new THREE.Vector3(w, -h, l),
+            new THREE.Vector3(-w, -h, -l),
+            new THREE.Vector3(w, -h, -l),
+            new THREE.Vector3(-w, h, -l),
+            new THREE.Vector3(w, h, -l)
+        ];
+
+        return {
+            shape: {
+                type: 'convexHull',
+                points: points.flatMap(point => [point.x, point.y, point.z])
+            },
+            geometry: new ConvexGeometry(points)
+        };
+    }
+
+    /**
+     * Create the parts for a flight of stairs, centered on its bounding box
+     * @param {Object} definition - Stairs definition
+     * @returns {Array<Object>} - One box part per step
+     */
+    createStairsParts(definition) {
+        const { steps, stepHeight, stepDepth, width } = definition;
+        const totalHeight = steps * stepHeight;
+        const totalDepth = steps * stepDepth;
+        const parts = [];
+
+        // Each step is a solid block from the floor up to its tread
+        for (let i = 0; i < steps; i++) {
+            const height = (i + 1) * stepHeight;
+            parts.push(this.createBoxPart(
+                { x: width, y: height, z: stepDepth },
+                {
+                    x: 0,
+                    y: height / 2 - totalHeight / 2,
+                    z: totalDepth / 2 - (i + 0.5) * stepDepth
+                }
+            ));
+        }
+
+        return parts;
+    }
+
+    /**
+     * Create a triangle mesh part
+     * @param {Object} definition - Trimesh definition with flat vertices and indices arrays
+     * @returns {Object} - Part as {shape, geometry}
+     */
+    createTrimeshPart(definition) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(definition.vertices, 3));
+        geometry.setIndex(definition.indices);
+        geometry.computeVertexNormals();
+
+        return {
+            shape: {
+                type: 'trimesh',
+                vertices: definition.vertices,
+                indices: definition.indices
+            },
+            geometry
+        };
+    }
+
+    /**
+     * Create a heightfield terrain part, centered on the object's position
+     * @param {Object} definition - Heightfield definition
+     * @returns {Object} - Part as {shape, geometry}
+     */
+    createHeightfieldPart(definition) {
+        const rows = definition.heights;
+        const nrows = rows.length - 1;
+        const ncols = rows[0].length - 1;
+        const heightScale = definition.heightScale !== undefined ? definition.heightScale : 1;
+
+        // Rapier expects a column-major matrix: rows along z, columns along x
+        const heights = new Array(rows.length * rows[0].length);
+        for (let row = 0; row <= nrows; row++) {
+            for (let col = 0; col <= ncols; col++) {
+                heights[col * (nrows + 1) + row] = rows[row][col];
+            }
+        }
+
+        // A rotated plane has its vertex rows running from -z to +z, matching the rows above
+        const geometry = new THREE.PlaneGeometry(definition.size.x, definition.size.z, ncols, nrows);
+        geometry.rotateX(-Math.PI / 2);
+        const positions = geometry.attributes.position;
+        for (let row = 0; row <= nrows; row++) {
+            for (let col = 0; col <= ncols; col++) {
+                positions.setY(row * (ncols + 1) + col, rows[row][col] * heightScale);
+            }
+        }
+        positions.needsUpdate = true;
+        geometry.computeVertexNormals();
+
+        return {
+            shape: {
+                type: 'heightfield',
+                nrows,
+                ncols,
+                heights,
+                scale: { x: definition.size.x, y: heightScale, z: definition.size.z }
+            },
+            geometry
+        };
+    }
+
+    /**
+     * Check a level for problems
+     * @param {Object} level - Level data
+     * @returns {Array<string>} - Problems found, each prefixed with the path of the offending field
+     */
+    validate(level) {
+        const errors = [];
+
+        if (!this.isObject(level)) {
+            return ['level: expected a JSON object'];
+        }
+
+        if (level.name !== undefined && typeof level.name !== 'string') {
+            errors.push('name: expected a string');
+        }
+
+        // Materials
+        const materialNames = new Set(['default']);
+        if (level.materials !== undefined) {
+            if (!this.isObject(level.materials)) {
+                errors.push('materials: expected an object mapping names to materials');
+            } else {
+                Object.entries(level.materials).forEach(([name, material]) => {
+                    materialNames.add(name);
+                    this.validateMaterial(`materials.${name}`, material, errors);
+                });
+            }
+        }
+
+        // Spawn points
+        if (!Array.isArray(level.spawnPoints) || level.spawnPoints.length === 0) {
+            errors.push('spawnPoints: expected an array with at least one spawn point');
+        } else {
+            level.spawnPoints.forEach((spawn, index) => {
+                const path = `spawnPoints[${index}]`;
+                if (!this.isObject(spawn)) {
+                    errors.push(`${path}: expected an object`);
+                    return;
+                }
+                if (spawn.name !== undefined && typeof spawn.name !== 'string') {
+                    errors.push(`${path}.name: expected a string`);
+                }
+                this.validateVector(`${path}.position`, spawn.position, errors);
+                if (spawn.rotation !== undefined && !this.isNumber(spawn.rotation)) {
+                    errors.push(`${path}.rotation: expected a number (degrees)`);
+                }
+            });
+        }
+
+        // Lights
+        if (level.lights !== undefined) {
+            if (!Array.isArray(level.lights)) {
+                errors.push('lights: expected an array');
+            } else {
+                level.lights.forEach((light, index) => this.validateLight(`lights[${index}]`, light, errors));
+            }
+        }
+
+        // Static objects
+        if (level.objects !== undefined) {
+            if (!Array.isArray(level.objects)) {
+                errors.push('objects: expected an array');
+            } else {
+                level.objects.forEach((object, index) => {
+                    this.validateObject(`objects[${index}]`, object, materialNames, errors);
+                });
+            }
+        }
+
+        // Moving platforms
+        if (level.platforms !== undefined) {
+            if (!Array.isArray(level.platforms)) {
+                errors.push('platforms: expected an array');
+            } else {
+                level.platforms.forEach((platform, index) => {
+                    this.validatePlatform(`platforms[${index}]`, platform, materialNames, errors);
+                });
+            }
+        }
+
+        // Dynamic props
+        if (level.props !== undefined) {
+            if (!Array.isArray(level.props)) {
+                errors.push('props: expected an array');
+            } else {
+                level.props.forEach((prop, index) => {
+                    this.validateProp(`props[${index}]`, prop, materialNames, errors);
+                });
+            }
+        }
+
+        // Trigger volumes
+        if (level.triggers !== undefined) {
+            if (!Array.isArray(level.triggers)) {
+                errors.push('triggers: expected an array');
+            } else {
+                level.triggers.forEach((trigger, index) => this.validateTrigger(`triggers[${index}]`, trigger, errors));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a material definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} material - Material definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateMaterial(path, material, errors) {
+        if (!this.isObject(material)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+        if (material.color !== undefined) {
+            this.validateColor(`${path}.color`, material.color, errors);
+        }
+        ['roughness', 'metalness', 'restitution'].forEach(key => {
+            if (material[key] !== undefined && !(this.isNumber(material[key]) && material[key] >= 0 && material[key] <= 1)) {
+                errors.push(`${path}.${key}: expected a number between 0 and 1`);
+            }
+        });
+        if (material.friction !== undefined && !(this.isNumber(material.friction) && material.friction >= 0)) {
+            errors.push(`${path}.friction: expected a non-negative number`);
+        }
+        if (material.surface !== undefined && !(this.physics.surfaces && this.physics.surfaces.has(material.surface))) {
+            errors.push(`${path}.surface: unknown surface ${JSON.stringify(material.surface)}`);
+        }
+        ['speedMultiplier', 'accelerationMultiplier'].forEach(key => {
+            if (material[key] !== undefined && !(this.isNumber(material[key]) && material[key] > 0)) {
+                errors.push(`${path}.${key}: expected a positive number`);
+            }
+        });
+        if (material.launchSpeed !== undefined && !(this.isNumber(material.launchSpeed) && material.launchSpeed >= 0)) {
+            errors.push(`${path}.launchSpeed: expected a non-negative number`);
+        }
+        if (material.footstep !== undefined && typeof material.footstep !== 'string') {
+            errors.push(`${path}.footstep: expected a string`);
+        }
+    }
+
+    /**
+     * Validate a light definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} light - Light definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateLight(path, light, errors) {
+        const types = ['ambient', 'directional', 'point', 'hemisphere'];
+
+        if (!this.isObject(light)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+        if (!types.includes(light.type)) {
+            errors.push(`${path}.type: expected one of ${types.join(', ')} (got ${JSON.stringify(light.type)})`);
+        }
+        if (light.color !== undefined) {
+            this.validateColor(`${path}.color`, light.color, errors);
+        }
+        if (light.intensity !== undefined && !(this.isNumber(light.intensity) && light.intensity >= 0)) {
+            errors.push(`${path}.intensity: expected a non-negative number`);
+        }
+        if ((light.type === 'directional' || light.type === 'point') && light.position !== undefined) {
+            this.validateVector(`${path}.position`, light.position, errors);
+        }
+    }
+
+    /**
+     * Validate a static object definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} object - Object definition
+     * @param {Set<string>} materialNames - Known material names
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateObject(path, object, materialNames, errors) {
+        const types = ['box', 'sphere', 'ramp', 'stairs', 'trimesh', 'heightfield'];
+
+        if (!this.isObject(object)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+        if (!types.includes(object.type)) {
+            errors.push(`${path}.type: expected one of ${types.join(', ')} (got ${JSON.stringify(object.type)})`);
+            return;
+        }
+
+        this.validateVector(`${path}.position`, object.position, errors);
+        if (object.rotation !== undefined) {
+            this.validateVector(`${path}.rotation`, object.rotation, errors);
+        }
+        if (object.material !== undefined && !materialNames.has(object.material)) {
+            errors.push(`${path}.material: unknown material ${JSON.stringify(object.material)}`);
+        }
+
+        switch (object.type) {
+            case 'box':
+            case 'ramp':
+                this.validateVector(`${path}.size`, object.size, errors, { positive: true });
+                break;
+            case 'sphere':
+                this.validatePositive(`${path}.radius`, object.radius, errors);
+                break;
+            case 'stairs':
+                if (!(Number.isInteger(object.steps) && object.steps > 0)) {
+                    errors.push(`${path}.steps: expected a positive integer`);
+                }
+                ['stepHeight', 'stepDepth', 'width'].forEach(key => {
+                    this.validatePositive(`${path}.${key}`, object[key], errors);
+                });
+                break;
+            case 'trimesh':
+                this.validateTrimesh(path, object, errors);
+                break;
+            case 'heightfield':
+                this.validateHeightfield(path, object, errors);
+                break;
+        }
+    }
+
+    /**
+     * Validate trimesh vertex and index data
+     * @param {string} path - Field path for error messages
+     * @param {Object} object - Trimesh definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateTrimesh(path, object, errors) {
+        const { vertices, indices } = object;
+
+        if (!Array.isArray(vertices) || vertices.length < 9 || vertices.length % 3 !== 0 ||
+            !vertices.every(value => this.isNumber(value))) {
+            errors.push(`${path}.vertices: expected a flat array of numbers, three per vertex, with at least 3 vertices`);
+            return;
+        }
+
+        const vertexCount = vertices.length / 3;
+        if (!Array.isArray(indices) || indices.length === 0 || indices.length % 3 !== 0) {
+            errors.push(`${path}.indices: expected a flat array of vertex indices, three per triangle`);
+            return;
+        }
+
+        const badIndex = indices.findIndex(value => !Number.isInteger(value) || value < 0 || value >= vertexCount);
+        if (badIndex !== -1) {
+            errors.push(`${path}.indices[${badIndex}]: expected an integer between 0 and ${vertexCount - 1} (got ${JSON.stringify(indices[badIndex])})`);
+        }
+    }
+
+    /**
+     * Validate heightfield dimensions and height data
+     * @param {string} path - Field path for error messages
+     * @param {Object} object - Heightfield definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateHeightfield(path, object, errors) {
+        if (!this.isObject(object.size)) {
+            errors.push(`${path}.size: expected an object with x and z`);
+        } else {
+            this.validatePositive(`${path}.size.x`, object.size.x, errors);
+            this.validatePositive(`${path}.size.z`, object.size.z, errors);
+        }
+
+        if (object.heightScale !== undefined && !this.isNumber(object.heightScale)) {
+            errors.push(`${path}.heightScale: expected a number`);
+        }
+
+        const rows = object.heights;
+        if (!Array.isArray(rows) || rows.length < 2 || !Array.isArray(rows[0]) || rows[0].length < 2) {
+            errors.push(`${path}.heights: expected at least 2 rows of at least 2 heights each`);
+            return;
+        }
+
+        const columns = rows[0].length;
+        rows.forEach((row, index) => {
+            if (!Array.isArray(row) || row.length !== columns) {
+                errors.push(`${path}.heights[${index}]: expected ${columns} heights to match the first row`);
+            } else if (!row.every(value => this.isNumber(value))) {
+                errors.push(`${path}.heights[${index}]: expected only numbers`);
+            }
+        });
+    }
+
+    /**
+     * Validate a moving platform definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} platform - Platform definition
+     * @param {Set<string>} materialNames - Known material names
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validatePlatform(path, platform, materialNames, errors) {
+        const pathTypes = ['waypoints', 'pingpong', 'rotate'];
+
+        if (!this.isObject(platform)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+
+        this.validateVector(`${path}.size`, platform.size, errors, { positive: true });
+        if (platform.position !== undefined) {
+            this.validateVector(`${path}.position`, platform.position, errors);
+        }
+        if (platform.material !== undefined && !materialNames.has(platform.material)) {
+            errors.push(`${path}.material: unknown material ${JSON.stringify(platform.material)}`);
+        }
+
+        const motion = platform.path;
+        if (!this.isObject(motion)) {
+            errors.push(`${path}.path: expected an object`);
+            return;
+        }
+        if (!pathTypes.includes(motion.type)) {
+            errors.push(`${path}.path.type: expected one of ${pathTypes.join(', ')} (got ${JSON.stringify(motion.type)})`);
+            return;
+        }
+
+        if (motion.type !== 'rotate') {
+            if (!Array.isArray(motion.waypoints) || motion.waypoints.length < 2) {
+                errors.push(`${path}.path.waypoints: expected at least 2 waypoints`);
+            } else {
+                motion.waypoints.forEach((waypoint, index) => {
+                    this.validateVector(`${path}.path.waypoints[${index}]`, waypoint, errors);
+                });
+            }
+            if (motion.speed !== undefined) {
+                this.validatePositive(`${path}.path.speed`, motion.speed, errors);
+            }
+            if (motion.pause !== undefined && !(this.isNumber(motion.pause) && motion.pause >= 0)) {
+                errors.push(`${path}.path.pause: expected a non-negative number`);
+            }
+        } else if (platform.position === undefined) {
+            errors.push(`${path}.position: required for rotating platforms`);
+        }
+
+        if (motion.angularVelocity !== undefined) {
+            this.validateVector(`${path}.path.angularVelocity`, motion.angularVelocity, errors);
+        }
+    }
+
+    /**
+     * Validate a dynamic prop definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} prop - Prop definition
+     * @param {Set<string>} materialNames - Names of the level's materials
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateProp(path, prop, materialNames, errors) {
+        const types = ['box', 'sphere', 'cylinder', 'compound'];
+
+        if (!this.isObject(prop)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+
+        this.validateVector(`${path}.position`, prop.position, errors);
+        if (prop.rotation !== undefined) {
+            this.validateVector(`${path}.rotation`, prop.rotation, errors);
+        }
+        if (prop.material !== undefined && !materialNames.has(prop.material)) {
+            errors.push(`${path}.material: unknown material ${JSON.stringify(prop.material)}`);
+        }
+        if (prop.mass !== undefined) {
+            this.validatePositive(`${path}.mass`, prop.mass, errors);
+        }
+        ['linearDamping', 'angularDamping'].forEach(key => {
+            if (prop[key] !== undefined && !(this.isNumber(prop[key]) && prop[key] >= 0)) {
+                errors.push(`${path}.${key}: expected a non-negative number`);
+            }
+        });
+
+        if (!types.includes(prop.type)) {
+            errors.push(`${path}.type: expected one of ${types.join(', ')} (got ${JSON.stringify(prop.type)})`);
+            return;
+        }
+
+        if (prop.type !== 'compound') {
+            this.validatePropShape(path, prop, errors);
+        } else if (!Array.isArray(prop.shapes) || prop.shapes.length === 0) {
+            errors.push(`${path}.shapes: expected an array with at least one shape`);
+        } else {
+            prop.shapes.forEach((part, index) => {
+                const partPath = `${path}.shapes[${index}]`;
+                if (!this.isObject(part)) {
+                    errors.push(`${partPath}: expected an object`);
+                    return;
+                }
+                if (!types.slice(0, 3).includes(part.type)) {
+                    errors.push(`${partPath}.type: expected one of box, sphere, cylinder (got ${JSON.stringify(part.type)})`);
+                    return;
+                }
+                this.validatePropShape(partPath, part, errors);
+                if (part.offset !== undefined) {
+                    this.validateVector(`${partPath}.offset`, part.offset, errors);
+                }
+                if (part.rotation !== undefined) {
+                    this.validateVector(`${partPath}.rotation`, part.rotation, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate the shape fields of a box, sphere or cylinder prop (or compound part)
+     * @param {string} path - Field path for error messages
+     * @param {Object} shape - Prop or part definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validatePropShape(path, shape, errors) {
+        if (shape.type === 'box') {
+            this.validateVector(`${path}.size`, shape.size, errors, { positive: true });
+            return;
+        }
+
+        this.validatePositive(`${path}.radius`, shape.radius, errors);
+        if (shape.type === 'cylinder') {
+            this.validatePositive(`${path}.height`, shape.height, errors);
+        }
+    }
+
+    /**
+     * Validate a trigger volume definition
+     * @param {string} path - Field path for error messages
+     * @param {Object} trigger - Trigger definition
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateTrigger(path, trigger, errors) {
+        if (!this.isObject(trigger)) {
+            errors.push(`${path}: expected an object`);
+            return;
+        }
+
+        ['name', 'tag'].forEach(key => {
+            if (trigger[key] !== undefined && (typeof trigger[key] !== 'string' || trigger[key].length === 0)) {
+                errors.push(`${path}.${key}: expected a non-empty string`);
+            }
+        });
+
+        this.validateVector(`${path}.position`, trigger.position, errors);
+        if (trigger.rotation !== undefined) {
+            this.validateVector(`${path}.rotation`, trigger.rotation, errors);
+        }
+
+        if (trigger.radius !== undefined) {
+            this.validatePositive(`${path}.radius`, trigger.radius, errors);
+        } else {
+            this.validateVector(`${path}.size`, trigger.size, errors, { positive: true });
+        }
+    }
+
+    /**
+     * Validate a {x, y, z} vector
+     * @param {string} path - Field path for error messages
+     * @param {Object} value - Value to check
+     * @param {Array<string>} errors - Error list to append to
+     * @param {Object} options - Options as {positive}
+     */
+    validateVector(path, value, errors, options = {}) {
+        if (!this.isObject(value)) {
+            errors.push(`${path}: expected an object with x, y and z`);
+            return;
+        }
+
+        ['x', 'y', 'z'].forEach(axis => {
+            if (options.positive) {
+                this.validatePositive(`${path}.${axis}`, value[axis], errors);
+            } else if (!this.isNumber(value[axis])) {
+                errors.push(`${path}.${axis}: expected a number (got ${JSON.stringify(value[axis])})`);
+            }
+        });
+    }
+
+    /**
+     * Validate a positive number
+     * @param {string} path - Field path for error messages
+     * @param {*} value - Value to check
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validatePositive(path, value, errors) {
+        if (!(this.isNumber(value) && value > 0)) {
+            errors.push(`${path}: expected a positive number (got ${JSON.stringify(value)})`);
+        }
+    }
+
+    /**
+     * Validate a color given as a CSS string ('#rrggbb') or a number (0xrrggbb)
+     * @param {string} path - Field path for error messages
+     * @param {*} value - Value to check
+     * @param {Array<string>} errors - Error list to append to
+     */
+    validateColor(path, value, errors) {
+        const valid = (typeof value === 'string' && value.length > 0) ||
+            (Number.isInteger(value) && value >= 0 && value <= 0xffffff);
+        if (!valid) {
+            errors.push(`${path}: expected a color string like "#ff8800" or a number`);
+        }
+    }
+
+    /**
+     * Check for a finite number
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    /**
+     * Check for a plain (non-array) object
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Convert degrees to radians
+     * @param {number} degrees - Angle in degrees
+     * @returns {number} - Angle in radians
+     */
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Convert an Euler rotation in degrees to a quaternion
+     * @param {Object} rotation - Rotation as {x, y, z} in degrees (optional)
+     * @returns {Object} - Quaternion as {x, y, z, w}
+     */
+    toQuaternion(rotation) {
+        if (!rotation) return { x: 0, y: 0, z: 0, w: 1 };
+
+        const quaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            this.toRadians(rotation.x),
+            this.toRadians(rotation.y),
+            this.toRadians(rotation.z)
+        ));
+        return { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w };
+    }
+}
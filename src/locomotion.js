@@ -0,0 +1,187 @@
+/**
+ * State machine for character locomotion (idle, walk, jumpRise, fall, land, ...).
+ * Transitions are guarded by functions and checked in priority order every update;
+ * the first guard that passes picks the next state. Listeners hear about every
+ * change through 'stateChange' and about entering a state through its own name.
+ */
+export class LocomotionStateMachine {
+    /**
+     * Create a new state machine
+     * @param {Object} owner - Object passed to guards and state handlers (usually the character controller)
+     * @param {string} initialState - Name of the starting state
+     */
+    constructor(owner, initialState = 'idle') {
+        this.owner = owner;
+
+        // State handlers by name: {enter, exit, update}
+        this.states = new Map();
+
+        // Guarded transitions, highest priority first
+        this.transitions = [];
+
+        this.current = initialState;
+        this.previous = null;
+        this.timeInState = 0;
+
+        // Listeners by event type: 'stateChange' or a state name
+        this.eventListeners = { stateChange: [] };
+    }
+
+    /**
+     * Add a state, or replace the handlers of an existing one
+     * @param {string} name - State name
+     * @param {Object} handlers - Optional callbacks, each called with (owner, machine, ...):
+     *   enter(owner, machine, event) when the state is entered,
+     *   exit(owner, machine, event) when it is left,
+     *   update(owner, machine, deltaTime) every update while it is current
+     * @returns {LocomotionStateMachine} - This machine, for chaining
+     */
+    addState(name, handlers = {}) {
+        this.states.set(name, handlers);
+        if (!this.eventListeners[name]) {
+            this.eventListeners[name] = [];
+        }
+        return this;
+    }
+
+    /**
+     * Add a guarded transition
+     * @param {string|Array<string>} from - State name, list of names, or '*' for any state
+     * @param {string} to - Target state name
+     * @param {Function} guard - Called with (owner, machine); the transition happens when it returns true
+     * @param {number} priority - Transitions with higher priority are checked first
+     * @returns {LocomotionStateMachine} - This machine, for chaining
+     */
+    addTransition(from, to, guard, priority = 0) {
+        if (!this.states.has(to)) {
+            console.warn('Transition to unknown locomotion state:', to);
+            return this;
+        }
+
+        this.transitions.push({ from, to, guard, priority });
+
+        // Stable sort keeps transitions of equal priority in the order they were added
+        this.transitions.sort((a, b) => b.priority - a.priority);
+        return this;
+    }
+
+    /**
+     * Check whether a transition applies to a state
+     * @param {Object} transition - Transition entry
+     * @param {string} state - State name
+     * @returns {boolean} - Whether the transition starts from the state
+     */
+    matchesFrom(transition, state) {
+        if (transition.from === '*') return true;
+        if (Array.isArray(transition.from)) return transition.from.includes(state);
+        return transition.from === state;
+    }
+
+    /**
+     * Advance the time in state, take the first transition whose guard passes and update the current state
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.timeInState += deltaTime;
+
+        for (const transition of this.transitions) {
+            if (!this.matchesFrom(transition, this.current)) continue;
+
+            let passed = false;
+            try {
+                passed = transition.guard(this.owner, this);
+            } catch (error) {
+                console.error(`Error in locomotion guard (${this.current} -> ${transition.to}):`, error);
+            }
+
+            if (passed) {
+                // A passing transition to the current state keeps lower priority ones from firing
+                if (transition.to !== this.current) {
+                    this.setState(transition.to);
+                }
+                break;
+            }
+        }
+
+        const handlers = this.states.get(this.current);
+        if (handlers && typeof handlers.update === 'function') {
+            handlers.update(this.owner, this, deltaTime);
+        }
+    }
+
+    /**
+     * Switch to a state right away, without checking guards
+     * @param {string} name - State name
+     */
+    setState(name) {
+        if (!this.states.has(name)) {
+            console.warn('Unknown locomotion state:', name);
+            return;
+        }
+
+        const event = { from: this.current, to: name, timeInPrevious: this.timeInState };
+
+        const exiting = this.states.get(this.current);
+        if (exiting && typeof exiting.exit === 'function') {
+            exiting.exit(this.owner, this, event);
+        }
+
+        this.previous = this.current;
+        this.current = name;
+        this.timeInState = 0;
+
+        const entering = this.states.get(name);
+        if (typeof entering.enter === 'function') {
+            entering.enter(this.owner, this, event);
+        }
+
+        this.emit('stateChange', event);
+        this.emit(name, event);
+    }
+
+    /**
+     * Check if the machine is in a state
+     * @param {string} name - State name
+     * @returns {boolean} - Whether it is the current state
+     */
+    is(name) {
+        return this.current === name;
+    }
+
+    /**
+     * Subscribe to a state machine event
+     * @param {string} type - 'stateChange', or a state name to hear about entering that state
+     * @param {Function} callback - Called with {from, to, timeInPrevious}
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, callback) {
+        const listeners = this.eventListeners[type];
+        if (!listeners) {
+            console.warn('Unknown locomotion event type:', type);
+            return () => {};
+        }
+
+        listeners.push(callback);
+
+        return () => {
+            const index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Notify the listeners of an event
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        // Copy so listeners can unsubscribe while being notified
+        this.eventListeners[type].slice().forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in locomotion ${type} listener:`, error);
+            }
+        });
+    }
+}
@@ -2,6 +2,10 @@ import { PhysicsWorld } from './physics.js';
 import { CharacterController } from './character.js';
 import { SceneManager } from './scene.js';
 import { InputHandler } from './input.js';
+import { LevelLoader } from './level.js';
+import { InputRecorder } from './recorder.js';
+import { InputReplay } from './replay.js';
+import { PhysicsRecovery } from './recovery.js';
 
 /**
  * Main application class
@@ -17,6 +21,38 @@ class Application {
         this.lastTime = 0;
         this.isRunning = false;
         
+        // Fixed-step simulation settings
+        this.timing = {
+            tickRate: 60,        // Simulation ticks per second
+            maxSubSteps: 5,      // Maximum ticks to run in a single frame
+            maxFrameTime: 0.25,  // Clamp for long frames (tab switches, breakpoints)
+            accumulator: 0,      // Unsimulated time carried between frames
+            alpha: 1             // Interpolation factor for rendering
+        };
+        
+        // Character transforms from the last two ticks, used for interpolation
+        this.characterTransform = {
+            previous: null,
+            current: null
+        };
+        
+        // Character options ('dynamic' or 'kinematic' movement mode)
+        this.characterOptions = {
+            mode: 'dynamic'
+        };
+        
+        const params = new URLSearchParams(window.location.search);
+        
+        // Level (a JSON or glTF/GLB file, overridable with ?level=<url>)
+        this.levelUrl = params.get('level') || '/levels/default.json';
+        this.level = null;
+        
+        // Input recording (?record starts one at load) and replay (?replay=<url> plays one back)
+        this.recorder = new InputRecorder();
+        this.recordOnStart = params.has('record');
+        this.replayUrl = params.get('replay');
+        this.replay = null;
+        
         // Character and ground objects
         this.character = null;
         this.characterMesh = null;
@@ -27,9 +63,239 @@ class Application {
         this.hasError = false;
         this.usingFallback = false;
         
+        // Brings the character back to physics movement after a switch to the fallback
+        this.recovery = null;
+        
+        // Last trigger volume the character entered, for the debug display
+        this.lastTrigger = null;
+        this.unsubscribeTriggerWatch = null;
+        
         // Debug info
         this.debugElement = null;
         this.setupDebugInfo();
+        
+        // Controls panel listing the bindings, with buttons to rebind them
+        this.controlsElement = null;
+        this.setupControlsPanel();
+        
+        // Input actions that aren't read by the character
+        this.setupInputActions();
+    }
+    
+    /**
+     * Wire up input actions handled by the application, such as the camera mode toggle
+     */
+    setupInputActions() {
+        this.input.actions.on('toggleCamera', () => this.scene.toggleCameraMode());
+        this.input.actions.on('toggleRecording', () => this.toggleRecording());
+        this.updateInputHints();
+    }
+    
+    /**
+     * Start recording input, or stop and download the recording in progress
+     */
+    toggleRecording() {
+        if (!this.character || this.replay) return;
+        
+        if (this.recorder.isRecording()) {
+            const recording = this.recorder.stop();
+            InputRecorder.download(recording, `input-recording-${Date.now()}.json`);
+            this.updateStatus('Recording saved');
+            return;
+        }
+        
+        // The character's state is recorded, but platforms and props have moved on since the level loaded
+        console.warn('Recording started mid-session; load the page with ?record for an exact replay with moving platforms or props');
+        this.startRecording();
+    }
+    
+    /**
+     * Start recording input from the current tick
+     */
+    startRecording() {
+        this.recorder.start(this.character, { tickRate: this.timing.tickRate, level: this.levelUrl });
+        this.updateStatus('Recording input (F8 to stop)');
+    }
+    
+    /**
+     * Load the recording given with ?replay so the level and character are set up to match it
+     */
+    async loadReplay() {
+        try {
+            this.replay = await InputReplay.load(this.replayUrl);
+            
+            const { recording } = this.replay;
+            if (recording.level) this.levelUrl = recording.level;
+            this.setTickRate(recording.tickRate);
+            
+            console.log(`Replaying ${recording.frames.length} ticks from ${this.replayUrl}`);
+        } catch (error) {
+            console.error('Failed to load input replay:', error);
+            this.scene.showError(`Failed to load replay. ${error.message}`);
+            this.replay = null;
+        }
+    }
+    
+    /**
+     * Report how the replay went and hand control back to live input
+     */
+    finishReplay() {
+        const divergence = this.replay.getFirstDivergence();
+        const ticks = this.replay.tick + 1;
+        
+        if (divergence) {
+            const message = `Replay diverged at tick ${divergence.tick} by ${divergence.distance.toFixed(4)} m ` +
+                `(${this.replay.divergences.length} of ${ticks} ticks off)`;
+            console.warn(message);
+            this.scene.showError(message);
+            this.updateStatus('Replay diverged', true);
+        } else {
+            console.log(`Replay matched the recording for all ${ticks} ticks`);
+            this.updateStatus('Replay matched');
+        }
+        
+        this.replay = null;
+    }
+    
+    /**
+     * Show the current bindings in the on-screen hints, the controls panel and the console
+     */
+    updateInputHints() {
+        const [binding] = this.input.actions.getBindings('toggleCamera');
+        this.scene.setCameraToggleHint(binding ? this.input.actions.describeBinding(binding) : null);
+        this.updateControlsPanel();
+        this.logControls();
+    }
+    
+    /**
+     * Print every action's bindings to the console
+     */
+    logControls() {
+        const actions = this.input.actions;
+        console.log('Controls (rebind them in the controls panel):');
+        Object.keys(actions.bindings).forEach(name => {
+            const bindings = actions.getBindings(name).map(binding => actions.describeBinding(binding));
+            console.log(`${name} - ${bindings.length > 0 ? bindings.join(', ') : 'unbound'}`);
+        });
+    }
+    
+    /**
+     * Rebind an input action to the next key, mouse button or gamepad input.
+     * The new binding is saved to localStorage.
+     * @param {string} name - Action or axis name, e.g. 'jump' or 'moveX'
+     * @param {number} index - Replace the binding at this index instead of adding one
+     * @returns {Promise<string|null>} - The new binding, or null if cancelled with Escape
+     */
+    async rebindAction(name, index = -1) {
+        const capture = this.input.actions.captureNext(name, index);
+        this.updateControlsPanel(name);
+        
+        const binding = await capture;
+        this.updateInputHints();
+        return binding;
+    }
+    
+    /**
+     * Remove one of an action's bindings and save the change
+     * @param {string} name - Action or axis name
+     * @param {string} binding - Binding string
+     */
+    unbindAction(name, binding) {
+        if (this.input.actions.unbind(name, binding)) {
+            this.input.actions.save();
+        }
+        this.updateInputHints();
+    }
+    
+    /**
+     * Go back to the default bindings and save them
+     */
+    resetBindings() {
+        this.input.actions.cancelCapture();
+        this.input.actions.resetBindings();
+        this.input.actions.save();
+        this.updateInputHints();
+    }
+    
+    /**
+     * Set up the controls panel in the top left, which takes over the page's static controls list
+     */
+    setupControlsPanel() {
+        this.controlsElement = document.getElementById('info');
+        if (!this.controlsElement) {
+            this.controlsElement = document.createElement('div');
+            this.controlsElement.style.position = 'absolute';
+            this.controlsElement.style.top = '10px';
+            this.controlsElement.style.left = '10px';
+            this.controlsElement.style.color = 'white';
+            this.controlsElement.style.fontFamily = 'monospace';
+            this.controlsElement.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            this.controlsElement.style.padding = '10px';
+            this.controlsElement.style.borderRadius = '5px';
+            document.body.appendChild(this.controlsElement);
+        }
+        this.controlsElement.style.fontSize = '12px';
+        this.controlsElement.style.maxHeight = '80vh';
+        this.controlsElement.style.overflowY = 'auto';
+        
+        // Clicks on the panel aren't game input, and don't get captured as a mouse binding
+        this.controlsElement.addEventListener('mousedown', event => event.stopPropagation());
+    }
+    
+    /**
+     * Rebuild the controls panel: each action with a button per binding (click to replace it,
+     * × to remove it), + to add a binding, and a reset button
+     * @param {string} capturing - Action waiting for a new binding, if any
+     */
+    updateControlsPanel(capturing = null) {
+        if (!this.controlsElement) return;
+        
+        const actions = this.input.actions;
+        
+        /**
+         * Create a small button that doesn't keep focus, so Space and Enter go to the game
+         */
+        const createButton = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.style.margin = '1px 2px';
+            button.style.padding = '0 4px';
+            button.style.fontFamily = 'monospace';
+            button.style.fontSize = '11px';
+            button.style.cursor = 'pointer';
+            button.addEventListener('mousedown', event => event.preventDefault());
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        
+        this.controlsElement.innerHTML = '';
+        
+        Object.keys(actions.bindings).forEach(name => {
+            const row = document.createElement('div');
+            const label = document.createElement('span');
+            label.textContent = `${name}: `;
+            row.appendChild(label);
+            
+            if (name === capturing) {
+                const prompt = document.createElement('span');
+                prompt.textContent = actions.isAxis(name) ?
+                    'move a gamepad stick (Escape cancels)' :
+                    'press a key or button, or click outside this panel (Escape cancels)';
+                row.appendChild(prompt);
+            } else {
+                actions.getBindings(name).forEach((binding, index) => {
+                    row.appendChild(createButton(actions.describeBinding(binding), 'Click to rebind',
+                        () => this.rebindAction(name, index)));
+                    row.appendChild(createButton('×', 'Remove this binding', () => this.unbindAction(name, binding)));
+                });
+                row.appendChild(createButton('+', 'Add a binding', () => this.rebindAction(name)));
+            }
+            this.controlsElement.appendChild(row);
+        });
+        
+        this.controlsElement.appendChild(createButton('Reset to defaults', 'Go back to the default bindings',
+            () => this.resetBindings()));
     }
     
     /**
@@ -65,13 +331,41 @@ class Application {
             Rotation: Y=${(rotation.y * 180 / Math.PI).toFixed(2)}°<br>
             Direction: X=${direction.x.toFixed(2)}, Z=${direction.z.toFixed(2)}<br>
             Grounded: ${state.isGrounded}<br>
-            Jumping: ${state.isJumping}<br>
-            Mode: ${this.usingFallback ? 'Fallback' : 'Physics'}<br>
-            Camera: ${this.scene.cameraMode}<br>
-            FPS: ${(1 / (this.deltaTime || 0.016)).toFixed(0)}
+            Platform: ${state.platformId !== null ? 'yes' : 'no'}<br>
+            Trigger: ${this.lastTrigger ? `${this.lastTrigger.name} (${this.lastTrigger.type})` : '-'}<br>
+            Slope: ${state.ground ? (state.ground.angle * 180 / Math.PI).toFixed(1) + '°' : '-'}${state.isOnSteepSlope ? ' (sliding)' : ''}<br>
+            Surface: ${state.surface ? `${state.surface.name} (${state.surface.footstep})` : '-'}<br>
+            Jumping: ${state.isJumping}${state.isJumping && state.jumpType ? ` (${state.jumpType})` : ''}<br>
+            State: ${state.locomotion} (${this.character.stateMachine.timeInState.toFixed(1)}s)<br>
+            Wall: ${state.isWallSliding ? 'sliding' : state.wall ? 'touching' : '-'}<br>
+            Stance: ${state.isDashing ? 'dashing' : state.isCrouching ? 'crouching' : state.isSprinting ? 'sprinting' : 'standing'}${state.isCrouchBlocked ? ' (blocked)' : ''}<br>
+            Stamina: ${state.stamina.toFixed(1)}${state.isExhausted ? ' (exhausted)' : ''}<br>
+            Mode: ${this.usingFallback ? 'Fallback' : `Physics (${this.character.options.mode})`}<br>
+            Recovery: ${this.describeRecovery()}<br>
+            Camera: ${this.scene.cameraMode} (input: ${this.character.options.movementFrame})<br>
+            FPS: ${(1 / (this.deltaTime || 0.016)).toFixed(0)}<br>
+            Tick Rate: ${this.timing.tickRate} Hz<br>
+            Input: ${this.replay ? `replay ${this.replay.tick + 1}/${this.replay.recording.frames.length}` :
+                this.recorder.isRecording() ? `recording (${this.recorder.recording.frames.length} ticks)` : 'live'}
         `;
     }
     
+    /**
+     * Summarize the recovery status for the debug display
+     * @returns {string} - Recovery state, attempts and next retry
+     */
+    describeRecovery() {
+        if (!this.recovery) return '-';
+        
+        const status = this.recovery.getStatus();
+        if (status.state === 'physics') {
+            return status.recoveries > 0 ? `ok (${status.recoveries} recovered)` : 'ok';
+        }
+        
+        const next = status.nextAttemptIn !== null ? `, next in ${status.nextAttemptIn.toFixed(1)}s` : '';
+        return `${status.state} (${status.attempts} attempts${next})`;
+    }
+    
     /**
      * Update status display
      * @param {string} message - Status message
@@ -94,13 +388,27 @@ class Application {
             // Initialize physics
             await this.physics.init();
             
-            // Create ground
-            this.ground = this.physics.createGround(50);
-            this.groundMesh = this.scene.createGround(50);
+            // A replay picks the level and tick rate it was recorded with
+            if (this.replayUrl) {
+                await this.loadReplay();
+            }
+            
+            // Build the level (falls back to a plain ground plane)
+            await this.loadLevel(this.levelUrl);
             
-            // Create character
-            this.character = new CharacterController(this.physics);
-            this.characterMesh = this.scene.createCharacter(0.5, 1.0);
+            // Create character (a replay also restores the recorded options and starting point)
+            if (this.replay) {
+                this.characterOptions = this.replay.getCharacterOptions();
+            }
+            this.character = new CharacterController(this.physics, this.characterOptions);
+            if (this.replay) {
+                this.replay.restoreInitialState(this.character);
+            }
+            
+            if (this.recordOnStart && !this.replay) {
+                this.startRecording();
+            }
+            this.characterMesh = this.scene.createCharacter(this.character.options.radius, this.character.options.height);
             
             // Check if we're using fallback mode
             this.usingFallback = this.character.usingFallback;
@@ -111,7 +419,9 @@ class Application {
                 this.updateStatus('Using Fallback Movement', true);
             } else {
                 this.updateStatus('Physics Initialized');
+                this.watchTriggers();
             }
+            this.setupRecovery();
             
             // Start the game loop
             this.isRunning = true;
@@ -134,8 +444,9 @@ class Application {
             
             // Still create visual elements for display
             this.groundMesh = this.scene.createGround(50);
-            this.character = new CharacterController(this.physics);
-            this.characterMesh = this.scene.createCharacter(0.5, 1.0);
+            this.character = new CharacterController(this.physics, this.characterOptions);
+            this.characterMesh = this.scene.createCharacter(this.character.options.radius, this.character.options.height);
+            this.setupRecovery();
             
             // Start a simplified game loop
             this.isRunning = true;
@@ -150,6 +461,166 @@ class Application {
         }
     }
     
+    /**
+     * Keep track of the trigger volumes the character walks into, for the debug display
+     */
+    watchTriggers() {
+        if (this.unsubscribeTriggerWatch) {
+            this.unsubscribeTriggerWatch();
+        }
+        
+        // A recovered character has a new body id
+        this.unsubscribeTriggerWatch = this.physics.onEnter(event => {
+            this.lastTrigger = event.trigger;
+        }, this.character.character.id);
+    }
+    
+    /**
+     * Start watching for switches to the fallback, and retrying physics movement after them
+     */
+    setupRecovery() {
+        this.recovery = new PhysicsRecovery(this.physics, this.character, {
+            rebuildWorld: () => this.rebuildLevel()
+        });
+        
+        this.recovery.on('recovered', () => this.watchTriggers());
+        this.recovery.on('gaveUp', () => {
+            this.scene.showError('Physics could not be restored. Using fallback movement system.');
+            this.updateStatus('Using Fallback Movement', true);
+        });
+    }
+    
+    /**
+     * Build the level again in a restarted physics world
+     * @returns {Promise<void>}
+     */
+    async rebuildLevel() {
+        if (this.level) {
+            new LevelLoader(this.physics, this.scene).unload(this.level);
+            this.level = null;
+        }
+        
+        if (this.groundMesh) {
+            this.scene.removeObject(this.groundMesh);
+            this.groundMesh = null;
+        }
+        this.ground = null;
+        
+        await this.loadLevel(this.levelUrl);
+    }
+    
+    /**
+     * Load a level file, creating its colliders and meshes
+     * @param {string} url - URL of the level JSON or glTF/GLB file
+     */
+    async loadLevel(url) {
+        const loader = new LevelLoader(this.physics, this.scene);
+        
+        try {
+            this.level = await loader.load(url);
+            
+            // Start the character at the level's spawn point
+            const spawn = loader.getSpawnPoint(this.level);
+            if (spawn) {
+                this.characterOptions.spawnPosition = { ...spawn.position };
+                this.characterOptions.spawnRotation = spawn.rotation;
+            } else {
+                console.warn(`Level "${this.level.name}" has no spawn point, using the default`);
+            }
+            
+            console.log(`Loaded level: ${this.level.name}`);
+        } catch (error) {
+            console.error('Failed to load level:', error);
+            this.scene.showError(`Failed to load level. ${error.message}`);
+            
+            // Keep the game playable on a bare ground plane
+            this.ground = this.physics.createGround(50);
+            this.groundMesh = this.scene.createGround(50);
+        }
+    }
+    
+    /**
+     * Set the simulation tick rate
+     * @param {number} tickRate - Simulation ticks per second
+     */
+    setTickRate(tickRate) {
+        if (!(tickRate > 0)) {
+            console.warn('Ignoring invalid tick rate:', tickRate);
+            return;
+        }
+        
+        this.timing.tickRate = tickRate;
+        this.physics.setTimestep(1 / tickRate);
+    }
+    
+    /**
+     * Capture the character's current transform for interpolation
+     * @returns {Object} - Transform as {position, rotation}
+     */
+    captureCharacterTransform() {
+        return {
+            position: this.character.getPosition(),
+            rotation: this.character.getRotation()
+        };
+    }
+    
+    /**
+     * Advance the simulation by a single fixed tick
+     * @param {number} fixedDelta - Tick length in seconds
+     */
+    tick(fixedDelta) {
+        // Check if fallback status changed
+        if (this.character && this.usingFallback !== this.character.usingFallback) {
+            this.usingFallback = this.character.usingFallback;
+            if (this.usingFallback) {
+                console.warn('Switched to fallback movement system');
+                this.scene.showError('Switched to fallback movement system');
+                this.updateStatus('Using Fallback Movement', true);
+            } else {
+                console.log('Switched back to physics movement');
+                this.updateStatus('Physics Restored');
+            }
+        }
+        
+        // Update physics if not using fallback
+        if (!this.usingFallback) {
+            this.physics.step(fixedDelta);
+            this.scene.captureObjectTransforms(this.physics);
+        }
+        
+        if (!this.character) return;
+        
+        if (this.replay) {
+            // Recorded input in place of live input, checked against the recorded positions
+            if (!this.replay.step(this.character)) {
+                this.finishReplay();
+            }
+        } else {
+            // Sample input once per tick, so taps are seen exactly once however many ticks run per frame
+            this.input.sample(fixedDelta);
+            
+            // Camera-relative input follows what the player sees
+            this.character.setCameraYaw(this.scene.getCameraYaw());
+            this.character.update(this.input, fixedDelta);
+            
+            if (this.recorder.isRecording()) {
+                this.recorder.record(this.input, this.character);
+            }
+        }
+        
+        // Retry physics movement after a switch to the fallback
+        if (this.recovery) {
+            this.recovery.update(fixedDelta);
+        }
+        
+        // Match the mesh to the capsule as the character crouches and stands up
+        this.scene.resizeCharacter(this.characterMesh, this.character.options.radius, this.character.getHeight());
+        
+        // Shift transforms so rendering can blend between the last two ticks
+        this.characterTransform.previous = this.characterTransform.current;
+        this.characterTransform.current = this.captureCharacterTransform();
+    }
+    
     /**
      * Main game loop
      * @param {number} currentTime - Current timestamp
@@ -162,40 +633,56 @@ class Application {
             this.deltaTime = (currentTime - this.lastTime) / 1000;
             this.lastTime = currentTime;
             
-            // Limit delta time to prevent large jumps
-            if (this.deltaTime > 0.1) this.deltaTime = 0.1;
+            // Limit delta time to prevent a spiral of death after long pauses
+            if (this.deltaTime > this.timing.maxFrameTime) this.deltaTime = this.timing.maxFrameTime;
+            if (this.deltaTime < 0) this.deltaTime = 0;
+            
+            // Read the gamepad and fire input actions once per frame, and turn the camera with the look axes and touch drags
+            this.input.update();
+            this.scene.applyLookInput(this.input.getLookDirection(), this.deltaTime);
+            this.scene.applyLookDrag(this.input.consumeLookDrag());
             
-            // Update physics if not using fallback
-            if (!this.usingFallback) {
-                this.physics.step(this.deltaTime);
+            // Run as many fixed ticks as the elapsed time allows
+            const fixedDelta = 1 / this.timing.tickRate;
+            this.timing.accumulator += this.deltaTime;
+            
+            let subSteps = 0;
+            while (this.timing.accumulator >= fixedDelta && subSteps < this.timing.maxSubSteps) {
+                this.tick(fixedDelta);
+                this.timing.accumulator -= fixedDelta;
+                subSteps++;
+            }
+            
+            // Drop time we could not simulate rather than letting it pile up
+            if (subSteps >= this.timing.maxSubSteps && this.timing.accumulator >= fixedDelta) {
+                this.timing.accumulator = this.timing.accumulator % fixedDelta;
             }
             
-            // Update character
+            this.timing.alpha = this.timing.accumulator / fixedDelta;
+            
+            // Move platform meshes with their bodies
+            this.scene.syncObjects(this.timing.alpha);
+            
             if (this.character) {
-                // Check if fallback status changed
-                if (this.usingFallback !== this.character.usingFallback) {
-                    this.usingFallback = this.character.usingFallback;
-                    if (this.usingFallback) {
-                        console.warn('Switched to fallback movement system');
-                        this.scene.showError('Switched to fallback movement system');
-                        this.updateStatus('Using Fallback Movement', true);
-                    }
+                if (!this.characterTransform.current) {
+                    this.characterTransform.current = this.captureCharacterTransform();
                 }
                 
-                this.character.update(this.input, this.deltaTime);
-                
                 // Update character mesh position and rotation
-                const characterPosition = this.character.getPosition();
-                const characterRotation = this.character.getRotation();
+                const { previous, current } = this.characterTransform;
                 this.scene.updateMeshPosition(
                     this.characterMesh, 
-                    characterPosition,
-                    characterRotation
+                    current.position,
+                    current.rotation,
+                    previous,
+                    this.timing.alpha
                 );
                 
-                // Update camera to follow character
+                // Update camera to follow the interpolated character position. With camera-relative
+                // or strafing input only look input turns the camera, since the character turns with it.
                 const characterDirection = this.character.getDirection();
-                this.scene.updateCameraTarget(characterPosition, characterDirection);
+                const followFacing = ['world', 'tank'].includes(this.character.options.movementFrame);
+                this.scene.updateCameraTarget(this.characterMesh.position, characterDirection, followFacing);
             }
             
             // Update debug info
@@ -209,7 +696,12 @@ class Application {
         } catch (error) {
             console.error('Error in game loop:', error);
             this.hasError = true;
-            this.usingFallback = true;
+            if (this.character) {
+                // The recovery brings physics back if the error doesn't persist
+                this.character.switchToFallback(error);
+            } else {
+                this.usingFallback = true;
+            }
             this.scene.showError('An error occurred during the game loop. Using fallback movement system.');
             this.updateStatus('Error - Using Fallback', true);
             
@@ -246,10 +738,3 @@ app.init().catch(error => {
         loadingScreen.style.display = 'none';
     }
 });
-
-// Display controls info in console
-console.log('Controls:');
-console.log('W, A, S, D - Move');
-console.log('Space - Jump');
-console.log('C - Toggle camera mode');
-console.log('Mouse - Rotate camera (in orbit mode)');
\ No newline at end of file
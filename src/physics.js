@@ -1,4 +1,5 @@
 import * as RAPIER from '@dimforge/rapier3d';
+import { CollisionWorld } from './collision.js';
 
 /**
  * Physics world manager using Rapier
@@ -8,7 +9,26 @@ export class PhysicsWorld {
         this.initialized = false;
         this.world = null;
         this.bodies = new Map();
+        this.platforms = new Map(); // Kinematic moving platforms by body id
         this.gravity = { x: 0.0, y: -9.81, z: 0.0 };
+        this.timestep = 1 / 60; // Fixed simulation timestep in seconds
+        this.cylinderSegments = 24; // Sides of the prism used for cylinder colliders
+        
+        // Surface materials by name, and the surface of each collider by handle
+        this.surfaces = new Map();
+        this.colliderSurfaces = new Map();
+        this.registerDefaultSurfaces();
+        
+        // Collision events
+        this.eventQueue = null;
+        this.eventListeners = { enter: [], stay: [], exit: [], contact: [] };
+        this.intersections = new Map(); // Active trigger overlaps by "sensor:other" collider handles
+        this.carriedIntersections = new Set(); // Overlaps moved to a replacement collider, waiting to start again
+        this.pendingContacts = new Map(); // Contacts that started last step, waiting for their impulse
+        
+        // Plain JavaScript copy of the solid shapes, for the fallback movement system
+        this.collision = new CollisionWorld();
+        this.previousCollision = null; // Shapes from before a restart, kept until the new world is built
     }
 
     /**
@@ -24,6 +44,7 @@ export class PhysicsWorld {
             
             // Create a new physics world
             this.world = new RAPIER.World(this.gravity);
+            this.eventQueue = new RAPIER.EventQueue(true);
             this.initialized = true;
             
             console.log('Physics world initialized');
@@ -44,9 +65,11 @@ export class PhysicsWorld {
         
         // Create a minimal world implementation
         this.world = {
+            isFallback: true,
             step: () => {},
             createRigidBody: () => this.createFallbackBody(),
             createCollider: () => ({}),
+            createCharacterController: () => null,
             castRay: () => null
         };
     }
@@ -58,6 +81,7 @@ export class PhysicsWorld {
     createFallbackBody() {
         return {
             handle: Math.random().toString(36).substring(2, 15),
+            isFallback: true, // Not simulated; the character uses fallback movement instead
             setLinvel: () => {},
             applyImpulse: () => {},
             translation: () => ({ x: 0, y: 0, z: 0 }),
@@ -65,6 +89,138 @@ export class PhysicsWorld {
         };
     }
 
+    /**
+     * Check whether the world is simulated by Rapier rather than the fallback stand-in
+     * @returns {boolean}
+     */
+    hasRapier() {
+        return this.initialized && !!this.world && !this.world.isFallback;
+    }
+
+    /**
+     * Check that the Rapier world still responds
+     * @returns {Object} - Result as {healthy, error}
+     */
+    checkHealth() {
+        if (!this.hasRapier()) {
+            return { healthy: false, error: new Error('Rapier world is not running') };
+        }
+
+        try {
+            // Any call into the world fails once Rapier has crashed or the world was freed
+            this.world.bodies.len();
+            return { healthy: true, error: null };
+        } catch (error) {
+            return { healthy: false, error };
+        }
+    }
+
+    /**
+     * Replace the world with a fresh one, for recovering after Rapier fails.
+     * Every body is lost, so the level has to be rebuilt; until it is, the fallback
+     * movement system keeps colliding with the old shapes (previousCollision).
+     * @param {Function} rebuild - Optional callback that recreates the level, called with
+     *   this world once Rapier is running again (may return a promise)
+     * @returns {Promise<boolean>} - Whether Rapier is running and the level was rebuilt
+     */
+    async restart(rebuild = null) {
+        if (!this.previousCollision) {
+            // The old bodies are about to be freed, so stop following them
+            this.collision.freeze();
+            this.previousCollision = this.collision;
+        }
+
+        try {
+            if (this.world && typeof this.world.free === 'function') {
+                this.world.free();
+            }
+        } catch (error) {
+            console.warn('Failed to free the old physics world:', error);
+        }
+
+        this.reset();
+        await this.init();
+        if (!this.hasRapier()) {
+            return false;
+        }
+
+        if (typeof rebuild === 'function') {
+            try {
+                await rebuild(this);
+            } catch (error) {
+                console.error('Failed to rebuild the physics world:', error);
+                return false;
+            }
+        }
+
+        this.previousCollision = null;
+        return true;
+    }
+
+    /**
+     * Forget every body, collider and contact, leaving the world uninitialized.
+     * Registered surfaces and event listeners are kept.
+     */
+    reset() {
+        this.initialized = false;
+        this.world = null;
+        this.eventQueue = null;
+        this.bodies.clear();
+        this.platforms.clear();
+        this.colliderSurfaces.clear();
+        this.intersections.clear();
+        this.carriedIntersections.clear();
+        this.pendingContacts.clear();
+        this.collision = new CollisionWorld();
+    }
+
+    /**
+     * Remove a body and its colliders from the world
+     * @param {number} id - Body id from the bodies map
+     * @returns {boolean} - Whether the body was known
+     */
+    removeBody(id) {
+        const entry = this.bodies.get(id);
+        if (!entry) return false;
+
+        this.bodies.delete(id);
+        this.platforms.delete(id);
+        if (entry.collisionId !== undefined && entry.collisionId !== null) {
+            this.collision.remove(entry.collisionId);
+        }
+
+        const colliders = entry.colliders || (entry.collider ? [entry.collider] : []);
+        colliders.forEach(collider => {
+            if (collider && collider.handle !== undefined) {
+                this.colliderSurfaces.delete(collider.handle);
+            }
+        });
+
+        if (this.hasRapier() && entry.body && !entry.body.isFallback) {
+            try {
+                // Removing the body also removes its colliders
+                this.world.removeRigidBody(entry.body);
+            } catch (error) {
+                console.error('Failed to remove body:', error);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Remove a character controller from the world
+     * @param {Object} controller - Controller returned by createCharacterController
+     */
+    removeCharacterController(controller) {
+        if (!controller || !this.hasRapier() || typeof this.world.removeCharacterController !== 'function') return;
+
+        try {
+            this.world.removeCharacterController(controller);
+        } catch (error) {
+            console.error('Failed to remove character controller:', error);
+        }
+    }
+
     /**
      * Create a ground plane
      * @param {number} size - Size of the ground plane
@@ -76,6 +232,12 @@ export class PhysicsWorld {
             return null;
         }
 
+        // Half the slab is below y = 0
+        const collisionId = this.collision.addBody({
+            shapes: [{ type: 'cuboid', halfExtents: { x: size, y: 0.1, z: size } }],
+            type: 'ground'
+        });
+
         try {
             // Create a static rigid body for the ground
             const groundBodyDesc = RAPIER.RigidBodyDesc.fixed();
@@ -84,10 +246,11 @@ export class PhysicsWorld {
             // Create a collider for the ground (flat box)
             const groundColliderDesc = RAPIER.ColliderDesc.cuboid(size, 0.1, size);
             const groundCollider = this.world.createCollider(groundColliderDesc, groundBody);
+            this.colliderSurfaces.set(groundCollider.handle, 'default');
 
             // Store the body in our map
             const id = groundBody.handle;
-            this.bodies.set(id, { body: groundBody, collider: groundCollider, type: 'ground' });
+            this.bodies.set(id, { body: groundBody, collider: groundCollider, type: 'ground', collisionId });
 
             return { id, body: groundBody, collider: groundCollider };
         } catch (error) {
@@ -97,23 +260,460 @@ export class PhysicsWorld {
         }
     }
 
+    /**
+     * Create a fixed (static) body made of one or more colliders
+     * @param {Object} options - Body options
+     * @param {Object} options.position - Body position as {x, y, z}
+     * @param {Object} options.rotation - Body rotation as a quaternion {x, y, z, w}
+     * @param {Array<Object>} options.shapes - Collider shapes (see createColliderDesc)
+     * @param {string} options.surface - Name of a registered surface (defaults to 'default')
+     * @param {Object} options.material - Friction and restitution overriding the surface's, as {friction, restitution}
+     * @param {string} options.type - Tag stored in the bodies map
+     * @param {boolean} options.sensor - Make the colliders sensors that detect overlaps without blocking
+     * @returns {Object|null} - Static body and colliders
+     */
+    createStaticBody(options = {}) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return null;
+        }
+
+        const {
+            position = { x: 0, y: 0, z: 0 },
+            rotation = { x: 0, y: 0, z: 0, w: 1 },
+            shapes = [],
+            surface = 'default',
+            material = {},
+            type = 'static',
+            sensor = false
+        } = options;
+
+        // Sensors don't block movement
+        const collisionId = sensor ? null : this.collision.addBody({ position, rotation, shapes, surface, type });
+
+        try {
+            const bodyDesc = RAPIER.RigidBodyDesc.fixed()
+                .setTranslation(position.x, position.y, position.z)
+                .setRotation(rotation);
+            const body = this.world.createRigidBody(bodyDesc);
+
+            const colliders = shapes.map(shape => {
+                const colliderDesc = this.createColliderDesc(shape);
+                if (sensor) {
+                    colliderDesc.setSensor(true);
+                    this.enableCollisionEvents(colliderDesc);
+                } else {
+                    this.applySurface(colliderDesc, surface, material);
+                }
+                const collider = this.world.createCollider(colliderDesc, body);
+                if (!sensor) this.colliderSurfaces.set(collider.handle, surface);
+                return collider;
+            });
+
+            const id = body.handle;
+            this.bodies.set(id, { body, collider: colliders[0] || null, colliders, type, collisionId });
+
+            return { id, body, collider: colliders[0] || null, colliders };
+        } catch (error) {
+            console.error('Failed to create static body:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Register the built-in surfaces: 'default', 'ice', 'mud' and 'jumpPad'
+     */
+    registerDefaultSurfaces() {
+        this.registerSurface('default', {});
+        this.registerSurface('ice', { friction: 0.02, accelerationMultiplier: 0.1, footstep: 'ice' });
+        this.registerSurface('mud', { friction: 1.0, speedMultiplier: 0.4, accelerationMultiplier: 0.5, footstep: 'mud' });
+        this.registerSurface('jumpPad', { friction: 0.8, launchSpeed: 12, footstep: 'metal' });
+    }
+
+    /**
+     * Register (or replace) a named surface material
+     * @param {string} name - Surface name
+     * @param {Object} definition - Surface properties; anything missing comes from the 'default' surface
+     * @param {number} definition.friction - Collider friction
+     * @param {number} definition.restitution - Collider bounciness (0-1)
+     * @param {number} definition.speedMultiplier - Scales the character's move speed
+     * @param {number} definition.accelerationMultiplier - Scales how quickly the character speeds up and slows down
+     * @param {string} definition.footstep - Tag for footstep sounds and effects
+     * @param {number} definition.launchSpeed - Upward speed the character is launched with on landing (0 for none)
+     * @returns {Object} - The registered surface
+     */
+    registerSurface(name, definition = {}) {
+        const base = this.surfaces.get('default') || {
+            friction: 0.5,
+            restitution: 0,
+            speedMultiplier: 1,
+            accelerationMultiplier: 1,
+            footstep: 'default',
+            launchSpeed: 0
+        };
+
+        const surface = { name };
+        ['friction', 'restitution', 'speedMultiplier', 'accelerationMultiplier', 'footstep', 'launchSpeed'].forEach(key => {
+            surface[key] = definition[key] !== undefined ? definition[key] : base[key];
+        });
+
+        this.surfaces.set(name, surface);
+        return surface;
+    }
+
+    /**
+     * Get a surface by name
+     * @param {string} name - Surface name
+     * @returns {Object} - The surface, or the 'default' surface if there is none by that name
+     */
+    getSurface(name) {
+        return this.surfaces.get(name) || this.surfaces.get('default');
+    }
+
+    /**
+     * Get the surface of a collider
+     * @param {number} colliderHandle - Collider handle
+     * @returns {Object} - The collider's surface ('default' if it has none)
+     */
+    getColliderSurface(colliderHandle) {
+        return this.getSurface(this.colliderSurfaces.get(colliderHandle));
+    }
+
+    /**
+     * Set a collider descriptor's friction and restitution from a surface
+     * @param {RAPIER.ColliderDesc} colliderDesc - Collider descriptor to update
+     * @param {string} surfaceName - Surface name
+     * @param {Object} overrides - Friction and restitution to use instead of the surface's, as {friction, restitution}
+     * @returns {RAPIER.ColliderDesc} - The same descriptor
+     */
+    applySurface(colliderDesc, surfaceName, overrides = {}) {
+        const surface = this.getSurface(surfaceName);
+        colliderDesc.setFriction(overrides.friction !== undefined ? overrides.friction : surface.friction);
+        colliderDesc.setRestitution(overrides.restitution !== undefined ? overrides.restitution : surface.restitution);
+        return colliderDesc;
+    }
+
+    /**
+     * Create a trigger volume: a static sensor that reports enter, stay and exit events
+     * @param {Object} options - Trigger options
+     * @param {Object} options.position - Trigger position as {x, y, z}
+     * @param {Object} options.rotation - Trigger rotation as a quaternion {x, y, z, w}
+     * @param {Object} options.size - Full box dimensions as {x, y, z} (used unless radius or shape is given)
+     * @param {number} options.radius - Sphere radius
+     * @param {Object} options.shape - Any shape accepted by createColliderDesc
+     * @param {string} options.name - Name passed along with events
+     * @param {string} options.type - Tag stored in the bodies map (defaults to 'trigger')
+     * @returns {Object|null} - Trigger body and collider
+     */
+    createTrigger(options = {}) {
+        const size = options.size || { x: 1, y: 1, z: 1 };
+        let shape = options.shape;
+        if (!shape) {
+            shape = options.radius !== undefined ?
+                { type: 'ball', radius: options.radius } :
+                { type: 'cuboid', halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 } };
+        }
+
+        const trigger = this.createStaticBody({
+            position: options.position,
+            rotation: options.rotation,
+            shapes: [shape],
+            type: options.type || 'trigger',
+            sensor: true
+        });
+
+        if (trigger) {
+            this.bodies.get(trigger.id).name = options.name || null;
+        }
+
+        return trigger;
+    }
+
+    /**
+     * Make a collider report collision events, including against fixed and kinematic bodies
+     * @param {RAPIER.ColliderDesc} colliderDesc - Collider descriptor to update
+     * @param {boolean} contactForces - Also report contact force events (for contact impulses)
+     * @returns {RAPIER.ColliderDesc} - The same descriptor
+     */
+    enableCollisionEvents(colliderDesc, contactForces = false) {
+        if (!RAPIER.ActiveEvents || typeof colliderDesc.setActiveEvents !== 'function') {
+            return colliderDesc;
+        }
+
+        let events = RAPIER.ActiveEvents.COLLISION_EVENTS;
+        if (contactForces) {
+            events |= RAPIER.ActiveEvents.CONTACT_FORCE_EVENTS;
+        }
+        colliderDesc.setActiveEvents(events);
+
+        // By default Rapier skips kinematic-fixed and kinematic-kinematic pairs,
+        // which would hide a kinematic character from triggers and static geometry
+        if (RAPIER.ActiveCollisionTypes && typeof colliderDesc.setActiveCollisionTypes === 'function') {
+            const types = RAPIER.ActiveCollisionTypes;
+            colliderDesc.setActiveCollisionTypes(types.DEFAULT | types.KINEMATIC_FIXED | types.KINEMATIC_KINEMATIC);
+        }
+
+        return colliderDesc;
+    }
+
+    /**
+     * Create a collider descriptor from a plain shape description
+     * @param {Object} shape - Shape description, one of:
+     *   {type: 'cuboid', halfExtents}, {type: 'ball', radius},
+     *   {type: 'cylinder', halfHeight, radius}, {type: 'capsule', halfHeight, radius},
+     *   {type: 'convexHull', points}, {type: 'trimesh', vertices, indices},
+     *   {type: 'heightfield', nrows, ncols, heights, scale}.
+     *   Any shape may add an offset {x, y, z} and rotation {x, y, z, w} relative to its body.
+     * @returns {RAPIER.ColliderDesc} - Collider descriptor
+     */
+    createColliderDesc(shape) {
+        let colliderDesc;
+
+        switch (shape.type) {
+            case 'cuboid':
+                colliderDesc = RAPIER.ColliderDesc.cuboid(shape.halfExtents.x, shape.halfExtents.y, shape.halfExtents.z);
+                break;
+            case 'ball':
+                colliderDesc = RAPIER.ColliderDesc.ball(shape.radius);
+                break;
+            case 'cylinder':
+                // Rapier 0.11's cylinder can sink through large boxes when resting upright,
+                // so use a many-sided prism instead
+                colliderDesc = RAPIER.ColliderDesc.convexHull(this.getCylinderPoints(shape.halfHeight, shape.radius)) ||
+                    RAPIER.ColliderDesc.cylinder(shape.halfHeight, shape.radius);
+                break;
+            case 'capsule':
+                colliderDesc = RAPIER.ColliderDesc.capsule(shape.halfHeight, shape.radius);
+                break;
+            case 'convexHull':
+                colliderDesc = RAPIER.ColliderDesc.convexHull(new Float32Array(shape.points));
+                break;
+            case 'trimesh':
+                colliderDesc = RAPIER.ColliderDesc.trimesh(new Float32Array(shape.vertices), new Uint32Array(shape.indices));
+                break;
+            case 'heightfield':
+                colliderDesc = RAPIER.ColliderDesc.heightfield(
+                    shape.nrows,
+                    shape.ncols,
+                    new Float32Array(shape.heights),
+                    shape.scale
+                );
+                break;
+            default:
+                throw new Error(`Unknown collider shape type: ${shape.type}`);
+        }
+
+        // convexHull returns null when the points are degenerate
+        if (!colliderDesc) {
+            throw new Error(`Could not build a ${shape.type} collider from the given data`);
+        }
+
+        if (shape.offset) {
+            colliderDesc.setTranslation(shape.offset.x, shape.offset.y, shape.offset.z);
+        }
+        if (shape.rotation) {
+            colliderDesc.setRotation(shape.rotation);
+        }
+
+        return colliderDesc;
+    }
+
+    /**
+     * Create a dynamic prop body made of one or more colliders
+     * @param {Object} options - Prop options
+     * @param {Object} options.position - Initial position as {x, y, z}
+     * @param {Object} options.rotation - Initial rotation as a quaternion {x, y, z, w}
+     * @param {Array<Object>} options.shapes - Collider shapes (see createColliderDesc)
+     * @param {number} options.mass - Total mass in kilograms
+     * @param {string} options.surface - Name of a registered surface (defaults to 'default')
+     * @param {number} options.friction - Surface friction (overrides the surface's)
+     * @param {number} options.restitution - Bounciness, 0-1 (overrides the surface's)
+     * @param {number} options.linearDamping - Slows down movement over time
+     * @param {number} options.angularDamping - Slows down spinning over time
+     * @param {string} options.type - Tag stored in the bodies map (defaults to 'prop')
+     * @returns {Object|null} - Prop as {id, body, collider, colliders, shapes}
+     */
+    createDynamicBody(options = {}) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return null;
+        }
+
+        const {
+            position = { x: 0, y: 0, z: 0 },
+            rotation = { x: 0, y: 0, z: 0, w: 1 },
+            shapes = [],
+            mass = 1,
+            surface = 'default',
+            friction,
+            restitution,
+            linearDamping = 0,
+            angularDamping = 0.05,
+            type = 'prop'
+        } = options;
+
+        if (shapes.length === 0) {
+            console.error('Cannot create a prop without shapes');
+            return null;
+        }
+
+        // The fallback can't push props around; they block it where they are
+        const collisionId = this.collision.addBody({ position, rotation, shapes, surface, type });
+
+        try {
+            const bodyDesc = RAPIER.RigidBodyDesc.dynamic()
+                .setTranslation(position.x, position.y, position.z)
+                .setRotation(rotation)
+                .setLinearDamping(linearDamping)
+                .setAngularDamping(angularDamping);
+            const body = this.world.createRigidBody(bodyDesc);
+
+            // Spread the mass by volume so compound props balance naturally
+            const volumes = shapes.map(shape => this.getShapeVolume(shape));
+            const totalVolume = volumes.every(volume => volume !== null) ?
+                volumes.reduce((sum, volume) => sum + volume, 0) : 0;
+
+            const colliders = shapes.map(shape => {
+                const colliderDesc = this.createColliderDesc(shape);
+                if (totalVolume > 0) {
+                    colliderDesc.setDensity(mass / totalVolume);
+                } else {
+                    colliderDesc.setMass(mass / shapes.length);
+                }
+                this.applySurface(colliderDesc, surface, { friction, restitution });
+                this.enableCollisionEvents(colliderDesc, true);
+                const collider = this.world.createCollider(colliderDesc, body);
+                this.colliderSurfaces.set(collider.handle, surface);
+                return collider;
+            });
+
+            const id = body.handle;
+            this.bodies.set(id, { body, collider: colliders[0], colliders, type, shapes, collisionId });
+            this.collision.setBody(collisionId, body);
+
+            return { id, body, collider: colliders[0], colliders, shapes };
+        } catch (error) {
+            console.error('Failed to create prop:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a dynamic box
+     * @param {Object} options - Prop options (see createDynamicBody) plus size: full dimensions as {x, y, z}
+     * @returns {Object|null} - Prop body and colliders
+     */
+    createBox(options = {}) {
+        const size = options.size || { x: 1, y: 1, z: 1 };
+        return this.createDynamicBody({
+            ...options,
+            shapes: [{ type: 'cuboid', halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 } }]
+        });
+    }
+
+    /**
+     * Create a dynamic sphere
+     * @param {Object} options - Prop options (see createDynamicBody) plus radius
+     * @returns {Object|null} - Prop body and colliders
+     */
+    createSphere(options = {}) {
+        return this.createDynamicBody({
+            ...options,
+            shapes: [{ type: 'ball', radius: options.radius !== undefined ? options.radius : 0.5 }]
+        });
+    }
+
+    /**
+     * Create a dynamic upright cylinder
+     * @param {Object} options - Prop options (see createDynamicBody) plus radius and height
+     * @returns {Object|null} - Prop body and colliders
+     */
+    createCylinder(options = {}) {
+        const radius = options.radius !== undefined ? options.radius : 0.5;
+        const height = options.height !== undefined ? options.height : 1;
+        return this.createDynamicBody({
+            ...options,
+            shapes: [{ type: 'cylinder', halfHeight: height / 2, radius }]
+        });
+    }
+
+    /**
+     * Create a dynamic body from several shapes, each placed with its own offset and rotation
+     * @param {Object} options - Prop options (see createDynamicBody); shapes is required
+     * @returns {Object|null} - Prop body and colliders
+     */
+    createCompound(options = {}) {
+        return this.createDynamicBody(options);
+    }
+
+    /**
+     * Get the volume of a collider shape
+     * @param {Object} shape - Shape description (see createColliderDesc)
+     * @returns {number|null} - Volume in cubic meters, or null for shapes without a simple formula
+     */
+    getShapeVolume(shape) {
+        switch (shape.type) {
+            case 'cuboid':
+                return 8 * shape.halfExtents.x * shape.halfExtents.y * shape.halfExtents.z;
+            case 'ball':
+                return 4 / 3 * Math.PI * Math.pow(shape.radius, 3);
+            case 'cylinder': {
+                // Volume of the prism built by getCylinderPoints
+                const segments = this.cylinderSegments;
+                const area = segments / 2 * shape.radius * shape.radius * Math.sin(2 * Math.PI / segments);
+                return area * 2 * shape.halfHeight;
+            }
+            case 'capsule':
+                return Math.PI * shape.radius * shape.radius * (2 * shape.halfHeight + 4 / 3 * shape.radius);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the corner points of a prism approximating an upright cylinder
+     * @param {number} halfHeight - Half the cylinder's height
+     * @param {number} radius - Cylinder radius
+     * @param {number} segments - Number of sides
+     * @returns {Float32Array} - Points as [x, y, z, ...]
+     */
+    getCylinderPoints(halfHeight, radius, segments = this.cylinderSegments) {
+        const points = new Float32Array(segments * 6);
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            const x = Math.cos(angle) * radius;
+            const z = Math.sin(angle) * radius;
+            points.set([x, -halfHeight, z, x, halfHeight, z], i * 6);
+        }
+        return points;
+    }
+
     /**
      * Create a character capsule
      * @param {Object} position - Initial position
      * @param {number} radius - Radius of the capsule
      * @param {number} height - Height of the capsule (excluding hemispheres)
+     * @param {string} bodyType - 'dynamic' (velocity driven) or 'kinematic' (position driven)
      * @returns {Object} - Character body and collider
      */
-    createCharacter(position = { x: 0, y: 5, z: 0 }, radius = 0.5, height = 1.0) {
+    createCharacter(position = { x: 0, y: 5, z: 0 }, radius = 0.5, height = 1.0, bodyType = 'dynamic') {
         if (!this.initialized) {
             console.error('Physics world not initialized');
             return null;
         }
 
         try {
-            // Create a dynamic rigid body for the character
-            let characterBodyDesc = RAPIER.RigidBodyDesc.dynamic()
-                .setTranslation(position.x, position.y, position.z);
+            // Create a dynamic or kinematic rigid body for the character
+            let characterBodyDesc;
+            if (bodyType === 'kinematic') {
+                // Older versions only have the deprecated name
+                characterBodyDesc = typeof RAPIER.RigidBodyDesc.kinematicPositionBased === 'function' ?
+                    RAPIER.RigidBodyDesc.kinematicPositionBased() :
+                    RAPIER.RigidBodyDesc.newKinematicPositionBased();
+            } else {
+                characterBodyDesc = RAPIER.RigidBodyDesc.dynamic();
+            }
+            characterBodyDesc = characterBodyDesc.setTranslation(position.x, position.y, position.z);
             
             // Try to lock rotations - handle API differences between Rapier versions
             try {
@@ -171,103 +771,1122 @@ export class PhysicsWorld {
                 characterColliderDesc = RAPIER.ColliderDesc.cuboid(radius, height / 2 + radius, radius);
             }
             
+            // Report what the character touches and which triggers it enters
+            this.enableCollisionEvents(characterColliderDesc, true);
             const characterCollider = this.world.createCollider(characterColliderDesc, characterBody);
 
             // Store the body in our map
             const id = characterBody.handle;
-            this.bodies.set(id, { body: characterBody, collider: characterCollider, type: 'character' });
+            this.bodies.set(id, { body: characterBody, collider: characterCollider, type: 'character', bodyType });
 
-            return { id, body: characterBody, collider: characterCollider };
+            // Keep the dimensions so ground queries can match the collider
+            return { id, body: characterBody, collider: characterCollider, bodyType, radius, height };
         } catch (error) {
             console.error('Failed to create character:', error);
             const fallbackBody = this.createFallbackBody();
-            return { id: fallbackBody.handle, body: fallbackBody, collider: {} };
+            return { id: fallbackBody.handle, body: fallbackBody, collider: {}, bodyType, radius, height };
         }
     }
 
     /**
-     * Check if a body is grounded (in contact with the ground)
-     * @param {RAPIER.RigidBody} body - The body to check
-     * @param {number} rayLength - Length of the ray to cast downward
-     * @returns {boolean} - Whether the body is grounded
+     * Change the height of a character's capsule, keeping its bottom where it is
+     * @param {Object} character - Character returned by createCharacter
+     * @param {number} height - New capsule height (excluding hemispheres)
+     * @returns {boolean} - Whether the capsule was resized
      */
-    isGrounded(body, rayLength = 0.6) {
-        if (!this.initialized || !body) {
+    resizeCharacter(character, height) {
+        if (!this.initialized || !character || !character.body || !character.collider ||
+            typeof RAPIER.ColliderDesc.capsule !== 'function') {
             return false;
         }
 
         try {
-            const position = body.translation();
-            const rayDir = { x: 0, y: -1, z: 0 };
+            const offset = (height - character.height) / 2;
+            const position = character.body.translation();
+            const center = { x: position.x, y: position.y + offset, z: position.z };
 
-            // Cast a ray downward from the body's position
-            const ray = new RAPIER.Ray(
-                { x: position.x, y: position.y, z: position.z },
-                { x: rayDir.x, y: rayDir.y, z: rayDir.z }
-            );
+            character.body.setTranslation(center, true);
+            if (character.bodyType === 'kinematic') {
+                character.body.setNextKinematicTranslation(center);
+            }
 
-            // Check for intersection with any collider
-            const hit = this.world.castRay(
-                ray,
-                rayLength,
-                true,
-                undefined,
-                undefined,
-                undefined,
-                body // Exclude the character's own collider
-            );
+            // A shape change made in the same frame as a teleport is missed by the next
+            // contact pass, so the old capsule pushes a dynamic body out of the ground.
+            // Swapping in a new collider avoids that, and it starts at the new position
+            // so queries and the kinematic controller see it right away.
+            const colliderDesc = RAPIER.ColliderDesc.capsule(height / 2, character.radius);
+            this.enableCollisionEvents(colliderDesc, true);
+            const previousHandle = character.collider.handle;
+            this.world.removeCollider(character.collider, false);
+            const collider = this.world.createCollider(colliderDesc, character.body);
+            this.carryIntersections(previousHandle, collider.handle);
 
-            return hit !== null;
+            const entry = this.bodies.get(character.id);
+            if (entry) entry.collider = collider;
+            character.collider = collider;
+
+            character.height = height;
+            return true;
         } catch (error) {
-            console.error('Failed to check if grounded:', error);
-            return true; // Assume grounded in case of error
+            console.error('Failed to resize character:', error);
+            return false;
         }
     }
 
     /**
-     * Step the physics simulation forward
-     * @param {number} deltaTime - Time step in seconds
+     * Move a collider's trigger overlaps over to the collider replacing it, so swapping
+     * colliders doesn't report leaving and entering the triggers it's in
+     * @param {number} previousHandle - Handle of the removed collider
+     * @param {number} handle - Handle of its replacement
      */
-    step(deltaTime) {
-        if (!this.initialized) return;
+    carryIntersections(previousHandle, handle) {
+        [...this.intersections].forEach(([key, event]) => {
+            const [sensorHandle, otherHandle] = key.split(':');
+            if (Number(otherHandle) !== previousHandle) return;
 
-        try {
-            // Step the physics world
-            this.world.step();
-        } catch (error) {
-            console.error('Failed to step physics world:', error);
-        }
+            const carriedKey = `${sensorHandle}:${handle}`;
+            this.intersections.delete(key);
+            this.intersections.set(carriedKey, { ...event, other: { ...event.other, colliderHandle: handle } });
+            this.carriedIntersections.add(carriedKey);
+        });
     }
 
     /**
-     * Get the position of a rigid body
-     * @param {RAPIER.RigidBody} body - The rigid body
-     * @returns {Object} - Position as {x, y, z}
+     * Create a kinematic moving platform
+     * @param {Object} options - Platform options
+     * @param {Object} options.size - Full box dimensions as {x, y, z}
+     * @param {Object} options.position - Initial position (defaults to the first waypoint)
+     * @param {Object} options.path - Motion path:
+     *   {type: 'waypoints', waypoints, speed, pause} loops through the waypoints,
+     *   {type: 'pingpong', waypoints, speed, pause} goes back and forth along them,
+     *   {type: 'rotate'} stays in place. Any path may add an angularVelocity as {x, y, z} in rad/s.
+     * @param {string} options.surface - Name of a registered surface (defaults to 'default')
+     * @returns {Object} - Platform body and collider
      */
-    getBodyPosition(body) {
-        if (!body) return { x: 0, y: 0, z: 0 };
-        
+    createPlatform(options = {}) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return null;
+        }
+
+        const size = options.size || { x: 4, y: 0.5, z: 4 };
+        const path = {
+            type: 'rotate',
+            waypoints: [],
+            speed: 2.0,
+            pause: 0,
+            angularVelocity: { x: 0, y: 0, z: 0 },
+            ...options.path
+        };
+        const start = options.position || path.waypoints[0] || { x: 0, y: 0, z: 0 };
+
+        const collisionId = this.collision.addBody({
+            position: start,
+            shapes: [{ type: 'cuboid', halfExtents: { x: size.x / 2, y: size.y / 2, z: size.z / 2 } }],
+            surface: options.surface || 'default',
+            type: 'platform'
+        });
+
         try {
-            const position = body.translation();
-            return { x: position.x, y: position.y, z: position.z };
+            // Older versions only have the deprecated name
+            const platformBodyDesc = (typeof RAPIER.RigidBodyDesc.kinematicPositionBased === 'function' ?
+                RAPIER.RigidBodyDesc.kinematicPositionBased() :
+                RAPIER.RigidBodyDesc.newKinematicPositionBased())
+                .setTranslation(start.x, start.y, start.z);
+            const platformBody = this.world.createRigidBody(platformBodyDesc);
+
+            const surface = options.surface || 'default';
+            const platformColliderDesc = RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2);
+            this.applySurface(platformColliderDesc, surface);
+            const platformCollider = this.world.createCollider(platformColliderDesc, platformBody);
+            this.colliderSurfaces.set(platformCollider.handle, surface);
+
+            const id = platformBody.handle;
+            const platform = {
+                id,
+                body: platformBody,
+                collider: platformCollider,
+                size,
+                path,
+                position: { x: start.x, y: start.y, z: start.z },
+                rotation: { x: 0, y: 0, z: 0, w: 1 },
+                velocity: { x: 0, y: 0, z: 0 },
+                angularVelocity: { ...path.angularVelocity },
+                targetIndex: path.waypoints.length > 1 ? 1 : 0,
+                direction: 1,
+                pauseTimer: 0
+            };
+
+            this.platforms.set(id, platform);
+            this.bodies.set(id, { body: platformBody, collider: platformCollider, type: 'platform', collisionId });
+            this.collision.setBody(collisionId, platformBody);
+
+            return { id, body: platformBody, collider: platformCollider };
         } catch (error) {
-            console.error('Failed to get body position:', error);
-            return { x: 0, y: 0, z: 0 };
+            console.error('Failed to create platform:', error);
+            return null;
         }
     }
 
     /**
-     * Set the linear velocity of a rigid body
-     * @param {RAPIER.RigidBody} body - The rigid body
-     * @param {Object} velocity - Velocity as {x, y, z}
+     * Move every platform along its path for the next physics step
+     * @param {number} deltaTime - Time step in seconds
      */
-    setBodyVelocity(body, velocity) {
-        if (!body) return;
-        
-        try {
-            body.setLinvel({ x: velocity.x, y: velocity.y, z: velocity.z }, true);
-        } catch (error) {
-            console.error('Failed to set body velocity:', error);
+    updatePlatforms(deltaTime) {
+        if (deltaTime <= 0) return;
+
+        this.platforms.forEach(platform => {
+            try {
+                const previous = { ...platform.position };
+                this.advancePlatformPath(platform, deltaTime);
+
+                platform.velocity = {
+                    x: (platform.position.x - previous.x) / deltaTime,
+                    y: (platform.position.y - previous.y) / deltaTime,
+                    z: (platform.position.z - previous.z) / deltaTime
+                };
+                platform.rotation = this.integrateRotation(platform.rotation, platform.angularVelocity, deltaTime);
+
+                platform.body.setNextKinematicTranslation(platform.position);
+                platform.body.setNextKinematicRotation(platform.rotation);
+            } catch (error) {
+                console.error('Failed to update platform:', error);
+            }
+        });
+    }
+
+    /**
+     * Advance a platform's position along its waypoints
+     * @param {Object} platform - Platform state
+     * @param {number} deltaTime - Time step in seconds
+     */
+    advancePlatformPath(platform, deltaTime) {
+        const path = platform.path;
+        const waypoints = path.waypoints;
+        if (path.type === 'rotate' || waypoints.length < 2) return;
+
+        // Wait at the waypoint we just reached
+        if (platform.pauseTimer > 0) {
+            platform.pauseTimer -= deltaTime;
+            return;
+        }
+
+        let remaining = path.speed * deltaTime;
+        let waypointsVisited = 0; // Guards against overlapping waypoints looping forever
+        while (remaining > 0 && waypointsVisited++ <= waypoints.length) {
+            const target = waypoints[platform.targetIndex];
+            const dx = target.x - platform.position.x;
+            const dy = target.y - platform.position.y;
+            const dz = target.z - platform.position.z;
+            const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+            if (distance > remaining) {
+                platform.position.x += dx / distance * remaining;
+                platform.position.y += dy / distance * remaining;
+                platform.position.z += dz / distance * remaining;
+                return;
+            }
+
+            // Reached the waypoint: snap to it and pick the next one
+            platform.position = { x: target.x, y: target.y, z: target.z };
+            remaining -= distance;
+
+            if (path.type === 'pingpong') {
+                const next = platform.targetIndex + platform.direction;
+                if (next < 0 || next >= waypoints.length) {
+                    platform.direction = -platform.direction;
+                }
+                platform.targetIndex += platform.direction;
+            } else {
+                platform.targetIndex = (platform.targetIndex + 1) % waypoints.length;
+            }
+
+            if (path.pause > 0) {
+                platform.pauseTimer = path.pause;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Rotate a quaternion by an angular velocity over a time step
+     * @param {Object} rotation - Quaternion as {x, y, z, w}
+     * @param {Object} angularVelocity - Angular velocity as {x, y, z} in rad/s
+     * @param {number} deltaTime - Time step in seconds
+     * @returns {Object} - New quaternion as {x, y, z, w}
+     */
+    integrateRotation(rotation, angularVelocity, deltaTime) {
+        const speed = Math.sqrt(
+            angularVelocity.x * angularVelocity.x +
+            angularVelocity.y * angularVelocity.y +
+            angularVelocity.z * angularVelocity.z
+        );
+        if (speed === 0) return { ...rotation };
+
+        // Quaternion for the rotation over this step, in world space
+        const halfAngle = speed * deltaTime / 2;
+        const s = Math.sin(halfAngle) / speed;
+        const dq = {
+            x: angularVelocity.x * s,
+            y: angularVelocity.y * s,
+            z: angularVelocity.z * s,
+            w: Math.cos(halfAngle)
+        };
+
+        // dq * rotation
+        const q = rotation;
+        const result = {
+            x: dq.w * q.x + dq.x * q.w + dq.y * q.z - dq.z * q.y,
+            y: dq.w * q.y - dq.x * q.z + dq.y * q.w + dq.z * q.x,
+            z: dq.w * q.z + dq.x * q.y - dq.y * q.x + dq.z * q.w,
+            w: dq.w * q.w - dq.x * q.x - dq.y * q.y - dq.z * q.z
+        };
+
+        // Renormalize to stop drift
+        const length = Math.sqrt(result.x * result.x + result.y * result.y + result.z * result.z + result.w * result.w);
+        return { x: result.x / length, y: result.y / length, z: result.z / length, w: result.w / length };
+    }
+
+    /**
+     * Find the platform a collider belongs to
+     * @param {number} colliderHandle - Collider handle (e.g. from a ground query)
+     * @returns {Object|null} - Platform state, or null if the collider isn't a platform
+     */
+    getPlatformByCollider(colliderHandle) {
+        if (colliderHandle === null || colliderHandle === undefined) return null;
+
+        for (const platform of this.platforms.values()) {
+            if (platform.collider && platform.collider.handle === colliderHandle) {
+                return platform;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the velocity of a platform's surface at a world point
+     * @param {Object} platform - Platform state
+     * @param {Object} point - World position as {x, y, z}
+     * @returns {Object} - Velocity as {x, y, z} (linear plus the rotational part at that point)
+     */
+    getPlatformVelocityAt(platform, point) {
+        const w = platform.angularVelocity;
+        const r = {
+            x: point.x - platform.position.x,
+            y: point.y - platform.position.y,
+            z: point.z - platform.position.z
+        };
+
+        // v + w x r
+        return {
+            x: platform.velocity.x + w.y * r.z - w.z * r.y,
+            y: platform.velocity.y + w.z * r.x - w.x * r.z,
+            z: platform.velocity.z + w.x * r.y - w.y * r.x
+        };
+    }
+
+    /**
+     * Create a Rapier kinematic character controller
+     * @param {Object} settings - Controller settings
+     * @param {number} settings.offset - Gap kept between the character and obstacles
+     * @param {Object|null} settings.autostep - Step settings as {maxHeight, minWidth, includeDynamicBodies}, or null to disable
+     * @param {number|null} settings.snapToGroundDistance - Snap distance, or null to disable
+     * @param {number} settings.maxSlopeClimbAngle - Steepest slope the character can climb (radians)
+     * @param {number} settings.minSlopeSlideAngle - Shallowest slope the character slides down (radians)
+     * @returns {Object|null} - Character controller, or null if unavailable
+     */
+    createCharacterController(settings = {}) {
+        if (!this.initialized) {
+            console.error('Physics world not initialized');
+            return null;
+        }
+
+        const {
+            offset = 0.01,
+            autostep = null,
+            snapToGroundDistance = null,
+            maxSlopeClimbAngle = Math.PI / 4,
+            minSlopeSlideAngle = Math.PI / 6
+        } = settings;
+
+        try {
+            if (typeof this.world.createCharacterController !== 'function') {
+                console.warn('Character controller not supported by this Rapier version');
+                return null;
+            }
+
+            const controller = this.world.createCharacterController(offset);
+            if (!controller) return null;
+
+            controller.setUp({ x: 0, y: 1, z: 0 });
+            controller.setMaxSlopeClimbAngle(maxSlopeClimbAngle);
+            controller.setMinSlopeSlideAngle(minSlopeSlideAngle);
+
+            if (autostep) {
+                controller.enableAutostep(
+                    autostep.maxHeight,
+                    autostep.minWidth,
+                    autostep.includeDynamicBodies !== false
+                );
+            } else {
+                controller.disableAutostep();
+            }
+
+            if (snapToGroundDistance !== null && snapToGroundDistance > 0) {
+                controller.enableSnapToGround(snapToGroundDistance);
+            } else {
+                controller.disableSnapToGround();
+            }
+
+            return controller;
+        } catch (error) {
+            console.error('Failed to create character controller:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Move a kinematic character, resolving collisions along the way
+     * @param {Object} character - Character returned by createCharacter
+     * @param {Object} controller - Controller returned by createCharacterController
+     * @param {Object} desiredTranslation - Desired movement this step as {x, y, z}
+     * @returns {Object|null} - Result as {movement, grounded, collisions}, or null on failure
+     */
+    moveCharacter(character, controller, desiredTranslation) {
+        if (!this.initialized || !character || !character.body || !controller) {
+            return null;
+        }
+
+        try {
+            // Walk through sensors such as trigger volumes
+            controller.computeColliderMovement(
+                character.collider,
+                desiredTranslation,
+                undefined,
+                undefined,
+                this.isSolid
+            );
+
+            const movement = controller.computedMovement();
+            const position = character.body.translation();
+            character.body.setNextKinematicTranslation({
+                x: position.x + movement.x,
+                y: position.y + movement.y,
+                z: position.z + movement.z
+            });
+
+            return {
+                movement: { x: movement.x, y: movement.y, z: movement.z },
+                grounded: controller.computedGrounded(),
+                collisions: controller.numComputedCollisions()
+            };
+        } catch (error) {
+            console.error('Failed to move character:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the mass of a collider
+     * @param {RAPIER.Collider} collider - The collider
+     * @returns {number} - Mass in kilograms (1 if unknown)
+     */
+    getColliderMass(collider) {
+        try {
+            if (collider && typeof collider.mass === 'function') {
+                const mass = collider.mass();
+                if (mass > 0) return mass;
+            }
+        } catch (error) {
+            console.error('Failed to get collider mass:', error);
+        }
+        return 1;
+    }
+
+    /**
+     * Get the mass Rapier gives a character capsule, for when there's no collider to ask
+     * @param {number} radius - Capsule radius
+     * @param {number} height - Capsule height (excluding hemispheres)
+     * @returns {number} - Mass in kilograms at Rapier's default density of 1
+     */
+    getCapsuleMass(radius, height) {
+        return Math.PI * radius * radius * (height + radius * 4 / 3);
+    }
+
+    /**
+     * Push the dynamic bodies just ahead of a character
+     * @param {Object} character - Character returned by createCharacter
+     * @param {Object} direction - Horizontal push direction as {x, z}
+     * @param {number} impulse - Impulse given to each body this step (N·s)
+     * @param {number} reach - How far ahead of the capsule bodies get pushed
+     * @param {number} ignoreHandle - Collider handle to leave alone, such as the one being stood on (optional)
+     * @returns {number} - Number of bodies pushed
+     */
+    pushDynamicBodies(character, direction, impulse, reach = 0.1, ignoreHandle = null) {
+        if (!this.initialized || !character || !character.body || impulse <= 0 ||
+            typeof this.world.intersectionsWithShape !== 'function') {
+            return 0;
+        }
+
+        const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+        if (length === 0) return 0;
+        const dir = { x: direction.x / length, z: direction.z / length };
+
+        try {
+            const radius = character.radius !== undefined ? character.radius : 0.5;
+            const halfHeight = (character.height !== undefined ? character.height : 1.0) / 2;
+            const position = character.body.translation();
+            const bodies = new Map();
+
+            // Overlap a copy of the capsule moved slightly forward. Bodies can't be changed
+            // while Rapier is running the query, so collect them and push afterwards.
+            this.world.intersectionsWithShape(
+                { x: position.x + dir.x * reach, y: position.y, z: position.z + dir.z * reach },
+                { x: 0, y: 0, z: 0, w: 1 },
+                new RAPIER.Capsule(halfHeight, radius),
+                collider => {
+                    const body = collider.parent();
+                    if (body) bodies.set(body.handle, body);
+                    return true;
+                },
+                undefined,
+                undefined,
+                undefined,
+                character.body,
+                collider => this.isSolid(collider) && collider.handle !== ignoreHandle &&
+                    !!collider.parent() && collider.parent().isDynamic()
+            );
+
+            // Push from the front of the capsule at each body's own center height,
+            // so props slide instead of tumbling over when pushed near their top
+            bodies.forEach(body => {
+                const point = {
+                    x: position.x + dir.x * radius,
+                    y: body.translation().y,
+                    z: position.z + dir.z * radius
+                };
+                body.applyImpulseAtPoint({ x: dir.x * impulse, y: 0, z: dir.z * impulse }, point, true);
+            });
+
+            return bodies.size;
+        } catch (error) {
+            console.error('Failed to push bodies:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Press down on a dynamic body a kinematic character is standing on, as its weight would
+     * @param {Object} character - Character returned by createCharacter
+     * @param {Object} ground - Ground info from queryGround
+     * @param {number} deltaTime - Step length in seconds
+     */
+    applyGroundWeight(character, ground, deltaTime) {
+        if (!this.initialized || !character || !ground || !ground.collider || !ground.point) return;
+
+        try {
+            const body = ground.collider.parent();
+            if (!body || !body.isDynamic()) return;
+
+            const mass = this.getColliderMass(character.collider);
+            body.applyImpulseAtPoint(
+                {
+                    x: this.gravity.x * mass * deltaTime,
+                    y: this.gravity.y * mass * deltaTime,
+                    z: this.gravity.z * mass * deltaTime
+                },
+                ground.point,
+                true
+            );
+        } catch (error) {
+            console.error('Failed to apply ground weight:', error);
+        }
+    }
+
+    /**
+     * Query the ground below a character by casting its capsule downward
+     * @param {Object} character - Character returned by createCharacter
+     * @param {number} skinWidth - How far below the capsule still counts as touching the ground
+     * @returns {Object|null} - Ground info as {point, normal, distance, angle, collider, colliderHandle, material},
+     *   or null if nothing was hit. The material is the surface of the collider that was hit.
+     */
+    queryGround(character, skinWidth = 0.1) {
+        if (!this.initialized || !character || !character.body) {
+            return null;
+        }
+
+        const body = character.body;
+        const radius = character.radius !== undefined ? character.radius : 0.5;
+        const halfHeight = (character.height !== undefined ? character.height : 1.0) / 2;
+
+        try {
+            const position = body.translation();
+
+            // Older versions can't cast shapes, so use a ray reaching the bottom of the capsule
+            if (typeof this.world.castShape !== 'function') {
+                return this.queryGroundWithRay(body, halfHeight + radius + skinWidth, halfHeight + radius);
+            }
+
+            // Cast a slightly thinner capsule so walls touching our sides don't count as ground.
+            // Its bottom sits `inset` above the real capsule's bottom, so cast that much further.
+            const castRadius = Math.max(radius - skinWidth, radius * 0.5);
+            const inset = radius - castRadius;
+            const shape = new RAPIER.Capsule(halfHeight, castRadius);
+
+            const hit = this.world.castShape(
+                { x: position.x, y: position.y, z: position.z },
+                { x: 0, y: 0, z: 0, w: 1 },
+                { x: 0, y: -1, z: 0 },
+                shape,
+                inset + skinWidth,
+                false, // Ignore anything we're already moving away from
+                undefined,
+                undefined,
+                undefined,
+                body, // Exclude the character's own collider
+                this.isSolid
+            );
+
+            if (!hit) {
+                return null;
+            }
+
+            // The first witness and normal are the world-space contact on the hit collider
+            const normal = this.normalize(hit.normal1);
+
+            return {
+                point: { x: hit.witness1.x, y: hit.witness1.y, z: hit.witness1.z },
+                normal,
+                distance: Math.max(hit.toi - inset, 0),
+                angle: this.getSurfaceAngle(normal),
+                collider: hit.collider || null,
+                colliderHandle: hit.collider ? hit.collider.handle : null,
+                material: this.getColliderSurface(hit.collider ? hit.collider.handle : null)
+            };
+        } catch (error) {
+            console.error('Failed to query ground:', error);
+        }
+
+        // Fall back to a ray rather than guess at ground that may not be there
+        try {
+            return this.queryGroundWithRay(body, halfHeight + radius + skinWidth, halfHeight + radius);
+        } catch (error) {
+            console.error('Failed to query ground with a ray:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Query the ground below a body with a single downward ray
+     * @param {RAPIER.RigidBody} body - The body to check
+     * @param {number} rayLength - Length of the ray to cast downward
+     * @param {number} bottomOffset - Distance from the body's center to its bottom
+     * @returns {Object|null} - Ground info (see queryGround), or null if nothing was hit
+     */
+    queryGroundWithRay(body, rayLength, bottomOffset = 0) {
+        const position = body.translation();
+        const ray = new RAPIER.Ray(
+            { x: position.x, y: position.y, z: position.z },
+            { x: 0, y: -1, z: 0 }
+        );
+
+        let hit;
+        let normal = { x: 0, y: 1, z: 0 };
+        if (typeof this.world.castRayAndGetNormal === 'function') {
+            hit = this.world.castRayAndGetNormal(ray, rayLength, true, undefined, undefined, undefined, body, this.isSolid);
+            if (hit) {
+                normal = this.normalize(hit.normal);
+            }
+        } else {
+            hit = this.world.castRay(ray, rayLength, true, undefined, undefined, undefined, body, this.isSolid);
+        }
+
+        if (!hit) {
+            return null;
+        }
+
+        return {
+            point: { x: position.x, y: position.y - hit.toi, z: position.z },
+            normal,
+            distance: Math.max(hit.toi - bottomOffset, 0),
+            angle: this.getSurfaceAngle(normal),
+            collider: hit.collider || null,
+            colliderHandle: hit.collider ? hit.collider.handle : null,
+            material: this.getColliderSurface(hit.collider ? hit.collider.handle : null)
+        };
+    }
+
+    /**
+     * Query filter predicate that skips sensors, so trigger volumes never block or count as ground.
+     * Rapier 0.11 ignores QueryFilterFlags.EXCLUDE_SENSORS, so this has to be a predicate.
+     * @param {RAPIER.Collider} collider - Candidate collider
+     * @returns {boolean} - True if the collider is solid
+     */
+    isSolid(collider) {
+        return !(collider && typeof collider.isSensor === 'function' && collider.isSensor());
+    }
+
+    /**
+     * Normalize a vector
+     * @param {Object} vector - Vector as {x, y, z}
+     * @returns {Object} - Unit vector as {x, y, z} (up if the input has no length)
+     */
+    normalize(vector) {
+        const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+        if (length === 0) return { x: 0, y: 1, z: 0 };
+        return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+    }
+
+    /**
+     * Get the angle between a surface normal and the up axis
+     * @param {Object} normal - Surface normal as {x, y, z}
+     * @returns {number} - Surface angle in radians (0 is flat ground)
+     */
+    getSurfaceAngle(normal) {
+        const length = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z);
+        if (length === 0) return 0;
+        
+        const cosAngle = Math.min(Math.max(normal.y / length, -1), 1);
+        return Math.acos(cosAngle);
+    }
+
+    /**
+     * Check if a character is grounded (in contact with the ground)
+     * @param {Object} character - Character returned by createCharacter
+     * @param {number} skinWidth - How far below the capsule still counts as touching the ground
+     * @returns {boolean} - Whether the character is grounded
+     */
+    isGrounded(character, skinWidth = 0.1) {
+        return this.queryGround(character, skinWidth) !== null;
+    }
+
+    /**
+     * Query for a ceiling above a character by casting its capsule upward
+     * @param {Object} character - Character returned by createCharacter
+     * @param {number} distance - How far above the capsule to look
+     * @returns {Object|null} - Ceiling info as {point, normal, distance, collider, colliderHandle}, or null if the space is clear
+     */
+    queryCeiling(character, distance) {
+        if (!this.initialized || !character || !character.body || typeof this.world.castShape !== 'function') {
+            return null;
+        }
+
+        const body = character.body;
+        const radius = character.radius !== undefined ? character.radius : 0.5;
+        const halfHeight = (character.height !== undefined ? character.height : 1.0) / 2;
+
+        try {
+            const position = body.translation();
+
+            // Cast a slightly thinner capsule so walls touching our sides don't count as a ceiling,
+            // and cast it further by the amount it was thinned
+            const castRadius = radius * 0.9;
+            const inset = radius - castRadius;
+            const shape = new RAPIER.Capsule(halfHeight, castRadius);
+
+            const hit = this.world.castShape(
+                { x: position.x, y: position.y, z: position.z },
+                { x: 0, y: 0, z: 0, w: 1 },
+                { x: 0, y: 1, z: 0 },
+                shape,
+                inset + distance,
+                false,
+                undefined,
+                undefined,
+                undefined,
+                body, // Exclude the character's own collider
+                this.isSolid
+            );
+
+            if (!hit) {
+                return null;
+            }
+
+            return {
+                point: { x: hit.witness1.x, y: hit.witness1.y, z: hit.witness1.z },
+                normal: this.normalize(hit.normal1),
+                distance: Math.max(hit.toi - inset, 0),
+                collider: hit.collider || null,
+                colliderHandle: hit.collider ? hit.collider.handle : null
+            };
+        } catch (error) {
+            console.error('Failed to query ceiling:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Query for a wall next to a character by casting its capsule horizontally
+     * @param {Object} character - Character returned by createCharacter
+     * @param {Object} direction - Horizontal direction to look in as {x, z}
+     * @param {number} distance - How far from the capsule still counts as touching the wall
+     * @param {number} maxNormalY - Surfaces whose normal points further up or down than this aren't walls
+     * @returns {Object|null} - Wall info as {point, normal, distance, collider, colliderHandle}, or null if there's no wall
+     */
+    queryWall(character, direction, distance = 0.1, maxNormalY = 0.3) {
+        if (!this.initialized || !character || !character.body || typeof this.world.castShape !== 'function') {
+            return null;
+        }
+
+        const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+        if (length === 0) {
+            return null;
+        }
+
+        const body = character.body;
+        const radius = character.radius !== undefined ? character.radius : 0.5;
+        const halfHeight = (character.height !== undefined ? character.height : 1.0) / 2;
+
+        try {
+            const position = body.translation();
+
+            // Cast a slightly thinner capsule so the ground under us doesn't count as a wall,
+            // and cast it further by the amount it was thinned
+            const castRadius = Math.max(radius - distance, radius * 0.5);
+            const inset = radius - castRadius;
+            const shape = new RAPIER.Capsule(halfHeight, castRadius);
+
+            const hit = this.world.castShape(
+                { x: position.x, y: position.y, z: position.z },
+                { x: 0, y: 0, z: 0, w: 1 },
+                { x: direction.x / length, y: 0, z: direction.z / length },
+                shape,
+                inset + distance,
+                false,
+                undefined,
+                undefined,
+                undefined,
+                body, // Exclude the character's own collider
+                this.isSolid
+            );
+
+            if (!hit) {
+                return null;
+            }
+
+            const normal = this.normalize(hit.normal1);
+            if (Math.abs(normal.y) > maxNormalY) {
+                return null;
+            }
+
+            return {
+                point: { x: hit.witness1.x, y: hit.witness1.y, z: hit.witness1.z },
+                normal,
+                distance: Math.max(hit.toi - inset, 0),
+                collider: hit.collider || null,
+                colliderHandle: hit.collider ? hit.collider.handle : null
+            };
+        } catch (error) {
+            console.error('Failed to query wall:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Set the fixed simulation timestep
+     * @param {number} timestep - Time step in seconds
+     */
+    setTimestep(timestep) {
+        if (!(timestep > 0)) {
+            console.warn('Ignoring invalid physics timestep:', timestep);
+            return;
+        }
+        
+        this.timestep = timestep;
+    }
+
+    /**
+     * Step the physics simulation forward
+     * @param {number} deltaTime - Time step in seconds (defaults to the fixed timestep)
+     */
+    step(deltaTime = this.timestep) {
+        if (!this.initialized) return;
+
+        try {
+            // Rapier integrates with its own timestep, so keep it in sync with ours
+            this.world.timestep = deltaTime;
+            
+            // Queue platform motion before stepping so bodies move together
+            this.updatePlatforms(deltaTime);
+            
+            // Step the physics world, collecting collision events
+            if (this.eventQueue) {
+                this.world.step(this.eventQueue);
+                this.processEvents(deltaTime);
+            } else {
+                this.world.step();
+            }
+        } catch (error) {
+            console.error('Failed to step physics world:', error);
+        }
+    }
+
+    /**
+     * Drain Rapier's event queue and notify listeners
+     * @param {number} deltaTime - Length of the step that produced the events
+     */
+    processEvents(deltaTime) {
+        const entered = new Set();
+        const contacts = new Map();
+
+        this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+            const collider1 = this.world.getCollider(handle1);
+            const collider2 = this.world.getCollider(handle2);
+            const isSensor1 = !this.isSolid(collider1);
+            const isSensor2 = !this.isSolid(collider2);
+
+            if (isSensor1 || isSensor2) {
+                // Trigger overlap, with the sensor first
+                const [sensor, other] = isSensor1 ? [collider1, collider2] : [collider2, collider1];
+                const key = isSensor1 ? `${handle1}:${handle2}` : `${handle2}:${handle1}`;
+
+                if (started && this.carriedIntersections.has(key)) {
+                    // Still inside after a collider swap (see carryIntersections)
+                    this.carriedIntersections.delete(key);
+                } else if (started) {
+                    const event = { trigger: this.describeCollider(sensor), other: this.describeCollider(other) };
+                    this.intersections.set(key, event);
+                    entered.add(key);
+                    this.emit('enter', event);
+                } else {
+                    // Removed colliders can't be described any more, so reuse the enter event
+                    const event = this.intersections.get(key);
+                    if (event) {
+                        this.intersections.delete(key);
+                        this.emit('exit', event);
+                    }
+                }
+            } else if (started) {
+                contacts.set(this.getPairKey(handle1, handle2), {
+                    bodyA: this.describeCollider(collider1),
+                    bodyB: this.describeCollider(collider2),
+                    impulse: 0
+                });
+            }
+        });
+
+        // Carried overlaps that didn't start again ended with the swap
+        this.carriedIntersections.forEach(key => {
+            const event = this.intersections.get(key);
+            if (event) {
+                this.intersections.delete(key);
+                this.emit('exit', event);
+            }
+        });
+        this.carriedIntersections.clear();
+
+        // The solver resolves a new contact on the step after it starts, so contacts are
+        // reported one step late with that step's impulse. Only dynamic bodies get forces.
+        this.eventQueue.drainContactForceEvents(event => {
+            const contact = this.pendingContacts.get(this.getPairKey(event.collider1(), event.collider2()));
+            if (contact) {
+                contact.impulse = event.totalForceMagnitude() * deltaTime;
+            }
+        });
+
+        this.pendingContacts.forEach(contact => this.emit('contact', contact));
+        this.pendingContacts = contacts;
+
+        this.intersections.forEach((event, key) => {
+            if (!entered.has(key)) {
+                this.emit('stay', { ...event, deltaTime });
+            }
+        });
+    }
+
+    /**
+     * Describe a collider's body for event listeners
+     * @param {RAPIER.Collider} collider - The collider
+     * @returns {Object} - Body info as {id, type, name, colliderHandle}
+     */
+    describeCollider(collider) {
+        const body = collider && typeof collider.parent === 'function' ? collider.parent() : null;
+        const id = body ? body.handle : null;
+        const entry = id !== null ? this.bodies.get(id) : null;
+
+        return {
+            id,
+            type: entry ? entry.type : null,
+            name: entry && entry.name ? entry.name : null,
+            colliderHandle: collider ? collider.handle : null
+        };
+    }
+
+    /**
+     * Get an order-independent key for a pair of colliders
+     * @param {number} handle1 - First collider handle
+     * @param {number} handle2 - Second collider handle
+     * @returns {string} - Pair key
+     */
+    getPairKey(handle1, handle2) {
+        return handle1 < handle2 ? `${handle1}:${handle2}` : `${handle2}:${handle1}`;
+    }
+
+    /**
+     * Subscribe to a collision event
+     * @param {string} type - 'enter', 'stay', 'exit' or 'contact'
+     * @param {Function} callback - Called with the event
+     * @param {number} id - Only report events involving this body id (optional)
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, callback, id = null) {
+        const listeners = this.eventListeners[type];
+        if (!listeners) {
+            console.warn('Unknown physics event type:', type);
+            return () => {};
+        }
+
+        const listener = { callback, id };
+        listeners.push(listener);
+
+        return () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Subscribe to bodies entering a trigger
+     * @param {Function} callback - Called with {trigger, other}
+     * @param {number} id - Only report events involving this body id (optional)
+     * @returns {Function} - Call to unsubscribe
+     */
+    onEnter(callback, id = null) {
+        return this.on('enter', callback, id);
+    }
+
+    /**
+     * Subscribe to bodies staying inside a trigger, reported every step after entering
+     * @param {Function} callback - Called with {trigger, other, deltaTime}
+     * @param {number} id - Only report events involving this body id (optional)
+     * @returns {Function} - Call to unsubscribe
+     */
+    onStay(callback, id = null) {
+        return this.on('stay', callback, id);
+    }
+
+    /**
+     * Subscribe to bodies leaving a trigger
+     * @param {Function} callback - Called with {trigger, other}
+     * @param {number} id - Only report events involving this body id (optional)
+     * @returns {Function} - Call to unsubscribe
+     */
+    onExit(callback, id = null) {
+        return this.on('exit', callback, id);
+    }
+
+    /**
+     * Subscribe to solid bodies starting to touch, reported one step later with the impact impulse
+     * @param {Function} callback - Called with {bodyA, bodyB, impulse}; impulse is 0 without a dynamic body
+     * @param {number} id - Only report events involving this body id (optional)
+     * @returns {Function} - Call to unsubscribe
+     */
+    onContact(callback, id = null) {
+        return this.on('contact', callback, id);
+    }
+
+    /**
+     * Notify the listeners of an event
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        // Copy so listeners can unsubscribe while being notified
+        this.eventListeners[type].slice().forEach(({ callback, id }) => {
+            if (id !== null && ![event.trigger, event.other, event.bodyA, event.bodyB].some(body => body && body.id === id)) {
+                return;
+            }
+
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in physics ${type} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Get the position of a rigid body
+     * @param {RAPIER.RigidBody} body - The rigid body
+     * @returns {Object} - Position as {x, y, z}
+     */
+    getBodyPosition(body) {
+        if (!body) return { x: 0, y: 0, z: 0 };
+        
+        try {
+            const position = body.translation();
+            return { x: position.x, y: position.y, z: position.z };
+        } catch (error) {
+            console.error('Failed to get body position:', error);
+            return { x: 0, y: 0, z: 0 };
+        }
+    }
+
+    /**
+     * Get the position and rotation of a body by id
+     * @param {number} id - Body id from the bodies map
+     * @returns {Object|null} - Transform as {position, rotation} with rotation as a quaternion, or null if unknown
+     */
+    getBodyTransform(id) {
+        const entry = this.bodies.get(id);
+        if (!entry || !entry.body) return null;
+
+        try {
+            const position = entry.body.translation();
+            const rotation = typeof entry.body.rotation === 'function' ?
+                entry.body.rotation() : { x: 0, y: 0, z: 0, w: 1 };
+            return {
+                position: { x: position.x, y: position.y, z: position.z },
+                rotation: { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w }
+            };
+        } catch (error) {
+            console.error('Failed to get body transform:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Set the linear velocity of a rigid body
+     * @param {RAPIER.RigidBody} body - The rigid body
+     * @param {Object} velocity - Velocity as {x, y, z}
+     */
+    setBodyVelocity(body, velocity) {
+        if (!body) return;
+        
+        try {
+            body.setLinvel({ x: velocity.x, y: velocity.y, z: velocity.z }, true);
+        } catch (error) {
+            console.error('Failed to set body velocity:', error);
+        }
+    }
+
+    /**
+     * Move a body straight to a position, without sweeping it there
+     * @param {RAPIER.RigidBody} body - The body to move
+     * @param {Object} position - Position as {x, y, z}
+     */
+    setBodyPosition(body, position) {
+        if (!body) return;
+        
+        try {
+            body.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+        } catch (error) {
+            console.error('Failed to set body position:', error);
+        }
+    }
+
+    /**
+     * Set where a kinematic body moves to on the next step
+     * @param {RAPIER.RigidBody} body - The kinematic body
+     * @param {Object} position - Position as {x, y, z}
+     */
+    setNextBodyPosition(body, position) {
+        if (!body) return;
+        
+        try {
+            body.setNextKinematicTranslation({ x: position.x, y: position.y, z: position.z });
+        } catch (error) {
+            console.error('Failed to set next body position:', error);
         }
     }
 
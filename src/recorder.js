@@ -0,0 +1,121 @@
+/**
+ * Records the per-tick input a character controller reads, together with the character's
+ * starting state and options, so a session can be replayed exactly with InputReplay.
+ *
+ * A recording is plain JSON:
+ *   {version, tickRate, level, options, initialState: {position, rotation, controller},
+ *    frames: [{move: {x, z}, held: [action], pressed: [action], cameraYaw, position: {x, y, z}}]}
+ * Each frame is one simulation tick; position is where the character ended up after it,
+ * which the replay compares against.
+ */
+export class InputRecorder {
+    /**
+     * Create a new input recorder
+     */
+    constructor() {
+        // Actions the character controller reads, with the input method for their held state
+        this.actions = {
+            jump: 'isJumping',
+            sprint: 'isSprinting',
+            crouch: 'isCrouching',
+            dash: 'isDashing'
+        };
+
+        this.recording = null;
+    }
+
+    /**
+     * Start a new recording. The character's full state is saved with it (see
+     * CharacterController.captureState), but the rest of the world isn't: for a replay to
+     * match when there are moving platforms or props, start recording before the first tick
+     * after the level has loaded.
+     * @param {CharacterController} character - Character being recorded
+     * @param {Object} metadata - Recording metadata
+     * @param {number} metadata.tickRate - Simulation ticks per second
+     * @param {string} metadata.level - URL of the level the recording was made in
+     */
+    start(character, metadata = {}) {
+        this.recording = {
+            version: 1,
+            tickRate: metadata.tickRate || 60,
+            level: metadata.level || null,
+            options: JSON.parse(JSON.stringify(character.options)),
+            initialState: {
+                position: character.getPosition(),
+                rotation: character.getRotation(),
+                controller: character.captureState()
+            },
+            frames: []
+        };
+        console.log('Input recording started');
+    }
+
+    /**
+     * Check whether a recording is in progress
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Record one tick. Call after the character has been updated with this tick's input.
+     * @param {Object} input - Input handler, already sampled for this tick
+     * @param {CharacterController} character - Character being recorded
+     */
+    record(input, character) {
+        if (!this.recording) return;
+
+        const held = [];
+        const pressed = [];
+        Object.entries(this.actions).forEach(([name, method]) => {
+            if (typeof input[method] === 'function' && input[method]()) held.push(name);
+            if (typeof input.wasPressed === 'function' && input.wasPressed(name)) pressed.push(name);
+        });
+
+        this.recording.frames.push({
+            move: input.getMovementDirection(),
+            held,
+            pressed,
+            cameraYaw: character.getState().cameraYaw,
+            position: character.getPosition()
+        });
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} - The finished recording, or null if none was in progress
+     */
+    stop() {
+        const recording = this.recording;
+        this.recording = null;
+
+        if (recording) {
+            console.log(`Input recording stopped after ${recording.frames.length} ticks`);
+        }
+        return recording;
+    }
+
+    /**
+     * Save a recording as a JSON file through the browser's download mechanism
+     * @param {Object} recording - Recording returned by stop()
+     * @param {string} filename - Name of the downloaded file
+     */
+    static download(recording, filename = 'input-recording.json') {
+        try {
+            const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to download input recording:', error);
+        }
+    }
+}
@@ -0,0 +1,330 @@
+/**
+ * Watches the physics world and the character, and brings the character back to physics
+ * movement after something sends it to the fallback movement system. A failed body is
+ * recreated in place; a failed world is restarted and rebuilt first. Attempts back off
+ * while they keep failing, and are reported through getStatus and events.
+ */
+export class PhysicsRecovery {
+    /**
+     * Create a new recovery monitor
+     * @param {PhysicsWorld} physics - Physics world
+     * @param {CharacterController} character - Character to keep on physics movement
+     * @param {Object} options - Recovery options
+     * @param {number} options.retryDelay - Seconds before the second attempt (the first is immediate)
+     * @param {number} options.backoff - Factor the delay grows by after each failed attempt
+     * @param {number} options.maxRetryDelay - Longest delay between attempts, in seconds
+     * @param {number} options.maxAttempts - Failed attempts in a row before giving up (0 for no limit)
+     * @param {number} options.stableTime - Seconds of physics movement before past attempts are forgotten
+     * @param {number} options.healthCheckInterval - Seconds between checks of the world while it runs
+     * @param {Function} options.rebuildWorld - Recreates the level after a restart, called with the
+     *   physics world (may return a promise)
+     * @param {number} options.historySize - Attempts kept in the status history
+     */
+    constructor(physics, character, options = {}) {
+        this.physics = physics;
+        this.character = character;
+        this.options = {
+            retryDelay: 0.5,
+            backoff: 2,
+            maxRetryDelay: 30,
+            maxAttempts: 10,
+            stableTime: 5,
+            healthCheckInterval: 1,
+            rebuildWorld: null,
+            historySize: 10,
+            ...options
+        };
+
+        // 'physics', 'fallback' (waiting to retry), 'recovering' (attempt running) or 'failed' (gave up)
+        this.state = character.usingFallback ? 'fallback' : 'physics';
+        this.time = 0; // Seconds of updates so far, used to time attempts
+        this.attempts = 0; // Attempts since physics was last stable
+        this.totalAttempts = 0;
+        this.recoveries = 0;
+        this.lastError = character.fallbackError;
+        this.lastAttempt = null;
+        this.history = [];
+        this.nextAttemptTime = character.usingFallback ? 0 : null;
+        this.stableTimer = 0; // Seconds of physics movement since the last recovery
+        this.healthTimer = 0;
+        this.pendingAttempt = null; // Promise of the attempt in progress
+
+        this.eventListeners = { fallback: [], recovered: [], failed: [], gaveUp: [] };
+    }
+
+    /**
+     * Check the world and the character, and retry physics movement when it's time.
+     * Call once per tick after the character update.
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        if (this.state === 'recovering' || this.state === 'failed') return;
+
+        if (!this.character.usingFallback) {
+            this.updateHealthy(deltaTime);
+        }
+
+        if (this.character.usingFallback) {
+            if (this.state === 'physics') {
+                this.handleFallback();
+            }
+
+            if (this.time >= this.nextAttemptTime) {
+                this.attempt();
+            }
+        }
+    }
+
+    /**
+     * Count stable time, and check now and then that the world still works
+     * @param {number} deltaTime - Time since last update
+     */
+    updateHealthy(deltaTime) {
+        // The character can also be brought back without us, for example by a replay
+        this.state = 'physics';
+
+        if (this.attempts > 0) {
+            this.stableTimer += deltaTime;
+            if (this.stableTimer >= this.options.stableTime) {
+                this.attempts = 0;
+            }
+        }
+
+        this.healthTimer += deltaTime;
+        if (this.healthTimer < this.options.healthCheckInterval) return;
+        this.healthTimer = 0;
+
+        const error = this.checkHealth();
+        if (error) {
+            console.error('Physics health check failed, switching to fallback:', error);
+            this.character.switchToFallback(error);
+        }
+    }
+
+    /**
+     * Look for problems that don't throw where the character would notice
+     * @returns {Error|null} - What's wrong, or null if physics looks healthy
+     */
+    checkHealth() {
+        const health = this.physics.checkHealth();
+        if (!health.healthy) {
+            return health.error;
+        }
+
+        const position = this.character.state.position;
+        if (!Number.isFinite(position.x) || !Number.isFinite(position.y) || !Number.isFinite(position.z)) {
+            return new Error('Character position is not finite');
+        }
+        return null;
+    }
+
+    /**
+     * Note a new switch to the fallback and schedule the next attempt: right away, unless
+     * physics keeps failing soon after being restored
+     */
+    handleFallback() {
+        this.state = 'fallback';
+        this.lastError = this.character.fallbackError;
+        this.stableTimer = 0;
+        this.nextAttemptTime = this.attempts > 0 ? this.time + this.getRetryDelay() : this.time;
+
+        console.warn('Character switched to fallback movement, trying to recover physics');
+        this.emit('fallback', { error: this.lastError });
+    }
+
+    /**
+     * Check whether the world itself has to be restarted before the body can be recreated
+     * @returns {boolean}
+     */
+    needsRestart() {
+        // previousCollision is left over from a restart whose level hasn't been rebuilt
+        return !this.physics.hasRapier() || !this.physics.checkHealth().healthy || !!this.physics.previousCollision;
+    }
+
+    /**
+     * Try to bring back physics movement now. Recreating the body finishes before this
+     * returns; restarting the world finishes when the returned promise does.
+     * @returns {Promise<boolean>} - Whether physics movement was restored
+     */
+    attempt() {
+        if (this.pendingAttempt) return this.pendingAttempt;
+        if (!this.character.usingFallback) return Promise.resolve(true);
+
+        this.attempts++;
+        this.totalAttempts++;
+        const attempt = {
+            number: this.attempts,
+            time: this.time,
+            action: this.needsRestart() ? 'restartPhysics' : 'recreateBody',
+            success: false,
+            error: null
+        };
+
+        if (attempt.action === 'recreateBody') {
+            const success = this.restoreCharacter(attempt);
+            this.finishAttempt(attempt, success);
+            return Promise.resolve(success);
+        }
+
+        this.state = 'recovering';
+        console.log('Restarting the physics world');
+        this.pendingAttempt = this.physics.restart(this.options.rebuildWorld)
+            .then(restarted => {
+                if (!restarted) {
+                    attempt.error = new Error('Physics world could not be restarted');
+                    return false;
+                }
+                return this.restoreCharacter(attempt);
+            })
+            .catch(error => {
+                attempt.error = error;
+                return false;
+            })
+            .then(success => {
+                this.pendingAttempt = null;
+                this.finishAttempt(attempt, success);
+                return success;
+            });
+        return this.pendingAttempt;
+    }
+
+    /**
+     * Put the character back on a physics body
+     * @param {Object} attempt - Attempt record, given the error on failure
+     * @returns {boolean} - Whether physics movement was restored
+     */
+    restoreCharacter(attempt) {
+        if (this.character.restorePhysics()) {
+            return true;
+        }
+
+        attempt.error = new Error('Character physics body could not be created');
+        return false;
+    }
+
+    /**
+     * Record an attempt's outcome, and schedule the next one or give up
+     * @param {Object} attempt - Attempt record
+     * @param {boolean} success - Whether physics movement was restored
+     */
+    finishAttempt(attempt, success) {
+        attempt.success = success;
+        this.lastAttempt = attempt;
+        this.history.push(attempt);
+        if (this.history.length > this.options.historySize) {
+            this.history.shift();
+        }
+
+        if (success) {
+            this.state = 'physics';
+            this.recoveries++;
+            this.stableTimer = 0;
+            this.healthTimer = 0;
+            this.nextAttemptTime = null;
+
+            console.log(`Physics movement restored (${attempt.action}, attempt ${attempt.number})`);
+            this.emit('recovered', { attempt });
+            return;
+        }
+
+        this.lastError = attempt.error;
+        console.warn(`Physics recovery attempt ${attempt.number} failed:`, attempt.error);
+        this.emit('failed', { attempt });
+
+        if (this.options.maxAttempts > 0 && this.attempts >= this.options.maxAttempts) {
+            this.state = 'failed';
+            this.nextAttemptTime = null;
+
+            console.error(`Giving up on physics after ${this.attempts} attempts; staying on fallback movement`);
+            this.emit('gaveUp', { attempts: this.attempts, error: this.lastError });
+            return;
+        }
+
+        this.state = 'fallback';
+        this.nextAttemptTime = this.time + this.getRetryDelay();
+    }
+
+    /**
+     * Get the delay before the next attempt, which grows with each failure
+     * @returns {number} - Seconds
+     */
+    getRetryDelay() {
+        const delay = this.options.retryDelay * Math.pow(this.options.backoff, Math.max(this.attempts - 1, 0));
+        return Math.min(delay, this.options.maxRetryDelay);
+    }
+
+    /**
+     * Try again right away, also after giving up
+     * @returns {Promise<boolean>} - Whether physics movement was restored
+     */
+    retryNow() {
+        if (this.state === 'failed') {
+            this.attempts = 0;
+            this.state = 'fallback';
+        }
+        return this.attempt();
+    }
+
+    /**
+     * Get the recovery status
+     * @returns {Object} - Status as {state, attempts, totalAttempts, recoveries, lastError, lastAttempt,
+     *   nextAttemptIn, history}; nextAttemptIn is in seconds, or null when no attempt is scheduled
+     */
+    getStatus() {
+        const describe = attempt => attempt && {
+            ...attempt,
+            error: attempt.error ? attempt.error.message || String(attempt.error) : null
+        };
+
+        return {
+            state: this.state,
+            attempts: this.attempts,
+            totalAttempts: this.totalAttempts,
+            recoveries: this.recoveries,
+            lastError: this.lastError ? this.lastError.message || String(this.lastError) : null,
+            lastAttempt: describe(this.lastAttempt),
+            nextAttemptIn: this.state === 'fallback' && this.nextAttemptTime !== null ?
+                Math.max(this.nextAttemptTime - this.time, 0) : null,
+            history: this.history.map(describe)
+        };
+    }
+
+    /**
+     * Subscribe to a recovery event
+     * @param {string} type - 'fallback', 'recovered', 'failed' (an attempt failed) or 'gaveUp'
+     * @param {Function} callback - Called with the event
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(type, callback) {
+        const listeners = this.eventListeners[type];
+        if (!listeners) {
+            console.warn('Unknown recovery event type:', type);
+            return () => {};
+        }
+
+        listeners.push(callback);
+
+        return () => {
+            const index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        };
+    }
+
+    /**
+     * Notify the listeners of a recovery event
+     * @param {string} type - Event type
+     * @param {Object} event - Event data
+     */
+    emit(type, event) {
+        // Copy so listeners can unsubscribe while being notified
+        this.eventListeners[type].slice().forEach(callback => {
+            try {
+                callback(event);
+            } catch (error) {
+                console.error(`Error in recovery ${type} listener:`, error);
+            }
+        });
+    }
+}
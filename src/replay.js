@@ -0,0 +1,262 @@
+/**
+ * Plays back a recording made by InputRecorder. It stands in for the input handler,
+ * answering the character controller's input queries from the recorded frames, and
+ * compares the character's position after every tick with the recorded one to flag
+ * where the simulation diverges.
+ */
+export class InputReplay {
+    /**
+     * Create a new replay
+     * @param {Object} recording - Recording made by InputRecorder
+     * @param {Object} options - Replay options
+     * @param {number} options.tolerance - Distance (m) from the recorded position that counts as diverged
+     */
+    constructor(recording, options = {}) {
+        InputReplay.validate(recording);
+
+        this.recording = recording;
+        this.tolerance = options.tolerance !== undefined ? options.tolerance : 1e-4;
+
+        this.tick = -1;        // Index of the frame being played
+        this.frame = null;     // Frame being played
+        this.previous = null;  // Frame played before it
+        this.divergences = []; // Ticks where the position didn't match: {tick, expected, actual, distance}
+    }
+
+    /**
+     * Check that a recording has the fields a replay needs
+     * @param {Object} recording - Recording to check
+     * @throws {Error} If the recording is malformed
+     */
+    static validate(recording) {
+        if (!recording || typeof recording !== 'object') {
+            throw new Error('Input recording must be an object');
+        }
+        if (recording.version !== 1) {
+            throw new Error(`Unsupported input recording version: ${recording.version}`);
+        }
+        if (!(recording.tickRate > 0)) {
+            throw new Error('Input recording needs a positive tickRate');
+        }
+        if (!recording.options || !recording.initialState || !recording.initialState.position) {
+            throw new Error('Input recording needs character options and an initial state');
+        }
+        if (!Array.isArray(recording.frames)) {
+            throw new Error('Input recording needs a frames array');
+        }
+    }
+
+    /**
+     * Load a recording from a URL
+     * @param {string} url - URL of the recording JSON
+     * @param {Object} options - Replay options (see the constructor)
+     * @returns {Promise<InputReplay>} - The replay
+     */
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch input recording ${url}: ${response.status} ${response.statusText}`);
+        }
+        return new InputReplay(await response.json(), options);
+    }
+
+    /**
+     * Get the character options to create the replayed character with: the recorded
+     * options, starting from the recorded position and facing
+     * @returns {Object} - CharacterController options
+     */
+    getCharacterOptions() {
+        const { options, initialState } = this.recording;
+        return {
+            ...JSON.parse(JSON.stringify(options)),
+            spawnPosition: { ...initialState.position },
+            spawnRotation: initialState.rotation ? initialState.rotation.y : options.spawnRotation
+        };
+    }
+
+    /**
+     * Put the character into the state it was in when recording started: velocity, timers,
+     * stamina, crouching, platform and so on. Call once after creating it with
+     * getCharacterOptions(), before the first tick. Older recordings only have the
+     * position and facing, which the options already cover.
+     * @param {CharacterController} character - Character being replayed
+     */
+    restoreInitialState(character) {
+        const { controller } = this.recording.initialState;
+        if (!controller) return;
+
+        try {
+            character.restoreState(controller);
+        } catch (error) {
+            console.error('Failed to restore the recorded character state:', error);
+        }
+    }
+
+    /**
+     * Get the fixed timestep the recording was made with
+     * @returns {number} - Seconds per tick
+     */
+    getTimestep() {
+        return 1 / this.recording.tickRate;
+    }
+
+    /**
+     * Check whether every frame has been played
+     * @returns {boolean}
+     */
+    isFinished() {
+        return this.tick >= this.recording.frames.length - 1;
+    }
+
+    /**
+     * Move on to the next frame
+     * @returns {Object|null} - The frame, or null when the recording has ended
+     */
+    next() {
+        if (this.isFinished()) return null;
+
+        this.tick++;
+        this.previous = this.frame;
+        this.frame = this.recording.frames[this.tick];
+        return this.frame;
+    }
+
+    /**
+     * Play one tick: feed the next frame to the character, then check its position.
+     * The physics world should already have been stepped for this tick, as Application.tick does.
+     * @param {CharacterController} character - Character being replayed
+     * @returns {boolean} - Whether a frame was played (false once the recording has ended)
+     */
+    step(character) {
+        const frame = this.next();
+        if (!frame) return false;
+
+        character.setCameraYaw(frame.cameraYaw);
+        character.update(this, this.getTimestep());
+        this.check(character);
+        return true;
+    }
+
+    /**
+     * Replay the whole recording without rendering, stepping the physics world each tick
+     * @param {PhysicsWorld} physics - Physics world with the recording's level loaded
+     * @param {CharacterController} character - Character created with getCharacterOptions()
+     * @returns {Object} - Result as {ticks, divergences}
+     */
+    run(physics, character) {
+        const timestep = this.getTimestep();
+
+        if (this.tick < 0) {
+            this.restoreInitialState(character);
+        }
+
+        while (!this.isFinished()) {
+            if (!character.usingFallback) {
+                physics.step(timestep);
+            }
+            this.step(character);
+        }
+
+        return { ticks: this.tick + 1, divergences: this.divergences };
+    }
+
+    /**
+     * Compare the character's position with the recorded one for the current frame
+     * @param {CharacterController} character - Character being replayed
+     * @returns {boolean} - Whether the positions match within the tolerance
+     */
+    check(character) {
+        const expected = this.frame && this.frame.position;
+        if (!expected) return true;
+
+        const actual = character.getPosition();
+        const dx = actual.x - expected.x;
+        const dy = actual.y - expected.y;
+        const dz = actual.z - expected.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+        if (distance <= this.tolerance) return true;
+
+        if (this.divergences.length === 0) {
+            console.warn(`Replay diverged at tick ${this.tick} by ${distance.toFixed(4)} m`, { expected, actual });
+        }
+        this.divergences.push({ tick: this.tick, expected, actual, distance });
+        return false;
+    }
+
+    /**
+     * Get the first tick where the replay diverged
+     * @returns {Object|null} - Divergence as {tick, expected, actual, distance}, or null if it matched so far
+     */
+    getFirstDivergence() {
+        return this.divergences.length > 0 ? this.divergences[0] : null;
+    }
+
+    /**
+     * Get the recorded movement direction
+     * @returns {Object} - Movement direction as {x, z}
+     */
+    getMovementDirection() {
+        return this.frame ? { ...this.frame.move } : { x: 0, z: 0 };
+    }
+
+    /**
+     * Check whether an action was held in the current frame
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isHeld(name) {
+        return !!this.frame && this.frame.held.includes(name);
+    }
+
+    /**
+     * Check if the jump action was held
+     * @returns {boolean}
+     */
+    isJumping() {
+        return this.isHeld('jump');
+    }
+
+    /**
+     * Check if the sprint action was held
+     * @returns {boolean}
+     */
+    isSprinting() {
+        return this.isHeld('sprint');
+    }
+
+    /**
+     * Check if the crouch action was held
+     * @returns {boolean}
+     */
+    isCrouching() {
+        return this.isHeld('crouch');
+    }
+
+    /**
+     * Check if the dash action was held
+     * @returns {boolean}
+     */
+    isDashing() {
+        return this.isHeld('dash');
+    }
+
+    /**
+     * Check whether an action went down on the current frame
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasPressed(name) {
+        return !!this.frame && this.frame.pressed.includes(name);
+    }
+
+    /**
+     * Check whether an action went up on the current frame
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasReleased(name) {
+        const before = !!this.previous && this.previous.held.includes(name);
+        return (before || this.wasPressed(name)) && !this.isHeld(name);
+    }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ConvexGeometry } from 'three/examples/jsm/geometries/ConvexGeometry.js';
 
 /**
  * Scene manager for Three.js
@@ -37,15 +39,27 @@ export class SceneManager {
             distance: 5,
             height: 2,
             rotationAngle: 0,
+            yawOffset: 0, // Extra yaw around the character from camera look input
             smoothing: 0.1,
             target: new THREE.Vector3(0, 0, 0),
             offset: new THREE.Vector3(0, 2, 0)
         };
         
+        // Camera look input speeds (rad/s at full stick, rad/pixel when dragging) and limits
+        this.cameraLook = {
+            yawSpeed: 2.5,
+            pitchSpeed: 1.5,
+            dragSpeed: 0.005, // Radians per pixel of touch drag
+            invertY: false,
+            minHeight: 0.5, // Third-person camera height range while looking up and down
+            maxHeight: 6
+        };
+        
         // Camera mode (orbit or third-person)
         this.cameraMode = 'third-person'; // 'orbit' or 'third-person'
         
         // Add lights
+        this.lights = [];
         this.setupLights();
         
         // Add grid helper
@@ -55,7 +69,7 @@ export class SceneManager {
         // Handle window resize
         window.addEventListener('resize', this.onWindowResize.bind(this));
         
-        // Object mappings
+        // Object mappings: body id -> { mesh, previous, current } transforms from the last two ticks
         this.objects = new Map();
 
         // Add error message display
@@ -66,16 +80,10 @@ export class SceneManager {
     }
     
     /**
-     * Set up camera mode toggle
+     * Set up the camera mode hint. The toggle itself is the 'toggleCamera' input action,
+     * wired up by the application.
      */
     setupCameraModeToggle() {
-        // Add key listener for camera mode toggle
-        window.addEventListener('keydown', (event) => {
-            if (event.code === 'KeyC') {
-                this.toggleCameraMode();
-            }
-        });
-        
         // Add camera mode info to the UI
         const cameraInfo = document.createElement('div');
         cameraInfo.style.position = 'absolute';
@@ -86,8 +94,20 @@ export class SceneManager {
         cameraInfo.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
         cameraInfo.style.padding = '10px';
         cameraInfo.style.borderRadius = '5px';
-        cameraInfo.textContent = 'Press C to toggle camera mode';
         document.body.appendChild(cameraInfo);
+        
+        this.cameraInfo = cameraInfo;
+        this.setCameraToggleHint('C');
+    }
+    
+    /**
+     * Show which input toggles the camera mode
+     * @param {string} inputName - Name of the bound input, e.g. 'C'
+     */
+    setCameraToggleHint(inputName) {
+        if (!this.cameraInfo) return;
+        this.cameraInfo.textContent = inputName ?
+            `Press ${inputName} to toggle camera mode` : 'Camera mode toggle is unbound';
     }
     
     /**
@@ -124,6 +144,7 @@ export class SceneManager {
         this.errorDisplay.style.padding = '10px';
         this.errorDisplay.style.borderRadius = '5px';
         this.errorDisplay.style.maxWidth = '80%';
+        this.errorDisplay.style.whiteSpace = 'pre-line'; // Keep multi-line messages readable
         this.errorDisplay.style.display = 'none';
         document.body.appendChild(this.errorDisplay);
     }
@@ -141,26 +162,81 @@ export class SceneManager {
      * Set up scene lighting
      */
     setupLights() {
-        // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 1);
-        this.scene.add(ambientLight);
-        
-        // Directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        directionalLight.position.set(10, 20, 10);
-        directionalLight.castShadow = true;
-        
-        // Configure shadow properties
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        directionalLight.shadow.camera.near = 0.5;
-        directionalLight.shadow.camera.far = 50;
-        directionalLight.shadow.camera.left = -25;
-        directionalLight.shadow.camera.right = 25;
-        directionalLight.shadow.camera.top = 25;
-        directionalLight.shadow.camera.bottom = -25;
-        
-        this.scene.add(directionalLight);
+        this.setLights([
+            // Ambient light
+            { type: 'ambient', color: 0x404040, intensity: 1 },
+            // Directional light (sun)
+            { type: 'directional', color: 0xffffff, intensity: 1, position: { x: 10, y: 20, z: 10 }, castShadow: true }
+        ]);
+    }
+    
+    /**
+     * Replace all scene lights
+     * @param {Array<Object>} definitions - Light definitions (see createLight)
+     */
+    setLights(definitions) {
+        this.lights.forEach(light => this.scene.remove(light));
+        this.lights = [];
+        
+        definitions.forEach(definition => {
+            try {
+                const light = this.createLight(definition);
+                this.scene.add(light);
+                this.lights.push(light);
+            } catch (error) {
+                console.error('Failed to create light:', error);
+            }
+        });
+    }
+    
+    /**
+     * Create a light from a plain definition
+     * @param {Object} definition - Light definition as {type, color, intensity, position, castShadow}
+     *   where type is 'ambient', 'directional', 'point' or 'hemisphere'
+     * @returns {THREE.Light} - The light
+     */
+    createLight(definition) {
+        const color = definition.color !== undefined ? definition.color : 0xffffff;
+        const intensity = definition.intensity !== undefined ? definition.intensity : 1;
+        let light;
+        
+        switch (definition.type) {
+            case 'ambient':
+                return new THREE.AmbientLight(color, intensity);
+            case 'hemisphere':
+                return new THREE.HemisphereLight(color, definition.groundColor !== undefined ? definition.groundColor : 0x444444, intensity);
+            case 'point':
+                light = new THREE.PointLight(color, intensity, definition.distance || 0);
+                break;
+            case 'directional':
+                light = new THREE.DirectionalLight(color, intensity);
+                break;
+            default:
+                throw new Error(`Unknown light type: ${definition.type}`);
+        }
+        
+        if (definition.position) {
+            light.position.set(definition.position.x, definition.position.y, definition.position.z);
+        }
+        
+        if (definition.castShadow) {
+            light.castShadow = true;
+            
+            // Configure shadow properties
+            light.shadow.mapSize.width = 2048;
+            light.shadow.mapSize.height = 2048;
+            light.shadow.camera.near = 0.5;
+            light.shadow.camera.far = 50;
+            
+            if (light.isDirectionalLight) {
+                light.shadow.camera.left = -25;
+                light.shadow.camera.right = 25;
+                light.shadow.camera.top = 25;
+                light.shadow.camera.bottom = -25;
+            }
+        }
+        
+        return light;
     }
     
     /**
@@ -218,6 +294,8 @@ export class SceneManager {
             });
             
             const capsule = new THREE.Mesh(geometry, material);
+            capsule.name = 'capsule';
+            capsule.userData.height = height;
             capsule.castShadow = true;
             capsule.receiveShadow = true;
             
@@ -242,34 +320,326 @@ export class SceneManager {
             return new THREE.Object3D(); // Return empty object as fallback
         }
     }
+
+    /**
+     * Change the height of a character mesh, keeping its bottom where it is
+     * @param {THREE.Group} group - Character mesh group from createCharacter
+     * @param {number} radius - Radius of the capsule
+     * @param {number} height - New height of the capsule
+     */
+    resizeCharacter(group, radius, height) {
+        const capsule = group.getObjectByName('capsule');
+        if (!capsule || capsule.userData.height === height) return;
+        
+        try {
+            // The group follows the body's center, which moves as the body resizes,
+            // so only the capsule itself needs to change
+            capsule.geometry.dispose();
+            capsule.geometry = new THREE.CapsuleGeometry(radius, height, 8, 16);
+            capsule.userData.height = height;
+        } catch (error) {
+            console.error('Failed to resize character mesh:', error);
+        }
+    }
+    
+    /**
+     * Create a standard material from a plain definition
+     * @param {Object} definition - Material definition as {color, roughness, metalness}
+     * @returns {THREE.MeshStandardMaterial} - The material
+     */
+    createMaterial(definition = {}) {
+        return new THREE.MeshStandardMaterial({
+            color: definition.color !== undefined ? definition.color : 0x999999,
+            roughness: definition.roughness !== undefined ? definition.roughness : 0.8,
+            metalness: definition.metalness !== undefined ? definition.metalness : 0.2
+        });
+    }
+    
+    /**
+     * Add a static mesh built from one or more geometries sharing a transform
+     * @param {Array<THREE.BufferGeometry>} geometries - Geometries in the object's local space
+     * @param {Object} material - Material definition (see createMaterial)
+     * @param {Object} position - Position as {x, y, z}
+     * @param {Object} rotation - Rotation as a quaternion {x, y, z, w}
+     * @returns {THREE.Group} - Group holding the meshes
+     */
+    addStaticMesh(geometries, material, position, rotation = { x: 0, y: 0, z: 0, w: 1 }) {
+        const group = new THREE.Group();
+        
+        try {
+            const meshMaterial = this.createMaterial(material);
+            geometries.forEach(geometry => {
+                const mesh = new THREE.Mesh(geometry, meshMaterial);
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                group.add(mesh);
+            });
+            
+            group.position.set(position.x, position.y, position.z);
+            group.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+            this.scene.add(group);
+        } catch (error) {
+            console.error('Failed to create static mesh:', error);
+            this.showError('Failed to create level mesh. Check console for details.');
+        }
+        
+        return group;
+    }
+    
+    /**
+     * Load a glTF/GLB model. Node extras (Blender custom properties) end up in each object's userData.
+     * @param {string} url - URL of the .gltf or .glb file
+     * @returns {Promise<THREE.Group>} - Model root, not yet added to the scene
+     */
+    async loadGLTF(url) {
+        if (!this.gltfLoader) {
+            this.gltfLoader = new GLTFLoader();
+        }
+        
+        let gltf;
+        try {
+            gltf = await this.gltfLoader.loadAsync(url);
+        } catch (error) {
+            throw new Error(`Failed to load glTF "${url}": ${error.message || error}`);
+        }
+        
+        const root = gltf.scene || gltf.scenes[0];
+        root.traverse(object => {
+            if (object.isMesh) {
+                object.castShadow = true;
+                object.receiveShadow = true;
+            }
+        });
+        
+        return root;
+    }
+    
+    /**
+     * Add an object to the scene
+     * @param {THREE.Object3D} object - The object to add
+     */
+    addObject(object) {
+        this.scene.add(object);
+    }
+    
+    /**
+     * Remove an object from the scene
+     * @param {THREE.Object3D} object - The object to remove
+     */
+    removeObject(object) {
+        this.scene.remove(object);
+    }
+    
+    /**
+     * Create a box mesh for a moving platform
+     * @param {Object} size - Full box dimensions as {x, y, z}
+     * @param {number} color - Platform color
+     * @returns {THREE.Mesh} - Platform mesh
+     */
+    createPlatform(size = { x: 4, y: 0.5, z: 4 }, color = 0xe67e22) {
+        try {
+            const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+            const material = new THREE.MeshStandardMaterial({
+                color,
+                roughness: 0.6,
+                metalness: 0.2
+            });
+            
+            const platform = new THREE.Mesh(geometry, material);
+            platform.castShadow = true;
+            platform.receiveShadow = true;
+            
+            this.scene.add(platform);
+            return platform;
+        } catch (error) {
+            console.error('Failed to create platform mesh:', error);
+            this.showError('Failed to create platform mesh. Check console for details.');
+            return new THREE.Object3D(); // Return empty object as fallback
+        }
+    }
+    
+    /**
+     * Create a mesh for a dynamic prop and keep it in sync with the prop's body
+     * @param {Object} prop - Prop returned by PhysicsWorld.createBox, createSphere, createCylinder or createCompound
+     * @param {Object} material - Material definition (see createMaterial)
+     * @returns {THREE.Group} - Group holding one mesh per collider shape
+     */
+    addProp(prop, material = { color: 0x8e5b3a }) {
+        const group = new THREE.Group();
+        
+        try {
+            const meshMaterial = this.createMaterial(material);
+            prop.shapes.forEach(shape => {
+                const mesh = new THREE.Mesh(this.createShapeGeometry(shape), meshMaterial);
+                if (shape.offset) mesh.position.set(shape.offset.x, shape.offset.y, shape.offset.z);
+                if (shape.rotation) mesh.quaternion.set(shape.rotation.x, shape.rotation.y, shape.rotation.z, shape.rotation.w);
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                group.add(mesh);
+            });
+            
+            // Start at the body's pose; syncObjects takes over after the first tick
+            const position = prop.body.translation();
+            const rotation = prop.body.rotation();
+            group.position.set(position.x, position.y, position.z);
+            group.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+            
+            this.scene.add(group);
+            this.trackObject(prop.id, group);
+        } catch (error) {
+            console.error('Failed to create prop mesh:', error);
+            this.showError('Failed to create prop mesh. Check console for details.');
+        }
+        
+        return group;
+    }
+    
+    /**
+     * Create a geometry matching a collider shape
+     * @param {Object} shape - Shape description (see PhysicsWorld.createColliderDesc)
+     * @returns {THREE.BufferGeometry} - Geometry centered like the collider
+     */
+    createShapeGeometry(shape) {
+        switch (shape.type) {
+            case 'cuboid':
+                return new THREE.BoxGeometry(shape.halfExtents.x * 2, shape.halfExtents.y * 2, shape.halfExtents.z * 2);
+            case 'ball':
+                return new THREE.SphereGeometry(shape.radius, 24, 16);
+            case 'cylinder':
+                return new THREE.CylinderGeometry(shape.radius, shape.radius, shape.halfHeight * 2, 24);
+            case 'capsule':
+                return new THREE.CapsuleGeometry(shape.radius, shape.halfHeight * 2, 8, 16);
+            case 'convexHull': {
+                const points = [];
+                for (let i = 0; i < shape.points.length; i += 3) {
+                    points.push(new THREE.Vector3(shape.points[i], shape.points[i + 1], shape.points[i + 2]));
+                }
+                return new ConvexGeometry(points);
+            }
+            default:
+                throw new Error(`Cannot create a mesh for shape type: ${shape.type}`);
+        }
+    }
+    
+    /**
+     * Keep a mesh in sync with a physics body
+     * @param {number} id - Body id from PhysicsWorld.bodies
+     * @param {THREE.Object3D} mesh - The mesh to move with the body
+     */
+    trackObject(id, mesh) {
+        this.objects.set(id, { mesh, previous: null, current: null });
+    }
+    
+    /**
+     * Stop syncing a mesh with its physics body
+     * @param {number} id - Body id from PhysicsWorld.bodies
+     */
+    untrackObject(id) {
+        this.objects.delete(id);
+    }
+    
+    /**
+     * Record the transforms of all tracked bodies after a physics tick
+     * @param {Object} physics - Physics world instance
+     */
+    captureObjectTransforms(physics) {
+        this.objects.forEach((object, id) => {
+            const transform = physics.getBodyTransform(id);
+            if (!transform) return;
+            
+            object.previous = object.current;
+            object.current = transform;
+        });
+    }
+    
+    /**
+     * Move all tracked meshes to their interpolated body transforms
+     * @param {number} alpha - Interpolation factor between the last two ticks (0-1)
+     */
+    syncObjects(alpha = 1) {
+        const t = Math.min(Math.max(alpha, 0), 1);
+        
+        this.objects.forEach(object => {
+            const { mesh, previous, current } = object;
+            if (!mesh || !current) return;
+            
+            try {
+                const from = previous || current;
+                mesh.position.set(
+                    from.position.x + (current.position.x - from.position.x) * t,
+                    from.position.y + (current.position.y - from.position.y) * t,
+                    from.position.z + (current.position.z - from.position.z) * t
+                );
+                
+                const fromRotation = new THREE.Quaternion(from.rotation.x, from.rotation.y, from.rotation.z, from.rotation.w);
+                const toRotation = new THREE.Quaternion(current.rotation.x, current.rotation.y, current.rotation.z, current.rotation.w);
+                mesh.quaternion.slerpQuaternions(fromRotation, toRotation, t);
+            } catch (error) {
+                console.error('Failed to sync object mesh:', error);
+            }
+        });
+    }
     
     /**
      * Update the position of a mesh based on a physics body
      * @param {THREE.Object3D} mesh - The mesh to update
      * @param {Object} position - Position as {x, y, z}
      * @param {Object} rotation - Rotation in radians (optional)
+     * @param {Object} previous - Transform from the previous physics tick as {position, rotation} (optional)
+     * @param {number} alpha - Interpolation factor between previous and current transforms (0-1)
      */
-    updateMeshPosition(mesh, position, rotation = null) {
+    updateMeshPosition(mesh, position, rotation = null, previous = null, alpha = 1) {
         if (!mesh) return;
         
         try {
-            mesh.position.set(position.x, position.y, position.z);
+            // Blend between the last two physics ticks so rendering stays smooth
+            // regardless of how many fixed steps ran this frame
+            const t = Math.min(Math.max(alpha, 0), 1);
+            const from = previous && previous.position ? previous.position : position;
+            
+            mesh.position.set(
+                from.x + (position.x - from.x) * t,
+                from.y + (position.y - from.y) * t,
+                from.z + (position.z - from.z) * t
+            );
             
             // Update rotation if provided
             if (rotation) {
-                mesh.rotation.set(rotation.x, rotation.y, rotation.z);
+                const fromRotation = previous && previous.rotation ? previous.rotation : rotation;
+                mesh.rotation.set(
+                    this.lerpAngle(fromRotation.x, rotation.x, t),
+                    this.lerpAngle(fromRotation.y, rotation.y, t),
+                    this.lerpAngle(fromRotation.z, rotation.z, t)
+                );
             }
         } catch (error) {
             console.error('Failed to update mesh position:', error);
         }
     }
     
+    /**
+     * Interpolate between two angles along the shortest path
+     * @param {number} from - Start angle in radians
+     * @param {number} to - End angle in radians
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {number} - Interpolated angle in radians
+     */
+    lerpAngle(from, to, t) {
+        let diff = to - from;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        return from + diff * t;
+    }
+    
     /**
      * Update the camera to follow a target
      * @param {Object} position - Target position as {x, y, z}
      * @param {Object} direction - Movement direction (for third-person camera)
+     * @param {boolean} followFacing - Swing the third-person camera behind the direction. Turn this
+     *   off for camera-relative and strafing input, which turn the character from the camera's yaw: the two
+     *   would otherwise chase each other and spin the character in place
      */
-    updateCameraTarget(position, direction = { x: 0, z: -1 }) {
+    updateCameraTarget(position, direction = { x: 0, z: -1 }, followFacing = true) {
         try {
             // Update the target position for third-person camera
             this.thirdPersonCamera.target.set(position.x, position.y, position.z);
@@ -283,14 +653,15 @@ export class SceneManager {
                 const directionLength = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
                 
                 // Only update rotation angle if we're actually moving
-                if (directionLength > 0.1) {
+                if (followFacing && directionLength > 0.1) {
                     // Calculate the angle from the direction vector
                     this.thirdPersonCamera.rotationAngle = Math.atan2(direction.x, direction.z);
                 }
                 
                 // Calculate camera position based on distance and angle
-                const cameraX = position.x - Math.sin(this.thirdPersonCamera.rotationAngle) * this.thirdPersonCamera.distance;
-                const cameraZ = position.z - Math.cos(this.thirdPersonCamera.rotationAngle) * this.thirdPersonCamera.distance;
+                const angle = this.thirdPersonCamera.rotationAngle + this.thirdPersonCamera.yawOffset;
+                const cameraX = position.x - Math.sin(angle) * this.thirdPersonCamera.distance;
+                const cameraZ = position.z - Math.cos(angle) * this.thirdPersonCamera.distance;
                 const cameraY = position.y + this.thirdPersonCamera.height;
                 
                 // Apply smoothing to camera movement
@@ -311,6 +682,75 @@ export class SceneManager {
         }
     }
     
+    /**
+     * Turn the camera from look input such as a gamepad's right stick
+     * @param {Object} look - Look input as {x, y}, each -1 to 1 (positive x looks right, positive y looks down)
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    applyLookInput(look, deltaTime) {
+        if (!look || (look.x === 0 && look.y === 0)) return;
+        
+        const pitch = (this.cameraLook.invertY ? -look.y : look.y) * this.cameraLook.pitchSpeed * deltaTime;
+        this.rotateCamera(-look.x * this.cameraLook.yawSpeed * deltaTime, pitch);
+    }
+    
+    /**
+     * Turn the camera from a touch drag
+     * @param {Object} drag - Drag in pixels as {x, y} (positive x dragged right, positive y dragged down)
+     */
+    applyLookDrag(drag) {
+        if (!drag || (drag.x === 0 && drag.y === 0)) return;
+        
+        const pitch = (this.cameraLook.invertY ? -drag.y : drag.y) * this.cameraLook.dragSpeed;
+        this.rotateCamera(-drag.x * this.cameraLook.dragSpeed, pitch);
+    }
+    
+    /**
+     * Turn the camera around its target
+     * @param {number} yaw - Radians to swing around the vertical axis (positive turns the view left)
+     * @param {number} pitch - Radians to tilt (positive looks further down)
+     */
+    rotateCamera(yaw, pitch) {
+        try {
+            if (this.cameraMode === 'orbit') {
+                // Swing the camera around the orbit target
+                const offset = this.camera.position.clone().sub(this.controls.target);
+                const spherical = new THREE.Spherical().setFromVector3(offset);
+                spherical.theta += yaw;
+                spherical.phi = THREE.MathUtils.clamp(spherical.phi - pitch, 0.1, Math.PI - 0.1);
+                offset.setFromSpherical(spherical);
+                this.camera.position.copy(this.controls.target).add(offset);
+                this.camera.lookAt(this.controls.target);
+            } else {
+                // Swing around the character and raise or lower the camera
+                this.thirdPersonCamera.yawOffset += yaw;
+                this.thirdPersonCamera.height = THREE.MathUtils.clamp(
+                    this.thirdPersonCamera.height + pitch * this.thirdPersonCamera.distance,
+                    this.cameraLook.minHeight,
+                    this.cameraLook.maxHeight
+                );
+            }
+        } catch (error) {
+            console.error('Failed to rotate camera:', error);
+        }
+    }
+    
+    /**
+     * Get the yaw of the camera's horizontal view direction, measured like the character's rotation
+     * (0 looks down +Z, PI looks down -Z)
+     * @returns {number} - Yaw in radians
+     */
+    getCameraYaw() {
+        const direction = new THREE.Vector3();
+        this.camera.getWorldDirection(direction);
+        
+        // Looking straight down, the top of the screen is forward
+        if (direction.x * direction.x + direction.z * direction.z < 1e-8) {
+            direction.set(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        }
+        return Math.atan2(direction.x, direction.z);
+    }
+    
     /**
      * Render the scene
      */
@@ -0,0 +1,177 @@
+/**
+ * Input source driven by code instead of devices, for headless simulations and tests.
+ * It answers the same queries as InputHandler (movement, held actions and per-tick
+ * edges), so it can be passed to CharacterController.update in its place.
+ */
+export class ScriptedInput {
+    /**
+     * Create a new scripted input
+     * @param {Function} script - Optional callback run at the start of every sample,
+     *   called with (tick, input) to set the input for that tick
+     */
+    constructor(script = null) {
+        this.script = script;
+        this.tick = -1;
+
+        this.move = { x: 0, z: 0 };
+        this.held = new Set();
+
+        // Per-tick snapshot, like ActionMap.sample
+        this.heldBefore = new Set();
+        this.pressed = new Set();
+        this.released = new Set();
+        this.heldTimes = new Map();
+        this.taps = new Set(); // Actions pressed for a single tick
+    }
+
+    /**
+     * Set the movement direction
+     * @param {number} x - Right (positive) or left (negative), -1 to 1
+     * @param {number} z - Backward (positive) or forward (negative), -1 to 1
+     * @returns {ScriptedInput} - This input, for chaining
+     */
+    setMovement(x, z) {
+        this.move = { x, z };
+        return this;
+    }
+
+    /**
+     * Hold an action down until it is released
+     * @param {string} name - Action name ('jump', 'sprint', 'crouch' or 'dash')
+     * @returns {ScriptedInput} - This input, for chaining
+     */
+    press(name) {
+        this.held.add(name);
+        return this;
+    }
+
+    /**
+     * Let go of an action
+     * @param {string} name - Action name
+     * @returns {ScriptedInput} - This input, for chaining
+     */
+    release(name) {
+        this.held.delete(name);
+        return this;
+    }
+
+    /**
+     * Press an action for the next tick only
+     * @param {string} name - Action name
+     * @returns {ScriptedInput} - This input, for chaining
+     */
+    tap(name) {
+        this.held.add(name);
+        this.taps.add(name);
+        return this;
+    }
+
+    /**
+     * Let go of every action and center the movement
+     * @returns {ScriptedInput} - This input, for chaining
+     */
+    releaseAll() {
+        this.held.clear();
+        this.taps.clear();
+        this.move = { x: 0, z: 0 };
+        return this;
+    }
+
+    /**
+     * Advance to the next tick: run the script and work out the pressed and released edges.
+     * Call once per tick before the character update, like InputHandler.sample.
+     * @param {number} deltaTime - Tick length in seconds
+     */
+    sample(deltaTime) {
+        this.tick++;
+
+        // Taps from the previous tick are over
+        this.taps.forEach(name => {
+            if (this.heldBefore.has(name)) this.held.delete(name);
+        });
+        this.taps.forEach(name => {
+            if (!this.held.has(name)) this.taps.delete(name);
+        });
+
+        if (typeof this.script === 'function') {
+            this.script(this.tick, this);
+        }
+
+        this.pressed = new Set([...this.held].filter(name => !this.heldBefore.has(name)));
+        this.released = new Set([...this.heldBefore].filter(name => !this.held.has(name)));
+
+        this.held.forEach(name => {
+            this.heldTimes.set(name, this.pressed.has(name) ? 0 : (this.heldTimes.get(name) || 0) + deltaTime);
+        });
+        this.released.forEach(name => this.heldTimes.delete(name));
+
+        this.heldBefore = new Set(this.held);
+    }
+
+    /**
+     * Get the movement direction
+     * @returns {Object} x and z components of movement direction
+     */
+    getMovementDirection() {
+        return { ...this.move };
+    }
+
+    /**
+     * Check if the jump action is held
+     * @returns {boolean}
+     */
+    isJumping() {
+        return this.held.has('jump');
+    }
+
+    /**
+     * Check if the sprint action is held
+     * @returns {boolean}
+     */
+    isSprinting() {
+        return this.held.has('sprint');
+    }
+
+    /**
+     * Check if the crouch action is held
+     * @returns {boolean}
+     */
+    isCrouching() {
+        return this.held.has('crouch');
+    }
+
+    /**
+     * Check if the dash action is held
+     * @returns {boolean}
+     */
+    isDashing() {
+        return this.held.has('dash');
+    }
+
+    /**
+     * Check whether an action went down on this tick
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasPressed(name) {
+        return this.pressed.has(name);
+    }
+
+    /**
+     * Check whether an action went up on this tick
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    wasReleased(name) {
+        return this.released.has(name);
+    }
+
+    /**
+     * Get how long an action has been held
+     * @param {string} name - Action name
+     * @returns {number} - Seconds held
+     */
+    heldTime(name) {
+        return this.heldTimes.get(name) || 0;
+    }
+}
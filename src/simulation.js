@@ -0,0 +1,124 @@
+import { PhysicsWorld } from './physics.js';
+import { CharacterController } from './character.js';
+import { PhysicsRecovery } from './recovery.js';
+
+/**
+ * Headless simulation of the physics world and character controller, with no scene,
+ * DOM or render loop. It advances in fixed ticks exactly like Application.tick, so
+ * automated tests and tools can drive the controller with scripted input.
+ */
+export class Simulation {
+    /**
+     * Create a new simulation
+     * @param {Object} options - Simulation options
+     * @param {number} options.tickRate - Simulation ticks per second
+     * @param {Object} options.characterOptions - Options passed to the CharacterController
+     * @param {number} options.groundSize - Size of the ground plane (0 for no ground)
+     * @param {Object|boolean} options.recovery - Options passed to the PhysicsRecovery, or false to
+     *   leave the character on fallback movement once it switches
+     */
+    constructor(options = {}) {
+        this.options = {
+            tickRate: 60,
+            characterOptions: {},
+            groundSize: 50,
+            recovery: {},
+            ...options
+        };
+
+        this.physics = new PhysicsWorld();
+        this.character = null;
+        this.ground = null;
+        this.recovery = null;
+        this.ticks = 0; // Ticks simulated so far
+    }
+
+    /**
+     * Initialize physics, create the ground and spawn the character
+     * @returns {Promise<Simulation>} - This simulation, ready to tick
+     */
+    async init() {
+        await this.physics.init();
+        this.physics.setTimestep(this.getTimestep());
+
+        this.createWorld();
+
+        this.character = new CharacterController(this.physics, this.options.characterOptions);
+
+        if (this.options.recovery) {
+            this.recovery = new PhysicsRecovery(this.physics, this.character, {
+                rebuildWorld: () => this.createWorld(),
+                ...this.options.recovery
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Create the bodies the character moves among, again after a physics restart
+     */
+    createWorld() {
+        this.ground = this.options.groundSize > 0 ? this.physics.createGround(this.options.groundSize) : null;
+    }
+
+    /**
+     * Get the fixed timestep
+     * @returns {number} - Seconds per tick
+     */
+    getTimestep() {
+        return 1 / this.options.tickRate;
+    }
+
+    /**
+     * Advance the simulation by a single fixed tick
+     * @param {Object} input - Input source (ScriptedInput, InputReplay or InputHandler)
+     */
+    tick(input) {
+        const deltaTime = this.getTimestep();
+
+        if (!this.character.usingFallback) {
+            this.physics.step(deltaTime);
+        }
+
+        if (typeof input.sample === 'function') {
+            input.sample(deltaTime);
+        }
+
+        this.character.update(input, deltaTime);
+
+        if (this.recovery) {
+            this.recovery.update(deltaTime);
+        }
+        this.ticks++;
+    }
+
+    /**
+     * Advance the simulation by a number of ticks
+     * @param {Object} input - Input source
+     * @param {number} ticks - Number of ticks to run
+     * @param {Function} onTick - Optional callback after each tick, called with (tick, character);
+     *   returning false stops the run early
+     * @returns {number} - Number of ticks run
+     */
+    run(input, ticks, onTick = null) {
+        for (let i = 0; i < ticks; i++) {
+            this.tick(input);
+
+            if (typeof onTick === 'function' && onTick(i, this.character) === false) {
+                return i + 1;
+            }
+        }
+        return ticks;
+    }
+
+    /**
+     * Advance the simulation by a length of time
+     * @param {Object} input - Input source
+     * @param {number} seconds - Simulated time to run
+     * @param {Function} onTick - Optional callback after each tick (see run)
+     * @returns {number} - Number of ticks run
+     */
+    runFor(input, seconds, onTick = null) {
+        return this.run(input, Math.round(seconds * this.options.tickRate), onTick);
+    }
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ActionMap } from '../src/actions.js';
+import { InputHandler } from '../src/input.js';
+
+describe('ActionMap per-tick snapshot', () => {
+    let actions;
+
+    beforeEach(() => {
+        actions = new ActionMap();
+    });
+
+    it('reports held actions as of the last sample', () => {
+        actions.handleInput('key:Space', true);
+        expect(actions.isHeld('jump')).toBe(false);
+
+        actions.sample(1 / 60);
+        actions.handleInput('key:Space', false);
+
+        expect(actions.isHeld('jump')).toBe(true);
+        expect(actions.wasPressed('jump')).toBe(true);
+
+        actions.sample(1 / 60);
+        expect(actions.isHeld('jump')).toBe(false);
+        expect(actions.wasReleased('jump')).toBe(true);
+    });
+
+    it('counts a tap between two samples as pressed and released', () => {
+        actions.sample(1 / 60);
+        actions.handleInput('key:Space', true);
+        actions.handleInput('key:Space', false);
+        actions.sample(1 / 60);
+
+        expect(actions.wasPressed('jump')).toBe(true);
+        expect(actions.wasReleased('jump')).toBe(true);
+        expect(actions.isHeld('jump')).toBe(false);
+    });
+});
+
+describe('InputHandler reads', () => {
+    let input;
+
+    beforeEach(() => {
+        // The handler without its DOM listeners and touch controls
+        input = Object.create(InputHandler.prototype);
+        input.actions = new ActionMap();
+        input.gamepad = { move: { x: 0, z: 0 }, look: { x: 0, y: 0 } };
+        input.sampledMove = { x: 0, z: 0 };
+    });
+
+    it('keeps the movement direction and held actions until the next sample', () => {
+        input.actions.handleInput('key:KeyW', true);
+        input.actions.handleInput('key:ShiftLeft', true);
+
+        expect(input.getMovementDirection()).toEqual({ x: 0, z: 0 });
+        expect(input.isSprinting()).toBe(false);
+
+        input.sample(1 / 60);
+
+        expect(input.getMovementDirection()).toEqual({ x: 0, z: -1 });
+        expect(input.isSprinting()).toBe(true);
+    });
+
+    it('falls back to the gamepad stick when no movement key is held', () => {
+        input.gamepad.move = { x: 0.5, z: 0 };
+        input.sample(1 / 60);
+
+        expect(input.getMovementDirection()).toEqual({ x: 0.5, z: 0 });
+    });
+});
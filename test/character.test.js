@@ -0,0 +1,593 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import * as THREE from 'three';
+import { Simulation } from '../src/simulation.js';
+import { ScriptedInput } from '../src/scripted.js';
+import { PhysicsWorld } from '../src/physics.js';
+import { CharacterController } from '../src/character.js';
+import { LevelLoader } from '../src/level.js';
+import { SceneManager } from '../src/scene.js';
+
+const GRAVITY = 9.81;
+const GROUND_TOP = 0.1; // The ground plane is a slab 0.2 m thick centered on y = 0
+
+/**
+ * Horizontal distance between two positions
+ */
+function horizontalDistance(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+beforeEach(() => {
+    // Keep the physics and controller logging out of the test output
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe.each(['dynamic', 'kinematic'])('CharacterController (%s mode)', mode => {
+    let sim;
+    let input;
+
+    beforeEach(async () => {
+        sim = await new Simulation({ characterOptions: { mode } }).init();
+        input = new ScriptedInput();
+
+        // Drop from the spawn point and settle on the ground
+        sim.runFor(input, 2);
+    });
+
+    it('runs on Rapier rather than the fallback', () => {
+        expect(sim.character.usingFallback).toBe(false);
+    });
+
+    describe('ground detection', () => {
+        it('is grounded on a flat floor after landing', () => {
+            const state = sim.character.getState();
+
+            expect(state.isGrounded).toBe(true);
+            expect(state.isOnSteepSlope).toBe(false);
+            expect(state.ground.normal.y).toBeCloseTo(1, 3);
+            expect(state.ground.angle).toBeCloseTo(0, 3);
+        });
+
+        it('rests with the capsule bottom on the floor', () => {
+            const { radius, height } = sim.character.options;
+            const gap = sim.character.getPosition().y - height / 2 - radius - GROUND_TOP;
+
+            expect(gap).toBeGreaterThan(-0.01);
+            expect(gap).toBeLessThan(sim.character.options.groundSkinWidth);
+        });
+
+        it('is airborne while falling from the spawn point', async () => {
+            const falling = await new Simulation({ characterOptions: { mode } }).init();
+            falling.run(new ScriptedInput(), 5);
+
+            expect(falling.character.getState().isGrounded).toBe(false);
+            expect(falling.character.getState().ground).toBeNull();
+        });
+    });
+
+    describe('jump height', () => {
+        /**
+         * Jump with the button held down for the given ticks and return how high the character got
+         */
+        function jump(holdTicks) {
+            const start = sim.character.getPosition().y;
+            let peak = start;
+
+            input.press('jump');
+            sim.run(input, 120, tick => {
+                if (tick === holdTicks - 1) input.release('jump');
+                peak = Math.max(peak, sim.character.getPosition().y);
+            });
+            input.release('jump');
+
+            return peak - start;
+        }
+
+        it('reaches the height of the launch speed when the button is held', () => {
+            const launchSpeed = sim.character.options.jumpForce / sim.character.character.body.mass();
+            const expected = (launchSpeed * launchSpeed) / (2 * GRAVITY);
+
+            const height = jump(120);
+            expect(height).toBeGreaterThan(expected * 0.9);
+            expect(height).toBeLessThan(expected * 1.1);
+        });
+
+        it('jumps lower when the button is released early', () => {
+            const full = jump(120);
+            sim.runFor(input, 1);
+            const short = jump(1);
+
+            expect(short).toBeGreaterThan(0);
+            expect(short).toBeLessThan(full * 0.75);
+        });
+
+        it('lands again after the jump', () => {
+            jump(120);
+            sim.runFor(input, 0.5);
+
+            expect(sim.character.getState().isGrounded).toBe(true);
+        });
+    });
+
+    describe('jumping around a dash', () => {
+        let jumps;
+
+        beforeEach(() => {
+            jumps = 0;
+            sim.character.on('jump', () => jumps++);
+        });
+
+        /**
+         * Start a dash and run the given number of its ticks
+         */
+        function dash(source, ticks) {
+            input.tap('dash');
+            sim.run(source, ticks);
+            expect(sim.character.getState().isDashing).toBe(true);
+        }
+
+        it('buffers a jump pressed near the end of a dash', () => {
+            dash(input, 9);
+            input.tap('jump');
+            sim.runFor(input, 0.2);
+
+            expect(sim.character.getState().isDashing).toBe(false);
+            expect(jumps).toBe(1);
+        });
+
+        it('does not jump when the button was held through the whole dash', () => {
+            // Input without per-tick edges, so the controller tracks presses itself
+            const plain = {
+                sample: deltaTime => input.sample(deltaTime),
+                getMovementDirection: () => input.getMovementDirection(),
+                isJumping: () => input.isJumping(),
+                isSprinting: () => input.isSprinting(),
+                isCrouching: () => input.isCrouching(),
+                isDashing: () => input.isDashing()
+            };
+            dash(plain, 1);
+            input.press('jump');
+            sim.runFor(plain, 0.5);
+
+            expect(jumps).toBe(0);
+        });
+    });
+
+    describe('movement speed', () => {
+        /**
+         * Hold a movement direction, then measure the horizontal speed over one second
+         */
+        function measureSpeed(x, z) {
+            input.setMovement(x, z);
+            sim.runFor(input, 1);
+
+            const start = sim.character.getPosition();
+            sim.runFor(input, 1);
+            return horizontalDistance(start, sim.character.getPosition());
+        }
+
+        it('walks at moveSpeed', () => {
+            expect(measureSpeed(0, -1)).toBeCloseTo(sim.character.options.moveSpeed, 0);
+        });
+
+        it('scales speed with a partly tilted analog stick', () => {
+            const full = measureSpeed(0, -1);
+            const half = measureSpeed(0, -0.5);
+
+            expect(half / full).toBeCloseTo(0.5, 1);
+        });
+
+        it('sprints at moveSpeed times sprintMultiplier', () => {
+            const { moveSpeed, sprintMultiplier } = sim.character.options;
+            input.press('sprint');
+
+            expect(measureSpeed(0, -1)).toBeCloseTo(moveSpeed * sprintMultiplier, 0);
+        });
+
+        it('moves forward along the camera direction', () => {
+            // The default camera yaw looks down -Z
+            sim.character.options.movementFrame = 'camera';
+            const start = sim.character.getPosition();
+            measureSpeed(0, -1);
+            const end = sim.character.getPosition();
+
+            expect(end.z).toBeLessThan(start.z - 5);
+            expect(Math.abs(end.x - start.x)).toBeLessThan(0.01);
+        });
+
+        it('comes to a stop when the input is released', () => {
+            measureSpeed(0, -1);
+
+            expect(measureSpeed(0, 0)).toBeLessThan(0.01);
+        });
+    });
+});
+
+describe('camera-relative input with the third-person camera', () => {
+    let sim;
+    let scene;
+    let input;
+
+    /**
+     * Run ticks the way Application does: the character reads the camera's yaw, and the
+     * camera then follows the character
+     */
+    function run(seconds) {
+        const followFacing = ['world', 'tank'].includes(sim.character.options.movementFrame);
+        sim.runFor(input, seconds, (tick, character) => {
+            scene.updateCameraTarget(character.getPosition(), character.getDirection(), followFacing);
+            character.setCameraYaw(scene.getCameraYaw());
+        });
+    }
+
+    beforeEach(async () => {
+        sim = await new Simulation({ characterOptions: { movementFrame: 'camera' } }).init();
+        input = new ScriptedInput();
+
+        // The follow camera without a renderer, which needs WebGL
+        scene = Object.create(SceneManager.prototype);
+        scene.cameraMode = 'third-person';
+        scene.camera = new THREE.PerspectiveCamera();
+        scene.thirdPersonCamera = {
+            distance: 5,
+            height: 2,
+            rotationAngle: 0,
+            yawOffset: 0,
+            smoothing: 0.1,
+            target: new THREE.Vector3(),
+            offset: new THREE.Vector3(0, 2, 0)
+        };
+        run(2);
+    });
+
+    it('walks to the camera\'s right instead of spinning in place', () => {
+        const yaw = scene.getCameraYaw();
+        const start = sim.character.getPosition();
+        input.setMovement(1, 0);
+        run(3);
+
+        // The camera's right, as in CharacterController.getInputDirection
+        const end = sim.character.getPosition();
+        const moved = (end.x - start.x) * -Math.cos(yaw) + (end.z - start.z) * Math.sin(yaw);
+        expect(moved).toBeGreaterThan(sim.character.options.moveSpeed * 2.5);
+    });
+
+    it('walks back towards the camera', () => {
+        const start = sim.character.getPosition();
+        input.setMovement(0, 1);
+        run(3);
+
+        expect(horizontalDistance(start, sim.character.getPosition())).toBeGreaterThan(sim.character.options.moveSpeed * 2.5);
+    });
+});
+
+describe('facing-relative movement frames', () => {
+    let sim;
+    let input;
+
+    beforeEach(async () => {
+        sim = await new Simulation().init();
+        input = new ScriptedInput();
+        sim.runFor(input, 1);
+    });
+
+    it('strafes without turning in the character frame', () => {
+        // Spawned facing +Z, with the camera looking the same way
+        sim.character.setCameraYaw(0);
+        const start = sim.character.getPosition();
+        input.setMovement(1, 0);
+        sim.runFor(input, 1);
+
+        const end = sim.character.getPosition();
+        expect(end.x).toBeLessThan(start.x - 2);
+        expect(Math.abs(end.z - start.z)).toBeLessThan(0.01);
+        expect(sim.character.getState().rotation.y).toBeCloseTo(0, 6);
+    });
+
+    it('turns towards the camera\'s view while moving in the character frame', () => {
+        sim.character.setCameraYaw(Math.PI / 2);
+        input.setMovement(0, -1);
+        sim.runFor(input, 2);
+
+        expect(sim.character.getState().rotation.y).toBeCloseTo(Math.PI / 2, 2);
+    });
+
+    it('turns with left/right input in the tank frame', () => {
+        sim.character.options.movementFrame = 'tank';
+        const start = sim.character.getPosition();
+        input.setMovement(1, 0);
+        sim.runFor(input, 0.5);
+
+        expect(sim.character.getState().rotation.y).toBeCloseTo(-sim.character.options.turnSpeed * 0.5, 2);
+        expect(horizontalDistance(start, sim.character.getPosition())).toBeLessThan(0.01);
+    });
+});
+
+describe.each(['dynamic', 'kinematic'])('crouching in a trigger (%s mode)', mode => {
+    let sim;
+    let input;
+    let events;
+
+    /**
+     * Add a trigger box and count the character's enter and exit events
+     */
+    function watchTrigger(position, size) {
+        sim.physics.createTrigger({ position, size, name: 'zone' });
+        events = { enter: 0, exit: 0 };
+        const id = sim.character.character.id;
+        sim.physics.onEnter(() => events.enter++, id);
+        sim.physics.onExit(() => events.exit++, id);
+    }
+
+    beforeEach(async () => {
+        sim = await new Simulation({ characterOptions: { mode } }).init();
+        input = new ScriptedInput();
+        sim.runFor(input, 2);
+    });
+
+    it('stays inside without leaving and entering again', () => {
+        watchTrigger({ x: 0, y: 1, z: 0 }, { x: 4, y: 4, z: 4 });
+        sim.runFor(input, 0.5);
+        expect(events).toEqual({ enter: 1, exit: 0 });
+
+        input.press('crouch');
+        sim.runFor(input, 0.5);
+        expect(sim.character.getState().isCrouching).toBe(true);
+        input.release('crouch');
+        sim.runFor(input, 0.5);
+
+        expect(sim.character.getState().isCrouching).toBe(false);
+        expect(events).toEqual({ enter: 1, exit: 0 });
+    });
+
+    it('leaves a trigger the crouched capsule no longer reaches', () => {
+        // Only the standing capsule's head, which tops out at 2.1, is inside
+        watchTrigger({ x: 0, y: 2.1, z: 0 }, { x: 4, y: 1, z: 4 });
+        sim.runFor(input, 0.5);
+
+        input.press('crouch');
+        sim.runFor(input, 0.5);
+        expect(events).toEqual({ enter: 1, exit: 1 });
+
+        input.release('crouch');
+        sim.runFor(input, 0.5);
+        expect(events).toEqual({ enter: 2, exit: 1 });
+    });
+});
+
+describe('fallback switch', () => {
+    it('uses the fallback when the physics world failed to initialize', () => {
+        const character = new CharacterController(new PhysicsWorld());
+
+        expect(character.usingFallback).toBe(true);
+    });
+
+    it('moves and lands on the fallback ground plane', () => {
+        const character = new CharacterController(new PhysicsWorld());
+        const input = new ScriptedInput().setMovement(0, -1);
+
+        for (let i = 0; i < 120; i++) {
+            input.sample(1 / 60);
+            character.update(input, 1 / 60);
+        }
+
+        expect(character.getState().isGrounded).toBe(true);
+        expect(character.getPosition().y).toBeCloseTo(1, 5);
+        expect(character.getPosition().z).toBeLessThan(-5);
+    });
+
+    it('keeps colliding with the level after a mid-run switch', async () => {
+        const sim = await new Simulation({
+            characterOptions: { spawnPosition: { x: 0, y: 1, z: 0 } },
+            recovery: false
+        }).init();
+        sim.physics.createStaticBody({
+            position: { x: 0, y: 1, z: -3 },
+            shapes: [{ type: 'cuboid', halfExtents: { x: 2, y: 1, z: 0.5 } }]
+        });
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        sim.character.character.body.linvel = () => {
+            throw new Error('Rapier body lost');
+        };
+        input.setMovement(0, -1);
+        sim.runFor(input, 2);
+
+        expect(sim.character.usingFallback).toBe(true);
+        expect(sim.character.getPosition().z).toBeCloseTo(-2, 3);
+        expect(sim.character.getState().isGrounded).toBe(true);
+    });
+
+    it('switches to the fallback when the physics body fails mid-run and keeps moving', async () => {
+        const sim = await new Simulation({ recovery: false }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 2);
+        expect(sim.character.usingFallback).toBe(false);
+
+        sim.character.character.body.linvel = () => {
+            throw new Error('Rapier body lost');
+        };
+        input.setMovement(1, 0);
+        sim.tick(input);
+
+        expect(sim.character.usingFallback).toBe(true);
+        expect(console.error).toHaveBeenCalled();
+
+        // The simulation stops stepping physics and the character carries on
+        const step = vi.spyOn(sim.physics, 'step');
+        const start = sim.character.getPosition();
+        sim.runFor(input, 1);
+
+        expect(step).not.toHaveBeenCalled();
+        expect(horizontalDistance(start, sim.character.getPosition())).toBeGreaterThan(3);
+    });
+});
+
+describe('fallback collision with a level', () => {
+    // The fallback only needs the level's physics; the scene side is left out
+    const scene = { addStaticMesh() {}, createPlatform() {}, trackObject() {}, addProp() {}, setLights() {} };
+    const level = JSON.parse(readFileSync(new URL('../public/levels/default.json', import.meta.url), 'utf8'));
+
+    /**
+     * Load the default level into a physics world whose Rapier failed to start,
+     * and spawn a fallback character that has settled on the ground
+     */
+    function spawn(position) {
+        const physics = new PhysicsWorld();
+        physics.createFallbackWorld();
+        new LevelLoader(physics, scene).build(level);
+
+        const character = new CharacterController(physics, { spawnPosition: position, movementFrame: 'world' });
+        const input = new ScriptedInput();
+        walk(character, input, 1);
+        return { character, input };
+    }
+
+    /**
+     * Update the character with the input for a number of seconds
+     */
+    function walk(character, input, seconds) {
+        for (let i = 0; i < seconds * 60; i++) {
+            input.sample(1 / 60);
+            character.update(input, 1 / 60);
+        }
+    }
+
+    it('uses the fallback when Rapier failed to start', () => {
+        const { character } = spawn({ x: 0, y: 3, z: 0 });
+
+        expect(character.usingFallback).toBe(true);
+        expect(character.getState().isGrounded).toBe(true);
+        expect(character.getPosition().y).toBeCloseTo(1, 3);
+    });
+
+    it('is blocked by the side of a ramp', () => {
+        // The ramp spans x = -2 to 2
+        const { character, input } = spawn({ x: -5, y: 3, z: 11 });
+        input.setMovement(1, 0);
+        walk(character, input, 2);
+
+        expect(character.getPosition().x).toBeCloseTo(-2.5, 3);
+    });
+
+    it('walks up a ramp', () => {
+        // The ramp rises 2 m from z = 7 to z = 13
+        const { character, input } = spawn({ x: 0, y: 3, z: 0 });
+        input.setMovement(0, 1);
+        walk(character, input, 2.5);
+
+        const position = character.getPosition();
+        expect(position.z).toBeGreaterThan(10);
+        expect(position.y).toBeCloseTo(1 + (position.z - 7) / 3, 1);
+        expect(character.getState().isGrounded).toBe(true);
+    });
+
+    it('climbs stairs', () => {
+        // Six 0.25 m steps up to a landing 1.5 m high
+        const { character, input } = spawn({ x: -8, y: 3, z: 5 });
+        input.setMovement(0, 1);
+        walk(character, input, 1.6);
+
+        expect(character.getPosition().y).toBeCloseTo(2.5, 3);
+        expect(character.getState().isGrounded).toBe(true);
+    });
+
+    it('walks over the heightfield hill', () => {
+        // The hill is centered on (-17, -17) and peaks 2 m high
+        const { character, input } = spawn({ x: -17, y: 3, z: -8 });
+        let peak = 0;
+        input.setMovement(0, -1);
+        for (let i = 0; i < 180; i++) {
+            walk(character, input, 1 / 60);
+            peak = Math.max(peak, character.getPosition().y);
+        }
+
+        expect(peak).toBeGreaterThan(2.5);
+        expect(character.getPosition().z).toBeLessThan(-20);
+        expect(character.getState().isGrounded).toBe(true);
+    });
+
+    it('does not walk through the triangle mesh pyramid', () => {
+        // The pyramid's 4 m base is centered on (17, 17)
+        const { character, input } = spawn({ x: 17, y: 3, z: 12 });
+        input.setMovement(0, 1);
+        walk(character, input, 3);
+
+        const position = character.getPosition();
+        expect(position.z).toBeLessThan(17);
+        expect(position.y).toBeGreaterThan(1.5);
+    });
+
+    it('lands on a glTF level, whose meshes are triangle mesh colliders', () => {
+        const physics = new PhysicsWorld();
+        physics.createFallbackWorld();
+        const root = new THREE.Group();
+        const floor = new THREE.Mesh(new THREE.BoxGeometry(20, 1, 20));
+        floor.position.y = -0.5;
+        root.add(floor);
+        new LevelLoader(physics, { ...scene, addObject() {} }).buildGLTF(root, 'floor');
+
+        const character = new CharacterController(physics, { spawnPosition: { x: 0, y: 3, z: 0 } });
+        walk(character, new ScriptedInput(), 2);
+
+        expect(physics.collision.isEmpty()).toBe(false);
+        expect(character.getState().isGrounded).toBe(true);
+        expect(character.getPosition().y).toBeCloseTo(1, 3);
+    });
+
+    it('jumps as high as a physics character', async () => {
+        const sim = await new Simulation({ characterOptions: { mode: 'kinematic' } }).init();
+        const { character, input } = spawn({ x: 0, y: 3, z: 0 });
+        const launchSpeed = sim.character.options.jumpForce / sim.character.character.body.mass();
+        const expected = (launchSpeed * launchSpeed) / (2 * GRAVITY);
+
+        let peak = 0;
+        input.press('jump');
+        for (let i = 0; i < 120; i++) {
+            walk(character, input, 1 / 60);
+            peak = Math.max(peak, character.getPosition().y - 1);
+        }
+
+        expect(character.getJumpSpeed()).toBeCloseTo(launchSpeed, 3);
+        expect(peak).toBeGreaterThan(expected * 0.9);
+        expect(peak).toBeLessThan(expected * 1.1);
+    });
+
+    it('crouches and stands back up about its feet', () => {
+        const { character, input } = spawn({ x: 0, y: 3, z: 0 });
+        const { height, crouchHeight } = character.options;
+        input.press('crouch');
+        walk(character, input, 0.5);
+
+        expect(character.getState().isCrouching).toBe(true);
+        expect(character.getPosition().y).toBeCloseTo(1 - (height - crouchHeight) / 2, 3);
+
+        input.release('crouch');
+        walk(character, input, 0.5);
+
+        expect(character.getState().isCrouching).toBe(false);
+        expect(character.getPosition().y).toBeCloseTo(1, 3);
+    });
+
+    it('stays crouched under a low ceiling', () => {
+        const { character, input } = spawn({ x: 0, y: 3, z: 0 });
+        input.press('crouch');
+        walk(character, input, 0.5);
+
+        // Too low to stand under, but clear of the crouched capsule
+        character.physics.createStaticBody({
+            position: { x: 0, y: 1.9, z: 0 },
+            shapes: [{ type: 'cuboid', halfExtents: { x: 1, y: 0.25, z: 1 } }]
+        });
+        input.release('crouch');
+        walk(character, input, 0.5);
+
+        expect(character.getState().isCrouching).toBe(true);
+        expect(character.getState().isCrouchBlocked).toBe(true);
+        expect(character.getState().isGrounded).toBe(true);
+    });
+});
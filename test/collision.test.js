@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CollisionWorld } from '../src/collision.js';
+
+const HALF_HEIGHT = 0.5;
+const RADIUS = 0.5;
+
+/**
+ * Quaternion for a rotation around the Y axis
+ */
+function yaw(angle) {
+    return { x: 0, y: Math.sin(angle / 2), z: 0, w: Math.cos(angle / 2) };
+}
+
+describe('CollisionWorld', () => {
+    let world;
+
+    beforeEach(() => {
+        world = new CollisionWorld();
+        // Floor with its top at y = 0
+        world.addBody({ position: { x: 0, y: -0.5, z: 0 }, shapes: [{ type: 'cuboid', halfExtents: { x: 20, y: 0.5, z: 20 } }] });
+    });
+
+    it('reports no contacts for a capsule resting on the floor', () => {
+        expect(world.getContacts({ x: 0, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toEqual([]);
+    });
+
+    it('pushes a sunken capsule up out of the floor', () => {
+        const result = world.resolve({ x: 0, y: 0.8, z: 0 }, HALF_HEIGHT, RADIUS);
+
+        expect(result.position.y).toBeCloseTo(1, 6);
+        expect(result.contacts[0].normal).toEqual({ x: 0, y: 1, z: 0 });
+    });
+
+    it('slides along a wall instead of passing through it', () => {
+        world.addBody({ position: { x: 2, y: 1, z: 0 }, shapes: [{ type: 'cuboid', halfExtents: { x: 0.5, y: 1, z: 5 } }] });
+
+        const result = world.move({ x: 0, y: 1, z: 0 }, { x: 3, y: 0, z: 1 }, HALF_HEIGHT, RADIUS);
+
+        expect(result.position.x).toBeCloseTo(1, 6);
+        expect(result.position.z).toBeCloseTo(1, 6);
+        expect(result.contacts.some(contact => contact.normal.x === -1)).toBe(true);
+    });
+
+    it('does not tunnel through a thin floor when falling fast', () => {
+        world.clear();
+        world.addBody({ shapes: [{ type: 'cuboid', halfExtents: { x: 5, y: 0.05, z: 5 } }] });
+
+        const result = world.move({ x: 0, y: 2, z: 0 }, { x: 0, y: -3, z: 0 }, HALF_HEIGHT, RADIUS);
+
+        expect(result.position.y).toBeCloseTo(1.05, 6);
+    });
+
+    it('collides with rotated boxes', () => {
+        // A box turned 45°, with a corner pointing at the capsule at x = 3 - √2
+        world.addBody({
+            position: { x: 3, y: 1, z: 0 },
+            rotation: yaw(Math.PI / 4),
+            shapes: [{ type: 'cuboid', halfExtents: { x: 1, y: 1, z: 1 } }]
+        });
+        const corner = 3 - Math.SQRT2;
+
+        expect(world.isPenetrating({ x: corner - RADIUS - 0.1, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toBe(false);
+        expect(world.isPenetrating({ x: corner - RADIUS + 0.1, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toBe(true);
+
+        // Walking into one of its faces deflects the capsule along it
+        const result = world.move({ x: 0, y: 1, z: 0.5 }, { x: 3, y: 0, z: 0 }, HALF_HEIGHT, RADIUS);
+        expect(result.position.z).toBeGreaterThan(0.5);
+        expect(world.isPenetrating(result.position, HALF_HEIGHT, RADIUS)).toBe(false);
+    });
+
+    it('collides with spheres', () => {
+        world.addBody({ position: { x: 0, y: 1, z: 3 }, shapes: [{ type: 'ball', radius: 1 }] });
+
+        const result = world.move({ x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 3 }, HALF_HEIGHT, RADIUS);
+
+        expect(result.position.z).toBeCloseTo(1.5, 6);
+    });
+
+    it('follows the pose of a moving body', () => {
+        const body = { position: { x: 10, y: 1, z: 0 }, translation() { return this.position; } };
+        const id = world.addBody({ shapes: [{ type: 'cuboid', halfExtents: { x: 1, y: 1, z: 1 } }] });
+        world.setBody(id, body);
+
+        expect(world.isPenetrating({ x: 0, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toBe(false);
+        expect(world.isPenetrating({ x: 10, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toBe(true);
+
+        body.position = { x: 0, y: 1, z: 0 };
+        expect(world.isPenetrating({ x: 0, y: 1, z: 0 }, HALF_HEIGHT, RADIUS)).toBe(true);
+    });
+
+    it('treats a plane as solid behind it', () => {
+        world.clear();
+        world.addPlane({ x: 0, y: 1, z: 0 }, { x: 0, y: 2, z: 0 });
+
+        expect(world.resolve({ x: 50, y: 0, z: -50 }, HALF_HEIGHT, RADIUS).position.y).toBeCloseTo(3, 6);
+    });
+
+    it('stands on a triangle mesh floor', () => {
+        world.clear();
+        world.addBody({
+            shapes: [{
+                type: 'trimesh',
+                vertices: [-5, 0, -5, 5, 0, -5, 5, 0, 5, -5, 0, 5],
+                indices: [0, 3, 2, 0, 2, 1]
+            }]
+        });
+
+        const result = world.move({ x: 0, y: 2, z: 0 }, { x: 0, y: -3, z: 0 }, HALF_HEIGHT, RADIUS);
+
+        expect(world.isEmpty()).toBe(false);
+        expect(result.position.y).toBeCloseTo(1, 6);
+        expect(world.queryGround(result.position, HALF_HEIGHT, RADIUS, 0.1)).not.toBeNull();
+    });
+
+    it('is blocked by an upright triangle mesh wall', () => {
+        world.addBody({
+            shapes: [{
+                type: 'trimesh',
+                vertices: [2, 0, -5, 2, 0, 5, 2, 3, 5, 2, 3, -5],
+                indices: [0, 1, 2, 0, 2, 3]
+            }]
+        });
+
+        const result = world.move({ x: 0, y: 1, z: 0 }, { x: 3, y: 0, z: 0 }, HALF_HEIGHT, RADIUS);
+
+        expect(result.position.x).toBeCloseTo(1.5, 6);
+    });
+
+    it('follows the surface of a heightfield', () => {
+        world.clear();
+        // 4 x 4 m slope rising 1 m along x
+        world.addBody({
+            shapes: [{
+                type: 'heightfield',
+                nrows: 1,
+                ncols: 1,
+                heights: [0, 0, 1, 1],
+                scale: { x: 4, y: 1, z: 4 }
+            }]
+        });
+
+        const ground = world.queryGround({ x: 1, y: 2, z: 0 }, HALF_HEIGHT, RADIUS, 1);
+
+        expect(ground).not.toBeNull();
+        expect(ground.normal.y).toBeCloseTo(4 / Math.sqrt(17), 6);
+        expect(ground.normal.x).toBeLessThan(0);
+    });
+
+    it('counts only bodies whose shapes it could convert', () => {
+        world.clear();
+        world.addBody({ shapes: [{ type: 'unknown' }] });
+
+        expect(world.isEmpty()).toBe(true);
+    });
+
+    describe('ground queries', () => {
+        it('finds the floor within the skin width', () => {
+            const ground = world.queryGround({ x: 0, y: 1.05, z: 0 }, HALF_HEIGHT, RADIUS, 0.1);
+
+            expect(ground.distance).toBeCloseTo(0.05, 6);
+            expect(ground.normal).toEqual({ x: 0, y: 1, z: 0 });
+            expect(ground.point.y).toBeCloseTo(0, 6);
+        });
+
+        it('finds nothing further down than the skin width', () => {
+            expect(world.queryGround({ x: 0, y: 1.5, z: 0 }, HALF_HEIGHT, RADIUS, 0.1)).toBeNull();
+        });
+
+        it('ignores walls beside the capsule', () => {
+            world.clear();
+            world.addBody({ position: { x: 1, y: 0, z: 0 }, shapes: [{ type: 'cuboid', halfExtents: { x: 0.5, y: 5, z: 5 } }] });
+
+            expect(world.queryGround({ x: 0, y: 0, z: 0 }, HALF_HEIGHT, RADIUS, 0.1)).toBeNull();
+        });
+
+        it('reports the slope of a ramp', () => {
+            // Wedge rising 1 m over 2 m towards -z, like LevelLoader's ramps
+            const points = [-2, -0.5, 1, 2, -0.5, 1, -2, -0.5, -1, 2, -0.5, -1, -2, 0.5, -1, 2, 0.5, -1];
+            world.addBody({ position: { x: 0, y: 0.5, z: 0 }, shapes: [{ type: 'convexHull', points }] });
+
+            const ground = world.queryGround({ x: 0, y: 1.7, z: 0 }, HALF_HEIGHT, RADIUS, 0.5);
+
+            expect(ground.normal.y).toBeCloseTo(2 / Math.sqrt(5), 6);
+            expect(ground.normal.z).toBeCloseTo(1 / Math.sqrt(5), 6);
+        });
+    });
+
+    describe('stepping', () => {
+        beforeEach(() => {
+            // A 0.25 m step starting at x = 1
+            world.addBody({ position: { x: 3, y: 0.125, z: 0 }, shapes: [{ type: 'cuboid', halfExtents: { x: 2, y: 0.125, z: 2 } }] });
+        });
+
+        it('steps up onto a ledge lower than the step height', () => {
+            const result = world.move({ x: 0.5, y: 1, z: 0 }, { x: 0.1, y: 0, z: 0 }, HALF_HEIGHT, RADIUS, { stepHeight: 0.3 });
+
+            expect(result.position.x).toBeCloseTo(0.6, 6);
+            expect(result.position.y).toBeCloseTo(1.25, 6);
+        });
+
+        it('is blocked by a ledge taller than the step height', () => {
+            const result = world.move({ x: 0.5, y: 1, z: 0 }, { x: 0.1, y: 0, z: 0 }, HALF_HEIGHT, RADIUS, { stepHeight: 0.2 });
+
+            expect(result.position.x).toBeCloseTo(0.5, 6);
+            expect(result.position.y).toBeCloseTo(1, 6);
+        });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PhysicsWorld } from '../src/physics.js';
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('PhysicsWorld ground query when the shape cast fails', () => {
+    let physics;
+
+    beforeEach(async () => {
+        physics = new PhysicsWorld();
+        await physics.init();
+        physics.createGround(50);
+        physics.world.castShape = () => {
+            throw new Error('castShape failed');
+        };
+    });
+
+    /**
+     * Create a kinematic character capsule, which stays where it is put
+     */
+    function createCharacter(y) {
+        const character = physics.createCharacter({ x: 0, y, z: 0 }, 0.5, 1.0, 'kinematic');
+        physics.step(1 / 60);
+        return character;
+    }
+
+    it('finds the ground under a standing character with a ray', () => {
+        // The ground's top is at y = 0.1
+        const ground = physics.queryGround(createCharacter(1.1));
+
+        expect(ground).not.toBeNull();
+        expect(ground.normal.y).toBeCloseTo(1, 6);
+    });
+
+    it('reports no ground under an airborne character', () => {
+        expect(physics.queryGround(createCharacter(5))).toBeNull();
+    });
+
+    it('reports no ground when the ray fails too', () => {
+        const character = createCharacter(1.1);
+        physics.world.castRayAndGetNormal = () => {
+            throw new Error('castRayAndGetNormal failed');
+        };
+        physics.world.castRay = physics.world.castRayAndGetNormal;
+
+        expect(physics.queryGround(character)).toBeNull();
+    });
+});
@@ -0,0 +1,245 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { Simulation } from '../src/simulation.js';
+import { ScriptedInput } from '../src/scripted.js';
+import { LevelLoader } from '../src/level.js';
+
+const GROUND_TOP = 0.1; // The ground plane is a slab 0.2 m thick centered on y = 0
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+/**
+ * Make the character's current physics body throw when either movement mode uses it
+ */
+function breakBody(sim) {
+    const body = sim.character.character.body;
+    body.linvel = body.setNextKinematicTranslation = () => {
+        throw new Error('Rapier body lost');
+    };
+}
+
+describe.each(['dynamic', 'kinematic'])('PhysicsRecovery (%s mode)', mode => {
+    let sim;
+    let input;
+
+    beforeEach(async () => {
+        sim = await new Simulation({ characterOptions: { mode } }).init();
+        input = new ScriptedInput();
+        sim.runFor(input, 2);
+    });
+
+    it('recreates the body on the tick a transient error hits', () => {
+        input.setMovement(0, -1);
+        sim.runFor(input, 1);
+        const before = sim.character.getPosition();
+
+        breakBody(sim);
+        sim.tick(input);
+
+        expect(sim.character.usingFallback).toBe(false);
+        expect(sim.character.getPosition().z).toBeLessThan(before.z);
+        expect(sim.recovery.getStatus()).toMatchObject({
+            state: 'physics',
+            recoveries: 1,
+            lastError: expect.any(String),
+            lastAttempt: { number: 1, action: 'recreateBody', success: true, error: null }
+        });
+    });
+
+    it('carries the position and velocity over to the new body', () => {
+        input.setMovement(0, -1);
+        sim.runFor(input, 1);
+
+        breakBody(sim);
+        let restored = null;
+        sim.character.on('physicsRestored', event => {
+            restored = event;
+        });
+        sim.tick(input);
+
+        expect(restored).not.toBeNull();
+        const speed = sim.character.options.moveSpeed;
+        expect(restored.velocity.z).toBeCloseTo(-speed, 1);
+
+        // Keeps walking at full speed and stays on the ground
+        const start = sim.character.getPosition();
+        sim.runFor(input, 1);
+        const end = sim.character.getPosition();
+        expect(start.z - end.z).toBeGreaterThan(speed * 0.9);
+        expect(end.y).toBeCloseTo(1 + GROUND_TOP, 1);
+        expect(sim.character.getState().isGrounded).toBe(true);
+    });
+
+    it('removes the broken body from the world', () => {
+        const broken = sim.character.character;
+        breakBody(sim);
+        sim.tick(input);
+
+        expect(sim.character.character.body).not.toBe(broken.body);
+        expect(sim.physics.bodies.get(broken.id)?.body).not.toBe(broken.body);
+        expect([...sim.physics.bodies.values()].filter(entry => entry.type === 'character')).toHaveLength(1);
+    });
+});
+
+describe('PhysicsRecovery', () => {
+    it('backs off while attempts fail, then gives up', async () => {
+        const sim = await new Simulation({
+            recovery: { retryDelay: 0.1, backoff: 2, maxAttempts: 4 }
+        }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        const gaveUp = vi.fn();
+        sim.recovery.on('gaveUp', gaveUp);
+        vi.spyOn(sim.physics, 'createCharacter').mockImplementation(() => {
+            throw new Error('Out of memory');
+        });
+        breakBody(sim);
+        sim.runFor(input, 3);
+
+        const status = sim.recovery.getStatus();
+        expect(sim.character.usingFallback).toBe(true);
+        expect(status.state).toBe('failed');
+        expect(status.attempts).toBe(4);
+        expect(status.lastError).toBe('Character physics body could not be created');
+        expect(gaveUp).toHaveBeenCalledTimes(1);
+
+        // Immediately, then 0.1, 0.2 and 0.4 seconds after each failure
+        const times = status.history.map(attempt => attempt.time);
+        const gaps = times.slice(1).map((time, i) => time - times[i]);
+        gaps.forEach((gap, i) => expect(gap).toBeCloseTo(0.1 * Math.pow(2, i), 1));
+    });
+
+    it('reports when the next attempt is due', async () => {
+        const sim = await new Simulation({ recovery: { retryDelay: 1 } }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        vi.spyOn(sim.physics, 'createCharacter').mockReturnValue(null);
+        breakBody(sim);
+        sim.tick(input);
+
+        const status = sim.recovery.getStatus();
+        expect(status.state).toBe('fallback');
+        expect(status.nextAttemptIn).toBeCloseTo(1, 5);
+        expect(status.history).toHaveLength(1);
+    });
+
+    it('recovers on retryNow after giving up', async () => {
+        const sim = await new Simulation({ recovery: { maxAttempts: 1 } }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        const createCharacter = vi.spyOn(sim.physics, 'createCharacter').mockReturnValue(null);
+        breakBody(sim);
+        sim.tick(input);
+        expect(sim.recovery.getStatus().state).toBe('failed');
+
+        createCharacter.mockRestore();
+        await expect(sim.recovery.retryNow()).resolves.toBe(true);
+        expect(sim.character.usingFallback).toBe(false);
+        expect(sim.recovery.getStatus()).toMatchObject({ state: 'physics', attempts: 1, totalAttempts: 2, recoveries: 1 });
+    });
+
+    it('restarts the physics world when it stops responding', async () => {
+        const sim = await new Simulation().init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        sim.physics.world.free();
+        sim.runFor(input, 1);
+        await sim.recovery.pendingAttempt;
+        sim.runFor(input, 1);
+
+        expect(sim.character.usingFallback).toBe(false);
+        expect(sim.physics.checkHealth().healthy).toBe(true);
+        expect(sim.recovery.getStatus().lastAttempt).toMatchObject({ action: 'restartPhysics', success: true });
+        expect(sim.character.getPosition().y).toBeCloseTo(1 + GROUND_TOP, 1);
+        expect(sim.character.getState().isGrounded).toBe(true);
+    });
+
+    it('keeps the fallback on the old level while the world is rebuilt', async () => {
+        let finishRebuild;
+        const sim = await new Simulation({
+            recovery: {
+                rebuildWorld: () => new Promise(resolve => {
+                    finishRebuild = resolve;
+                })
+            }
+        }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        sim.physics.world.free();
+        sim.tick(input);
+        await vi.waitFor(() => expect(finishRebuild).toBeTypeOf('function'));
+
+        sim.runFor(input, 1);
+        expect(sim.recovery.getStatus().state).toBe('recovering');
+        expect(sim.character.usingFallback).toBe(true);
+        expect(sim.character.getPosition().y).toBeCloseTo(1 + GROUND_TOP, 3);
+
+        sim.createWorld();
+        finishRebuild();
+        await sim.recovery.pendingAttempt;
+
+        expect(sim.character.usingFallback).toBe(false);
+        expect(sim.physics.previousCollision).toBeNull();
+    });
+
+    it('starts the physics world when it failed to initialize', async () => {
+        const sim = new Simulation();
+        vi.spyOn(sim.physics, 'init').mockImplementationOnce(async () => sim.physics.createFallbackWorld());
+        await sim.init();
+        expect(sim.character.usingFallback).toBe(true);
+
+        const input = new ScriptedInput();
+        sim.tick(input);
+        await sim.recovery.pendingAttempt;
+        sim.runFor(input, 2);
+
+        expect(sim.character.usingFallback).toBe(false);
+        expect(sim.physics.hasRapier()).toBe(true);
+        expect(sim.character.getPosition().y).toBeCloseTo(1 + GROUND_TOP, 1);
+    });
+
+    it('finds a broken world in the periodic health check', async () => {
+        const sim = await new Simulation({ recovery: { healthCheckInterval: 0.5 } }).init();
+        const input = new ScriptedInput();
+        sim.runFor(input, 1);
+
+        const fallback = vi.fn();
+        sim.recovery.on('fallback', fallback);
+        vi.spyOn(sim.physics, 'checkHealth').mockReturnValue({ healthy: false, error: new Error('World lost') });
+        sim.runFor(input, 0.5);
+
+        expect(fallback).toHaveBeenCalledWith({ error: expect.objectContaining({ message: 'World lost' }) });
+        await sim.recovery.pendingAttempt;
+        expect(sim.recovery.getStatus().lastAttempt.action).toBe('restartPhysics');
+    });
+
+    it('unloads a level so a restarted world can be rebuilt without duplicates', async () => {
+        const scene = {
+            addStaticMesh() {}, createPlatform() {}, trackObject() {}, untrackObject() {},
+            addProp() {}, setLights() {}, removeObject() {}
+        };
+        const data = JSON.parse(readFileSync(new URL('../public/levels/default.json', import.meta.url), 'utf8'));
+        const sim = await new Simulation({ groundSize: 0 }).init();
+        const loader = new LevelLoader(sim.physics, scene);
+        const level = loader.build(data);
+        const bodies = sim.physics.bodies.size;
+        const shapes = sim.physics.collision.bodies.size;
+
+        loader.unload(level);
+        expect(sim.physics.bodies.size).toBe(1); // Just the character
+        expect(sim.physics.collision.isEmpty()).toBe(true);
+
+        loader.build(data);
+        expect(sim.physics.bodies.size).toBe(bodies);
+        expect(sim.physics.collision.bodies.size).toBe(shapes);
+    });
+});
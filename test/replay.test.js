@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Simulation } from '../src/simulation.js';
+import { ScriptedInput } from '../src/scripted.js';
+import { InputRecorder } from '../src/recorder.js';
+import { InputReplay } from '../src/replay.js';
+
+beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+/**
+ * Run a scripted session of walking, sprinting, jumping and dashing and record it
+ */
+async function recordSession(mode) {
+    const sim = await new Simulation({ characterOptions: { mode } }).init();
+    const recorder = new InputRecorder();
+    const input = new ScriptedInput((tick, scripted) => {
+        if (tick === 60) scripted.setMovement(0.3, -1);
+        if (tick === 90) scripted.press('sprint');
+        if (tick === 120) scripted.tap('jump');
+        if (tick === 150) scripted.release('sprint').tap('dash');
+        if (tick === 200) scripted.setMovement(-1, 0);
+        if (tick === 240) scripted.releaseAll();
+    });
+
+    recorder.start(sim.character, { tickRate: sim.options.tickRate });
+    sim.run(input, 300, () => recorder.record(input, sim.character));
+    return recorder.stop();
+}
+
+/**
+ * Replay a recording in a fresh simulation
+ */
+async function replaySession(recording) {
+    const replay = new InputReplay(JSON.parse(JSON.stringify(recording)));
+    const sim = await new Simulation({
+        tickRate: recording.tickRate,
+        characterOptions: replay.getCharacterOptions()
+    }).init();
+    return replay.run(sim.physics, sim.character);
+}
+
+describe.each(['dynamic', 'kinematic'])('input replay (%s mode)', mode => {
+    it('reproduces a recorded session exactly', async () => {
+        const recording = await recordSession(mode);
+        const result = await replaySession(recording);
+
+        expect(result.ticks).toBe(300);
+        expect(result.divergences).toEqual([]);
+    });
+
+    it('reproduces a session recorded mid-run, in the air and crouching', async () => {
+        const sim = await new Simulation({ characterOptions: { mode } }).init();
+        const recorder = new InputRecorder();
+        const input = new ScriptedInput();
+
+        // Sprint, then jump and crouch so the recording starts moving, airborne and with timers running
+        input.setMovement(0.5, -1).press('sprint');
+        sim.runFor(input, 1);
+        input.tap('jump').press('crouch');
+        sim.run(input, 5);
+
+        const state = sim.character.getState();
+        expect(state.isGrounded).toBe(false);
+        expect(state.isCrouching).toBe(true);
+
+        recorder.start(sim.character, { tickRate: sim.options.tickRate });
+        input.release('crouch');
+        sim.run(input, 120, tick => {
+            recorder.record(input, sim.character);
+            if (tick === 60) input.releaseAll().tap('dash');
+        });
+
+        const result = await replaySession(recorder.stop());
+
+        expect(result.ticks).toBe(120);
+        expect(result.divergences).toEqual([]);
+    });
+
+    it('reports the tick where a replay diverges', async () => {
+        const recording = await recordSession(mode);
+        recording.frames[100].position.x += 1;
+
+        const result = await replaySession(recording);
+
+        expect(result.divergences).toHaveLength(1);
+        expect(result.divergences[0].tick).toBe(100);
+    });
+});
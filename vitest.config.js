@@ -0,0 +1,16 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests run the physics and character controller headless in Node. The browser build's
+// Rapier package needs a bundler to load its WebAssembly, so swap in the compat build,
+// which has the same API with the WebAssembly inlined.
+export default defineConfig({
+  resolve: {
+    alias: {
+      '@dimforge/rapier3d': '@dimforge/rapier3d-compat'
+    }
+  },
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js']
+  }
+});